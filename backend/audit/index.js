@@ -0,0 +1,248 @@
+// =====================================================
+// Audit Log
+// Append-only record of every OTP send / verify / failure,
+// rate limit hit and new session, one JSON object per line:
+//
+//   AUDIT_LOG_FILE=./data/audit.jsonl
+//   AUDIT_LOG_MAX_BYTES=10485760   (rotate once the file is this big)
+//   AUDIT_LOG_MAX_FILES=5          (rotated files kept: audit.jsonl.1 ... .5)
+//
+// Phone numbers and emails are masked before they're written,
+// and OTPs never are. Read back through GET /api/admin/audit.
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { maskPhone } = require('../utils/phone');
+const { maskEmail } = require('../utils/email');
+const { logger } = require('../logger');
+
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(__dirname, '..', 'data', 'audit.jsonl');
+const AUDIT_LOG_MAX_BYTES = parseInt(process.env.AUDIT_LOG_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const AUDIT_LOG_MAX_FILES = parseInt(process.env.AUDIT_LOG_MAX_FILES, 10) || 5;
+
+// Every event type that can be recorded
+const AUDIT_EVENTS = ['otp.sent', 'otp.verified', 'otp.failed', 'otp.expired', 'rate_limited', 'session.created'];
+
+// Size of the current file, so rotation doesn't need a stat per event
+let currentSize = null;
+
+// Append stream to the current file (opened on first write, reopened after a rotation)
+let currentStream = null;
+
+/**
+ * Path of a log file - 0 is the current one, 1+ the rotated ones (1 = newest)
+ * @param {number} index - File index
+ * @returns {string} - File path
+ */
+const logFile = (index) => (index ? `${AUDIT_LOG_FILE}.${index}` : AUDIT_LOG_FILE);
+
+/**
+ * Open the append stream to the current file
+ * @returns {object} - fs.WriteStream
+ */
+const openStream = () => {
+    // Opened synchronously so the file exists (and can be rotated) right away
+    const stream = fs.createWriteStream(null, { fd: fs.openSync(AUDIT_LOG_FILE, 'a') });
+
+    stream.on('error', (error) => {
+        logger.error('❌ Audit Log Error', { error: error.message });
+        if (currentStream === stream) {
+            // Start over (and re-stat the file) on the next event
+            currentStream = null;
+            currentSize = null;
+        }
+    });
+
+    return stream;
+};
+
+/**
+ * Shift every file up one place (dropping the oldest) and start a new one
+ * Lines still buffered in the old stream land in the renamed file - it
+ * keeps its file descriptor across the rename.
+ */
+const rotate = () => {
+    currentStream.end();
+    currentStream = null;
+
+    fs.rmSync(logFile(AUDIT_LOG_MAX_FILES), { force: true });
+
+    for (let index = AUDIT_LOG_MAX_FILES - 1; index >= 0; index--) {
+        if (fs.existsSync(logFile(index))) {
+            fs.renameSync(logFile(index), logFile(index + 1));
+        }
+    }
+
+    currentSize = 0;
+};
+
+/**
+ * Append one line to the current file, rotating first if it would get too big
+ * @param {string} line - JSON line (with its newline)
+ */
+const appendLine = (line) => {
+    if (currentSize === null) {
+        fs.mkdirSync(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+        currentSize = fs.existsSync(AUDIT_LOG_FILE) ? fs.statSync(AUDIT_LOG_FILE).size : 0;
+    }
+
+    const bytes = Buffer.byteLength(line);
+
+    if (currentStream && currentSize > 0 && currentSize + bytes > AUDIT_LOG_MAX_BYTES) {
+        rotate();
+    }
+
+    if (!currentStream) {
+        currentStream = openStream();
+    }
+
+    currentStream.write(line);
+    currentSize += bytes;
+};
+
+/**
+ * Mask a phone number / email address for the log
+ * @param {string|null} recipient - E.164 phone number or email address
+ * @returns {object} - { phone } or { email } (masked), or {} without a recipient
+ */
+const maskRecipient = (recipient) => {
+    if (!recipient) {
+        return {};
+    }
+
+    return recipient.includes('@') ? { email: maskEmail(recipient) } : { phone: maskPhone(recipient) };
+};
+
+/**
+ * Record an audit event
+ * A log that can't be written is reported but never fails the request.
+ * @param {object} req - Express request (for the IP, user agent and logged-in user)
+ * @param {string} event - One of AUDIT_EVENTS
+ * @param {object} details - { channel, recipient (unmasked), outcome, providerCode, purpose, userId, ... }
+ */
+const recordAuditEvent = (req, event, details = {}) => {
+    const { channel = null, recipient = null, outcome = null, providerCode = null, purpose = null, userId, ...extra } = details;
+
+    const entry = {
+        time: new Date().toISOString(),
+        event: event,
+        channel: channel,
+        ...maskRecipient(recipient),
+        ip: req.ip || null,
+        userAgent: req.get('user-agent') || null,
+        outcome: outcome,
+        providerCode: providerCode,
+        purpose: purpose,
+        userId: userId || req.session?.subject || null,
+        requestId: req.id || null,
+        ...extra
+    };
+
+    try {
+        appendLine(`${JSON.stringify(entry)}\n`);
+    } catch (error) {
+        logger.error('❌ Audit Log Error', { error: error.message });
+    }
+};
+
+/**
+ * Record the result of an OTP check as otp.verified / otp.expired / otp.failed
+ * @param {object} req - Express request
+ * @param {object} details - { channel, recipient, purpose, userId, ... }
+ * @param {object} result - verifyOTP result ({ valid, reason, providerCode }), or { valid: false, reason } for
+ *                          codes rejected before the check (e.g. 'invalid_format')
+ */
+const recordOtpCheck = (req, details, result) => {
+    const event = result.valid ? 'otp.verified' : result.reason === 'expired' ? 'otp.expired' : 'otp.failed';
+
+    recordAuditEvent(req, event, {
+        ...details,
+        outcome: result.valid ? 'verified' : result.reason,
+        providerCode: result.providerCode || null
+    });
+};
+
+/**
+ * Read the log back, newest first
+ * Files are streamed line by line, newest file first, keeping only the
+ * last `limit` matches of each - older files aren't opened once `limit`
+ * is reached or `since` has been passed.
+ * Phones / emails match on their masked form, so other numbers with the
+ * same country code and last 4 digits match too.
+ * @param {object} filters - { event, channel, phone (E.164), email, userId, ip, since (ms), until (ms), limit }
+ * @returns {Promise<object[]>} - Matching events (at most `limit`)
+ */
+const queryAuditEvents = async ({ event, channel, phone, email, userId, ip, since, until, limit = 100 } = {}) => {
+    // Stored values are masked - compare masked with masked
+    const maskedPhone = phone ? maskPhone(phone) : null;
+    const maskedEmail = email ? maskEmail(email) : null;
+
+    const matches = (entry) => {
+        const time = Date.parse(entry.time);
+        return (!event || entry.event === event)
+            && (!channel || entry.channel === channel)
+            && (!maskedPhone || entry.phone === maskedPhone)
+            && (!maskedEmail || entry.email === maskedEmail)
+            && (!userId || entry.userId === userId)
+            && (!ip || entry.ip === ip)
+            && (!since || time >= since)
+            && (!until || time <= until);
+    };
+
+    const results = [];
+    let reachedSince = false;
+
+    for (let index = 0; index <= AUDIT_LOG_MAX_FILES && results.length < limit && !reachedSince; index++) {
+        if (!fs.existsSync(logFile(index))) {
+            continue;
+        }
+
+        // Lines are oldest first - keep a window of the newest matches seen so far
+        const wanted = limit - results.length;
+        const window = [];
+        const input = fs.createReadStream(logFile(index), { encoding: 'utf8' });
+        const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // Half-written line from a crash - skip it
+                continue;
+            }
+
+            const time = Date.parse(entry.time);
+
+            if (until && time > until) {
+                // Everything after this is newer still
+                break;
+            }
+
+            if (since && time < since) {
+                reachedSince = true;
+            }
+
+            if (matches(entry)) {
+                window.push(entry);
+                if (window.length > wanted) {
+                    window.shift();
+                }
+            }
+        }
+
+        lines.close();
+        input.destroy();
+        results.push(...window.reverse());
+    }
+
+    return results;
+};
+
+module.exports = { AUDIT_LOG_FILE, AUDIT_EVENTS, recordAuditEvent, recordOtpCheck, queryAuditEvents };
@@ -0,0 +1,109 @@
+// =====================================================
+// Second-Factor Challenges
+// A verified OTP for a user with an authenticator app
+// doesn't start a session - it opens a short-lived
+// challenge the TOTP code has to complete.
+// =====================================================
+
+const crypto = require('crypto');
+
+const MFA_CHALLENGE_TTL_MINUTES = parseInt(process.env.MFA_CHALLENGE_TTL_MINUTES, 10) || 5;
+const MFA_MAX_ATTEMPTS = parseInt(process.env.MFA_MAX_ATTEMPTS, 10) || 5;
+
+// In-memory challenges (keyed by token hash)
+const challenges = new Map();
+
+/**
+ * Hash a challenge token for storage
+ * @param {string} token - Raw challenge token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashChallengeToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Open a challenge after the first factor was verified
+ * @param {object} identity - What was verified: { phone } or { email }
+ * @param {string} channel - Channel the OTP was verified on
+ * @returns {object} - { mfaToken, expiresAt }
+ */
+const createMfaChallenge = (identity, channel) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + (MFA_CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+    challenges.set(hashChallengeToken(token), {
+        identity: identity,
+        channel: channel,
+        attempts: 0,
+        expiresAt: expiresAt
+    });
+
+    return { mfaToken: token, expiresAt: new Date(expiresAt).toISOString() };
+};
+
+/**
+ * Look up a live challenge
+ * @param {string} token - Raw challenge token
+ * @returns {object|null} - { identity, channel, attempts, expiresAt }, or null if unknown/expired
+ */
+const getMfaChallenge = (token) => {
+    const key = hashChallengeToken(token);
+    const challenge = challenges.get(key);
+
+    if (!challenge || Date.now() > challenge.expiresAt) {
+        challenges.delete(key);
+        return null;
+    }
+
+    return challenge;
+};
+
+/**
+ * Count a wrong second-factor code - the challenge is dropped
+ * after MFA_MAX_ATTEMPTS and the user has to start over
+ * @param {string} token - Raw challenge token
+ * @returns {number} - Attempts remaining
+ */
+const recordMfaFailure = (token) => {
+    const key = hashChallengeToken(token);
+    const challenge = challenges.get(key);
+
+    if (!challenge) {
+        return 0;
+    }
+
+    challenge.attempts++;
+
+    if (challenge.attempts >= MFA_MAX_ATTEMPTS) {
+        challenges.delete(key);
+        return 0;
+    }
+
+    return MFA_MAX_ATTEMPTS - challenge.attempts;
+};
+
+/**
+ * Close a challenge once it has been completed
+ * @param {string} token - Raw challenge token
+ */
+const completeMfaChallenge = (token) => {
+    challenges.delete(hashChallengeToken(token));
+};
+
+// Clean up expired challenges every minute
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, challenge] of challenges.entries()) {
+        if (now > challenge.expiresAt) {
+            challenges.delete(key);
+        }
+    }
+}, 60 * 1000).unref();
+
+module.exports = {
+    createMfaChallenge,
+    getMfaChallenge,
+    recordMfaFailure,
+    completeMfaChallenge
+};
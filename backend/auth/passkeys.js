@@ -0,0 +1,184 @@
+// =====================================================
+// Passkeys (WebAuthn)
+// Registered from the Dashboard after an OTP login, then
+// usable to sign in without an OTP. The ceremonies are
+// run with @simplewebauthn/server (routes/passkeys.js);
+// this module keeps the credentials (in the database)
+// and the challenges (in memory).
+// =====================================================
+
+const { db } = require('../db');
+const { FRONTEND_ORIGINS } = require('../config/origins');
+
+// Relying party - the site passkeys are bound to
+const WEBAUTHN_RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+const WEBAUTHN_RP_NAME = process.env.WEBAUTHN_RP_NAME || 'SecureAuth';
+// Frontend origins allowed to run the ceremonies (comma separated) -
+// the same ones CORS allows, unless set separately
+const WEBAUTHN_ORIGINS = process.env.WEBAUTHN_ORIGINS
+    ? process.env.WEBAUTHN_ORIGINS.split(',').map((origin) => origin.trim()).filter(Boolean)
+    : FRONTEND_ORIGINS;
+
+// How long a ceremony may take
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Registration challenges (keyed by session id) and login challenges (keyed by challenge)
+const registrationChallenges = new Map();
+const loginChallenges = new Map();
+
+/**
+ * Remember the challenge of a registration in progress
+ * @param {string} sessionId - Session registering the passkey
+ * @param {string} challenge - Base64url challenge from the options
+ */
+const saveRegistrationChallenge = (sessionId, challenge) => {
+    registrationChallenges.set(sessionId, { challenge, expiresAt: Date.now() + CHALLENGE_TTL_MS });
+};
+
+/**
+ * Take (and forget) a session's registration challenge
+ * @param {string} sessionId - Session registering the passkey
+ * @returns {string|null} - Challenge, or null if none/expired
+ */
+const takeRegistrationChallenge = (sessionId) => {
+    const entry = registrationChallenges.get(sessionId);
+    registrationChallenges.delete(sessionId);
+
+    return entry && Date.now() <= entry.expiresAt ? entry.challenge : null;
+};
+
+/**
+ * Remember a login challenge
+ * @param {string} challenge - Base64url challenge from the options
+ */
+const saveLoginChallenge = (challenge) => {
+    loginChallenges.set(challenge, Date.now() + CHALLENGE_TTL_MS);
+};
+
+/**
+ * Use up a login challenge (each one is good for a single attempt)
+ * @param {string} challenge - Challenge echoed back by the browser
+ * @returns {boolean} - Whether we issued it and it hasn't expired
+ */
+const consumeLoginChallenge = (challenge) => {
+    const expiresAt = loginChallenges.get(challenge);
+    loginChallenges.delete(challenge);
+
+    return Boolean(expiresAt) && Date.now() <= expiresAt;
+};
+
+/**
+ * Turn a passkeys row into a passkey object
+ * @param {object} row - passkeys table row
+ * @returns {object|null} - { id, userId, publicKey, counter, transports, name, createdAt, lastUsedAt }
+ */
+const toPasskey = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        id: row.id,
+        userId: row.user_id,
+        publicKey: new Uint8Array(row.public_key),
+        counter: row.counter,
+        transports: JSON.parse(row.transports),
+        name: row.name,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at
+    };
+};
+
+/**
+ * Save a newly registered passkey
+ * @param {string} userId - User that registered it
+ * @param {object} credential - { id, publicKey, counter, transports } from the verified registration
+ * @param {string} name - Label shown on the Dashboard
+ * @returns {object} - Stored passkey
+ */
+const addPasskey = (userId, credential, name) => {
+    db.prepare(`
+        INSERT INTO passkeys (id, user_id, public_key, counter, transports, name, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        credential.id,
+        userId,
+        Buffer.from(credential.publicKey),
+        credential.counter,
+        JSON.stringify(credential.transports || []),
+        name,
+        Date.now()
+    );
+
+    return getPasskey(credential.id);
+};
+
+/**
+ * Look up a passkey by credential id
+ * @param {string} id - Base64url credential id
+ * @returns {object|null} - Stored passkey, or null
+ */
+const getPasskey = (id) => {
+    return toPasskey(db.prepare('SELECT * FROM passkeys WHERE id = ?').get(id));
+};
+
+/**
+ * List a user's passkeys (oldest first)
+ * @param {string} userId - User id
+ * @returns {object[]} - Stored passkeys
+ */
+const listPasskeys = (userId) => {
+    return db.prepare('SELECT * FROM passkeys WHERE user_id = ? ORDER BY created_at')
+        .all(userId)
+        .map(toPasskey);
+};
+
+/**
+ * Record a successful sign-in (the counter guards against cloned authenticators)
+ * @param {object} passkey - Stored passkey
+ * @param {number} newCounter - Counter reported by the authenticator
+ */
+const markPasskeyUsed = (passkey, newCounter) => {
+    db.prepare('UPDATE passkeys SET counter = ?, last_used_at = ? WHERE id = ?')
+        .run(newCounter, Date.now(), passkey.id);
+};
+
+/**
+ * Remove one of a user's passkeys
+ * @param {string} userId - User id
+ * @param {string} id - Credential id
+ * @returns {boolean} - Whether a passkey was removed
+ */
+const removePasskey = (userId, id) => {
+    return db.prepare('DELETE FROM passkeys WHERE id = ? AND user_id = ?').run(id, userId).changes === 1;
+};
+
+// Clean up abandoned ceremonies every minute
+setInterval(() => {
+    const now = Date.now();
+    for (const [sessionId, entry] of registrationChallenges.entries()) {
+        if (now > entry.expiresAt) {
+            registrationChallenges.delete(sessionId);
+        }
+    }
+    for (const [challenge, expiresAt] of loginChallenges.entries()) {
+        if (now > expiresAt) {
+            loginChallenges.delete(challenge);
+        }
+    }
+}, 60 * 1000).unref();
+
+module.exports = {
+    WEBAUTHN_RP_ID,
+    WEBAUTHN_RP_NAME,
+    WEBAUTHN_ORIGINS,
+    saveRegistrationChallenge,
+    takeRegistrationChallenge,
+    saveLoginChallenge,
+    consumeLoginChallenge,
+    addPasskey,
+    getPasskey,
+    listPasskeys,
+    markPasskeyUsed,
+    removePasskey
+};
@@ -0,0 +1,170 @@
+// =====================================================
+// Phone Number Changes
+// Once both the current and the new number are verified
+// (routes/phoneChange.js), the change is scheduled rather
+// than applied: for PHONE_CHANGE_GRACE_MINUTES the old
+// number keeps working and can cancel it. Due changes are
+// applied by a once-a-minute sweep.
+// =====================================================
+
+const crypto = require('crypto');
+const { db } = require('../db');
+const { logger } = require('../logger');
+
+// How long the old number has to cancel a change
+const PHONE_CHANGE_GRACE_MINUTES = parseInt(process.env.PHONE_CHANGE_GRACE_MINUTES, 10) || 24 * 60;
+
+/**
+ * Turn a phone_changes row into a change object
+ * @param {object} row - phone_changes table row
+ * @returns {object|null} - { id, userId, oldPhone, newPhone, status, createdAt, effectiveAt, finishedAt }
+ */
+const toPhoneChange = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        id: row.id,
+        userId: row.user_id,
+        oldPhone: row.old_phone,
+        newPhone: row.new_phone,
+        status: row.status,
+        createdAt: row.created_at,
+        effectiveAt: row.effective_at,
+        finishedAt: row.finished_at
+    };
+};
+
+/**
+ * A user's change waiting out its grace period
+ * @param {string} userId - User id
+ * @returns {object|null} - Pending change, or null
+ */
+const getPendingPhoneChange = (userId) => {
+    return toPhoneChange(db.prepare(`
+        SELECT * FROM phone_changes WHERE user_id = ? AND status = 'pending'
+    `).get(userId));
+};
+
+/**
+ * The pending change away from a phone number (what the old number can cancel)
+ * @param {string} phone - E.164 phone number being replaced
+ * @returns {object|null} - Pending change, or null
+ */
+const findPendingPhoneChangeFrom = (phone) => {
+    return toPhoneChange(db.prepare(`
+        SELECT * FROM phone_changes WHERE old_phone = ? AND status = 'pending'
+    `).get(phone));
+};
+
+/**
+ * Every change a user has made or started (newest first)
+ * @param {string} userId - User id
+ * @returns {object[]} - Changes, whatever their status
+ */
+const listPhoneChanges = (userId) => {
+    return db.prepare('SELECT * FROM phone_changes WHERE user_id = ? ORDER BY created_at DESC')
+        .all(userId)
+        .map(toPhoneChange);
+};
+
+/**
+ * Whether a number is already in use - on an account, or as the
+ * target of another user's pending change
+ * @param {string} phone - E.164 phone number
+ * @param {string} userId - User asking (their own pending change doesn't count)
+ * @returns {boolean} - Whether the number is taken
+ */
+const isPhoneTaken = (phone, userId) => {
+    return Boolean(db.prepare(`
+        SELECT 1 FROM users WHERE phone = ?
+        UNION ALL
+        SELECT 1 FROM phone_changes WHERE new_phone = ? AND status = 'pending' AND user_id != ?
+    `).get(phone, phone, userId));
+};
+
+/**
+ * Schedule a verified change (replacing any change already pending)
+ * @param {string} userId - User id
+ * @param {string} oldPhone - Current E.164 number
+ * @param {string} newPhone - Verified new E.164 number
+ * @returns {object} - Pending change
+ */
+const schedulePhoneChange = db.transaction((userId, oldPhone, newPhone) => {
+    const now = Date.now();
+    const id = crypto.randomUUID();
+
+    db.prepare(`
+        UPDATE phone_changes SET status = 'cancelled', finished_at = ?
+        WHERE user_id = ? AND status = 'pending'
+    `).run(now, userId);
+
+    db.prepare(`
+        INSERT INTO phone_changes (id, user_id, old_phone, new_phone, status, created_at, effective_at)
+        VALUES (?, ?, ?, ?, 'pending', ?, ?)
+    `).run(id, userId, oldPhone, newPhone, now, now + PHONE_CHANGE_GRACE_MINUTES * 60 * 1000);
+
+    return toPhoneChange(db.prepare('SELECT * FROM phone_changes WHERE id = ?').get(id));
+});
+
+/**
+ * Cancel a pending change
+ * @param {string} id - Change id
+ * @returns {boolean} - Whether it was still pending
+ */
+const cancelPhoneChange = (id) => {
+    return db.prepare(`
+        UPDATE phone_changes SET status = 'cancelled', finished_at = ?
+        WHERE id = ? AND status = 'pending'
+    `).run(Date.now(), id).changes === 1;
+};
+
+/**
+ * Apply every change whose grace period is over
+ * @returns {number} - Number of changes applied
+ */
+const applyDuePhoneChanges = db.transaction(() => {
+    const now = Date.now();
+    const due = db.prepare(`
+        SELECT * FROM phone_changes WHERE status = 'pending' AND effective_at <= ?
+    `).all(now).map(toPhoneChange);
+    let applied = 0;
+
+    due.forEach((change) => {
+        // Someone signed up with the new number in the meantime - it can't be moved
+        if (db.prepare('SELECT 1 FROM users WHERE phone = ? AND id != ?').get(change.newPhone, change.userId)) {
+            logger.warn(`⚠️  Phone change for user ${change.userId} dropped: ${change.newPhone} is already in use`);
+            db.prepare('UPDATE phone_changes SET status = \'failed\', finished_at = ? WHERE id = ?').run(now, change.id);
+            return;
+        }
+
+        db.prepare('UPDATE users SET phone = ? WHERE id = ?').run(change.newPhone, change.userId);
+        db.prepare('UPDATE phone_changes SET status = \'completed\', finished_at = ? WHERE id = ?').run(now, change.id);
+        logger.info(`📱 Phone number changed for user ${change.userId}: ${change.oldPhone} → ${change.newPhone}`);
+        applied++;
+    });
+
+    return applied;
+});
+
+// Apply due changes every minute
+// (a failed run is logged and retried on the next tick - it must not take the process down)
+setInterval(() => {
+    try {
+        applyDuePhoneChanges();
+    } catch (error) {
+        logger.error('❌ Phone Change Apply Error', { error: error.message });
+    }
+}, 60 * 1000).unref();
+
+module.exports = {
+    PHONE_CHANGE_GRACE_MINUTES,
+    getPendingPhoneChange,
+    findPendingPhoneChangeFrom,
+    listPhoneChanges,
+    isPhoneTaken,
+    schedulePhoneChange,
+    cancelPhoneChange,
+    applyDuePhoneChanges
+};
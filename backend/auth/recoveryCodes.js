@@ -0,0 +1,120 @@
+// =====================================================
+// Recovery Codes
+// Single-use codes that stand in for the OTP when a user
+// has lost their phone. Only salted hashes are kept -
+// the plain codes are shown once, when generated.
+// =====================================================
+
+const crypto = require('crypto');
+const { db } = require('../db');
+
+const RECOVERY_CODE_COUNT = parseInt(process.env.RECOVERY_CODE_COUNT, 10) || 10;
+
+// No 0/o, 1/l/i - codes get copied by hand from paper
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const CODE_LENGTH = 10;
+
+/**
+ * Strip formatting so "ABCDE-FGHJK" and "abcdefghjk" match
+ * @param {string} code - Code as typed
+ * @returns {string} - Normalised code
+ */
+const normalizeRecoveryCode = (code) => {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Normalised code
+ * @param {string} salt - Per-code random salt
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRecoveryCode = (code, salt) => {
+    return crypto.createHash('sha256').update(`${salt}:${code}`).digest('hex');
+};
+
+/**
+ * Generate one random code, formatted as xxxxx-xxxxx
+ * @returns {string} - Recovery code
+ */
+const randomRecoveryCode = () => {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, CODE_LENGTH / 2)}-${code.slice(CODE_LENGTH / 2)}`;
+};
+
+/**
+ * Generate a new set of codes, replacing (invalidating) any old set
+ * @param {string} userId - User id
+ * @returns {string[]} - Plain codes - the only time they're available
+ */
+const generateRecoveryCodes = db.transaction((userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, randomRecoveryCode);
+    const now = Date.now();
+    const insert = db.prepare('INSERT INTO recovery_codes (user_id, salt, hash, created_at) VALUES (?, ?, ?, ?)');
+
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+
+    codes.forEach((code) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+        insert.run(userId, salt, hashRecoveryCode(normalizeRecoveryCode(code), salt), now);
+    });
+
+    return codes;
+});
+
+/**
+ * How many unused codes a user has left
+ * @param {string} userId - User id
+ * @returns {object} - { remaining: number, createdAt: string|null }
+ */
+const getRecoveryCodeStatus = (userId) => {
+    const row = db.prepare(`
+        SELECT COUNT(*) AS remaining, MAX(created_at) AS created_at
+        FROM recovery_codes WHERE user_id = ?
+    `).get(userId);
+
+    return {
+        remaining: row.remaining,
+        createdAt: row.created_at ? new Date(row.created_at).toISOString() : null
+    };
+};
+
+/**
+ * Use up a recovery code
+ * @param {string} userId - User id
+ * @param {string} code - Code as typed
+ * @returns {boolean} - Whether the code was valid (it can't be used again)
+ */
+const redeemRecoveryCode = (userId, code) => {
+    const normalized = normalizeRecoveryCode(code);
+
+    if (normalized.length !== CODE_LENGTH) {
+        return false;
+    }
+
+    // Compare against every code so timing doesn't reveal which one matched
+    let matchId = null;
+    db.prepare('SELECT id, salt, hash FROM recovery_codes WHERE user_id = ?').all(userId).forEach((stored) => {
+        const expected = Buffer.from(stored.hash, 'hex');
+        const actual = Buffer.from(hashRecoveryCode(normalized, stored.salt), 'hex');
+        if (crypto.timingSafeEqual(expected, actual)) {
+            matchId = stored.id;
+        }
+    });
+
+    if (matchId === null) {
+        return false;
+    }
+
+    // Deleting is what makes the code single-use - only one request can win
+    return db.prepare('DELETE FROM recovery_codes WHERE id = ?').run(matchId).changes === 1;
+};
+
+module.exports = {
+    generateRecoveryCodes,
+    getRecoveryCodeStatus,
+    redeemRecoveryCode
+};
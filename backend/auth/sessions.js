@@ -0,0 +1,444 @@
+// =====================================================
+// Sessions
+// Server-side session records + access/refresh token cookies
+// =====================================================
+
+const crypto = require('crypto');
+const {
+    ACCESS_TOKEN_TTL_MINUTES,
+    REFRESH_TOKEN_TTL_DAYS,
+    signAccessToken,
+    verifyAccessToken,
+    generateRefreshToken,
+    hashRefreshToken,
+    sealRefreshToken,
+    openRefreshToken
+} = require('./tokens');
+const { isTotpEnabled } = require('./totp');
+const { getUserById, recordLogin } = require('./users');
+const { recordAuditEvent } = require('../audit');
+const { logger } = require('../logger');
+
+// Cookies that carry the tokens (httpOnly - not readable from JS)
+const ACCESS_TOKEN_COOKIE = 'access_token';
+const REFRESH_TOKEN_COOKIE = 'refresh_token';
+
+// Refresh cookie is only ever sent to the auth routes
+const REFRESH_TOKEN_PATH = '/api/auth';
+
+// In-memory session storage (keyed by session id)
+const sessions = new Map();
+
+// In-memory refresh token storage (keyed by token hash)
+// Every session is one token "family" - each refresh rotates the token,
+// and presenting an already-used token revokes the whole family.
+const refreshTokens = new Map();
+
+// How long a just-rotated token keeps answering with the newest token of its
+// family, so two tabs refreshing at the same moment don't look like a stolen token
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 30;
+
+/**
+ * Cookie options shared by set/clear
+ * @param {string} path - Cookie path
+ * @returns {object} - Express cookie options
+ */
+const cookieOptions = (path = '/') => ({
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: path
+});
+
+/**
+ * Create a new session for a user
+ * @param {object} req - Express request (device details are taken from it)
+ * @param {object} user - User the session belongs to
+ * @param {string} channel - How the login was verified (sms | voice | whatsapp | whatsapp-meta | email | passkey | recovery)
+ * @returns {object} - Session record
+ */
+const createSession = (req, user, channel) => {
+    const now = Date.now();
+    const session = {
+        id: crypto.randomUUID(),
+        // Who the session belongs to - the user id
+        subject: user.id,
+        channel: channel,
+        createdAt: now,
+        lastSeenAt: now,
+        userAgent: req.get('user-agent') || 'Unknown',
+        ip: req.ip,
+        // Expiry of the newest refresh token - the session ends with it
+        refreshExpiresAt: now
+    };
+
+    sessions.set(session.id, session);
+    return session;
+};
+
+/**
+ * Record activity on a session
+ * @param {object} req - Express request
+ * @param {object} session - Session record
+ */
+const touchSession = (req, session) => {
+    session.lastSeenAt = Date.now();
+    session.ip = req.ip;
+};
+
+/**
+ * Whether a session still has a refresh token that can be used
+ * @param {object} session - Session record
+ * @returns {boolean} - False once its token family has expired
+ */
+const isSessionLive = (session) => Date.now() <= session.refreshExpiresAt;
+
+/**
+ * List the live sessions of a user (newest activity first)
+ * @param {string} subject - Session subject (user id)
+ * @returns {object[]} - Session records
+ */
+const listSessionsForSubject = (subject) => {
+    return [...sessions.values()]
+        .filter((session) => session.subject === subject && isSessionLive(session))
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+};
+
+/**
+ * Look up a session by id
+ * @param {string} sessionId - Session id
+ * @returns {object|null} - Session record, or null
+ */
+const getSession = (sessionId) => {
+    return sessions.get(sessionId) || null;
+};
+
+/**
+ * Revoke a session and every refresh token in its family
+ * @param {string} sessionId - Session id
+ */
+const revokeSession = (sessionId) => {
+    sessions.delete(sessionId);
+
+    for (const [hash, data] of refreshTokens.entries()) {
+        if (data.sessionId === sessionId) {
+            refreshTokens.delete(hash);
+        }
+    }
+};
+
+/**
+ * Revoke every session belonging to a user
+ * @param {string} subject - Session subject (user id)
+ * @returns {number} - Number of sessions revoked
+ */
+const revokeSessionsForSubject = (subject) => {
+    let count = 0;
+
+    for (const session of [...sessions.values()]) {
+        if (session.subject === subject) {
+            revokeSession(session.id);
+            count++;
+        }
+    }
+
+    return count;
+};
+
+/**
+ * Issue a new refresh token for a session
+ * @param {object} session - Session record
+ * @returns {string} - Raw refresh token (only ever sent to the client)
+ */
+const issueRefreshToken = (session) => {
+    const token = generateRefreshToken();
+    const expiresAt = Date.now() + (REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    refreshTokens.set(hashRefreshToken(token), {
+        sessionId: session.id,
+        usedAt: null,
+        // Hash of the token that replaced this one
+        successorHash: null,
+        // That token encrypted (see sealRefreshToken) - only kept during the grace window
+        sealedSuccessor: null,
+        expiresAt: expiresAt
+    });
+    session.refreshExpiresAt = expiresAt;
+
+    return token;
+};
+
+/**
+ * Attach access + refresh token cookies for a session to the response
+ * @param {object} res - Express response
+ * @param {object} session - Session record
+ * @param {string} refreshToken - Raw refresh token to hand out (a new one by default)
+ */
+const setSessionCookies = (res, session, refreshToken = issueRefreshToken(session)) => {
+    res.cookie(ACCESS_TOKEN_COOKIE, signAccessToken(session), {
+        ...cookieOptions(),
+        maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000
+    });
+
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+        ...cookieOptions(REFRESH_TOKEN_PATH),
+        maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    });
+};
+
+/**
+ * Log a user in: record the login (creating the user the first time)
+ * and attach a new session's token cookies to the response
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} identity - What was verified: { phone } or { email }
+ * @param {string} channel - Channel used to verify
+ * @returns {object} - Session record
+ */
+const startSession = (req, res, identity, channel) => {
+    const user = recordLogin(identity, channel, { ip: req.ip, userAgent: req.get('user-agent') });
+    const session = createSession(req, user, channel);
+    setSessionCookies(res, session);
+
+    recordAuditEvent(req, 'session.created', {
+        channel: channel,
+        recipient: identity.phone || identity.email,
+        outcome: 'created',
+        userId: user.id
+    });
+
+    return session;
+};
+
+/**
+ * Whether a used refresh token is still inside its grace window
+ * @param {object} stored - Refresh token record
+ * @returns {boolean} - True if presenting it again should get the newest token
+ */
+const inReuseGrace = (stored) => Boolean(stored.usedAt)
+    && Date.now() - stored.usedAt <= REFRESH_REUSE_GRACE_SECONDS * 1000;
+
+/**
+ * Follow a used token's successors to the newest, still unused token of its family
+ * (the successor may itself have been rotated by another tab since)
+ * @param {object} stored - Used refresh token record
+ * @returns {string|null} - Raw newest token, or null if the chain is gone
+ */
+const newestSuccessor = (stored) => {
+    let current = stored;
+
+    while (current.successorHash) {
+        const next = refreshTokens.get(current.successorHash);
+
+        if (!next) {
+            return null;
+        }
+
+        if (!next.usedAt) {
+            // Used no earlier than the token presented, so still inside its own grace window
+            return current.sealedSuccessor ? openRefreshToken(current.sealedSuccessor) : null;
+        }
+
+        current = next;
+    }
+
+    return null;
+};
+
+/**
+ * Rotate a refresh token
+ * The presented token is marked used and a fresh pair is issued.
+ * Reusing an old token means it leaked - the whole family is revoked,
+ * unless it was rotated only moments ago (another tab refreshing at
+ * the same time) - then the newest token of the family is handed out.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} token - Raw refresh token from the cookie
+ * @returns {object} - { session: object|null, message: string }
+ */
+const rotateRefreshToken = (req, res, token) => {
+    const hash = hashRefreshToken(token);
+    const stored = refreshTokens.get(hash);
+
+    if (!stored) {
+        return { session: null, message: 'Invalid refresh token. Please log in again.' };
+    }
+
+    const newest = inReuseGrace(stored) && sessions.has(stored.sessionId) ? newestSuccessor(stored) : null;
+
+    if (newest) {
+        const session = sessions.get(stored.sessionId);
+
+        touchSession(req, session);
+        setSessionCookies(res, session, newest);
+        return { session: session, message: 'Session refreshed' };
+    }
+
+    if (stored.usedAt) {
+        logger.warn(`⚠️  Refresh token reuse detected - revoking session ${stored.sessionId}`);
+        revokeSession(stored.sessionId);
+        return { session: null, message: 'Session has been revoked. Please log in again.' };
+    }
+
+    if (Date.now() > stored.expiresAt) {
+        refreshTokens.delete(hash);
+        return { session: null, message: 'Session has expired. Please log in again.' };
+    }
+
+    const session = sessions.get(stored.sessionId);
+
+    if (!session) {
+        refreshTokens.delete(hash);
+        return { session: null, message: 'Session has been revoked. Please log in again.' };
+    }
+
+    // The account was deleted
+    if (!getUserById(session.subject)) {
+        revokeSession(session.id);
+        return { session: null, message: 'Session has been revoked. Please log in again.' };
+    }
+
+    // Keep the used token around (until it expires) so reuse can be detected
+    const successor = issueRefreshToken(session);
+    stored.usedAt = Date.now();
+    stored.successorHash = hashRefreshToken(successor);
+    stored.sealedSuccessor = sealRefreshToken(successor);
+    touchSession(req, session);
+    setSessionCookies(res, session, successor);
+
+    return { session: session, message: 'Session refreshed' };
+};
+
+/**
+ * Remove the token cookies from the client
+ * @param {object} res - Express response
+ */
+const clearSessionCookies = (res) => {
+    res.clearCookie(ACCESS_TOKEN_COOKIE, cookieOptions());
+    res.clearCookie(REFRESH_TOKEN_COOKIE, cookieOptions(REFRESH_TOKEN_PATH));
+};
+
+/**
+ * Find the live session for a request
+ * Looks at the access token first, then falls back to the refresh token
+ * (so an expired access token can still log out)
+ * @param {object} req - Express request
+ * @returns {object|null} - Session record, or null
+ */
+const getRequestSession = (req) => {
+    const accessToken = req.cookies?.[ACCESS_TOKEN_COOKIE];
+    const payload = accessToken ? verifyAccessToken(accessToken) : null;
+
+    if (payload) {
+        return sessions.get(payload.sid) || null;
+    }
+
+    const refreshToken = req.cookies?.[REFRESH_TOKEN_COOKIE];
+    const stored = refreshToken ? refreshTokens.get(hashRefreshToken(refreshToken)) : null;
+
+    return stored ? sessions.get(stored.sessionId) || null : null;
+};
+
+/**
+ * The logged-in user, as seen by the frontend
+ * @param {object} session - Session record
+ * @returns {object|null} - { id, phone, email, displayName, avatarUrl, locale, verifiedChannels, createdAt, lastLoginAt, totpEnabled },
+ *                          or null if the user no longer exists
+ */
+const toUserResponse = (session) => {
+    const user = getUserById(session.subject);
+
+    if (!user) {
+        return null;
+    }
+
+    return {
+        id: user.id,
+        phone: user.phone,
+        email: user.email,
+        displayName: user.displayName,
+        avatarUrl: user.avatarUrl,
+        locale: user.locale,
+        verifiedChannels: user.verifiedChannels,
+        createdAt: new Date(user.createdAt).toISOString(),
+        lastLoginAt: user.lastLoginAt ? new Date(user.lastLoginAt).toISOString() : null,
+        totpEnabled: isTotpEnabled(user.id)
+    };
+};
+
+/**
+ * Shape a session record for API responses
+ * @param {object} session - Session record
+ * @param {string} currentSessionId - Id of the session making the request
+ * @returns {object} - Public session details
+ */
+const toSessionResponse = (session, currentSessionId) => ({
+    id: session.id,
+    channel: session.channel,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+    userAgent: session.userAgent,
+    ip: session.ip,
+    current: session.id === currentSessionId
+});
+
+/**
+ * Middleware - require a valid access token and a live session
+ * of a user that still exists. Attaches the session to req.session
+ * An access token outlives neither its session nor its account.
+ */
+const requireAuth = (req, res, next) => {
+    const token = req.cookies?.[ACCESS_TOKEN_COOKIE];
+    const payload = token ? verifyAccessToken(token) : null;
+    const session = payload ? sessions.get(payload.sid) : null;
+
+    // Expired sessions, and sessions of an account that was deleted, are over
+    const ended = Boolean(session) && (!isSessionLive(session) || !getUserById(session.subject));
+
+    if (ended) {
+        revokeSession(session.id);
+    }
+
+    if (!session || ended) {
+        return res.status(401).json({
+            success: false,
+            message: 'Not authenticated. Please log in.'
+        });
+    }
+
+    touchSession(req, session);
+    req.session = session;
+    next();
+};
+
+// Clean up expired sessions and refresh tokens every hour
+setInterval(() => {
+    const now = Date.now();
+    for (const session of [...sessions.values()]) {
+        if (!isSessionLive(session)) {
+            revokeSession(session.id);
+        }
+    }
+    for (const [hash, data] of refreshTokens.entries()) {
+        if (now > data.expiresAt) {
+            refreshTokens.delete(hash);
+        } else if (data.sealedSuccessor && !inReuseGrace(data)) {
+            data.sealedSuccessor = null;
+        }
+    }
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+    REFRESH_TOKEN_COOKIE,
+    startSession,
+    getSession,
+    listSessionsForSubject,
+    rotateRefreshToken,
+    revokeSession,
+    revokeSessionsForSubject,
+    getRequestSession,
+    clearSessionCookies,
+    requireAuth,
+    toUserResponse,
+    toSessionResponse
+};
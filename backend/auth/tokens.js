@@ -0,0 +1,110 @@
+// =====================================================
+// Session Tokens
+// Signs and verifies the access tokens we hand out
+// after a successful OTP verification
+// =====================================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../logger');
+
+// Secret used to sign access tokens.
+// Without one we fall back to a random per-process secret, which means
+// every session is invalidated when the server restarts.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.SESSION_SECRET) {
+    logger.warn('⚠️  SESSION_SECRET is not set - using a random secret, sessions will not survive a restart.');
+}
+
+// Key for refresh tokens the server holds on to for a moment (the reuse
+// grace window in auth/sessions.js). Those only live in memory, so a
+// per-process key is enough.
+const REFRESH_TOKEN_SEAL_KEY = crypto.randomBytes(32);
+
+// Token lifetimes
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+/**
+ * Sign an access token for a session
+ * @param {object} session - Session record ({ id, subject })
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (session) => {
+    return jwt.sign(
+        { sid: session.id },
+        SESSION_SECRET,
+        {
+            subject: session.subject,
+            expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60
+        }
+    );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - Token taken from the request
+ * @returns {object|null} - Decoded payload, or null if invalid/expired
+ */
+const verifyAccessToken = (token) => {
+    try {
+        return jwt.verify(token, SESSION_SECRET);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Generate an opaque refresh token
+ * @returns {string} - Random URL-safe token
+ */
+const generateRefreshToken = () => {
+    return crypto.randomBytes(48).toString('base64url');
+};
+
+/**
+ * Hash a refresh token for storage (we never keep the raw token)
+ * @param {string} token - Raw refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRefreshToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Encrypt a refresh token to hold on to it (AES-256-GCM)
+ * @param {string} token - Raw refresh token
+ * @returns {string} - iv.tag.ciphertext (base64url)
+ */
+const sealRefreshToken = (token) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', REFRESH_TOKEN_SEAL_KEY, iv);
+    const ciphertext = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a refresh token sealed with sealRefreshToken
+ * @param {string} sealed - iv.tag.ciphertext (base64url)
+ * @returns {string} - Raw refresh token
+ */
+const openRefreshToken = (sealed) => {
+    const [iv, tag, ciphertext] = sealed.split('.').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', REFRESH_TOKEN_SEAL_KEY, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL_MINUTES,
+    REFRESH_TOKEN_TTL_DAYS,
+    signAccessToken,
+    verifyAccessToken,
+    generateRefreshToken,
+    hashRefreshToken,
+    sealRefreshToken,
+    openRefreshToken
+};
@@ -0,0 +1,215 @@
+// =====================================================
+// TOTP (RFC 6238)
+// Authenticator-app codes as a second factor
+//
+// A user enrolls by scanning the otpauth:// URI (as a QR
+// code) and confirming with a first code. From then on,
+// every login needs a TOTP after the phone/email OTP.
+// =====================================================
+
+const crypto = require('crypto');
+const { db } = require('../db');
+
+// Name shown in the authenticator app
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'SecureAuth';
+
+// Standard authenticator-app settings (SHA-1, 6 digits, 30s)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Steps either side of now that are still accepted (clock drift)
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+/**
+ * Decode a base32 string (spaces and padding ignored)
+ * @param {string} value - Base32 string
+ * @returns {Buffer} - Raw bytes
+ */
+const base32Decode = (value) => {
+    const clean = value.toUpperCase().replace(/[\s=]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate the code for one time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Current time step
+ * @returns {number} - Seconds since epoch / period
+ */
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Find the time step a code belongs to, within the drift window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} - Matching step, or null if the code is wrong
+ */
+const matchStep = (secret, code) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const now = currentStep();
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps scan
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Phone number or email shown in the app
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret: secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * A user's enrollment row
+ * @param {string} userId - User id
+ * @returns {object|undefined} - totp_enrollments row
+ */
+const getEnrollment = (userId) => {
+    return db.prepare('SELECT * FROM totp_enrollments WHERE user_id = ?').get(userId);
+};
+
+/**
+ * Whether a user has a confirmed authenticator app
+ * @param {string} userId - User id
+ * @returns {boolean} - TOTP required at login
+ */
+const isTotpEnabled = (userId) => Boolean(getEnrollment(userId)?.secret);
+
+/**
+ * Start (or restart) enrollment with a fresh secret
+ * The secret only becomes active once a code from it is confirmed.
+ * @param {string} userId - User id
+ * @param {string} accountName - Phone number or email shown in the app
+ * @returns {object} - { secret, otpauthUri }
+ */
+const startTotpEnrollment = (userId, accountName) => {
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    db.prepare(`
+        INSERT INTO totp_enrollments (user_id, pending_secret) VALUES (?, ?)
+        ON CONFLICT (user_id) DO UPDATE SET pending_secret = excluded.pending_secret
+    `).run(userId, secret);
+
+    return { secret, otpauthUri: buildOtpauthUri(secret, accountName) };
+};
+
+/**
+ * Confirm enrollment with the first code from the app
+ * @param {string} userId - User id
+ * @param {string} code - Code from the authenticator app
+ * @returns {boolean} - Whether TOTP is now enabled
+ */
+const confirmTotpEnrollment = (userId, code) => {
+    const enrollment = getEnrollment(userId);
+    const step = enrollment?.pending_secret ? matchStep(enrollment.pending_secret, code) : null;
+
+    if (step === null) {
+        return false;
+    }
+
+    db.prepare(`
+        UPDATE totp_enrollments
+        SET secret = pending_secret, pending_secret = NULL, enabled_at = ?, last_used_step = ?
+        WHERE user_id = ?
+    `).run(Date.now(), step, userId);
+    return true;
+};
+
+/**
+ * Check a login code against the user's enrolled secret
+ * A code can only be used once (replayed codes are rejected).
+ * @param {string} userId - User id
+ * @param {string} code - Code from the authenticator app
+ * @returns {boolean} - Whether the code is valid
+ */
+const verifyTotp = (userId, code) => {
+    const enrollment = getEnrollment(userId);
+    const step = enrollment?.secret ? matchStep(enrollment.secret, code) : null;
+
+    if (step === null || step <= enrollment.last_used_step) {
+        return false;
+    }
+
+    db.prepare('UPDATE totp_enrollments SET last_used_step = ? WHERE user_id = ?').run(step, userId);
+    return true;
+};
+
+/**
+ * Remove a user's authenticator app
+ * @param {string} userId - User id
+ */
+const disableTotp = (userId) => {
+    db.prepare('DELETE FROM totp_enrollments WHERE user_id = ?').run(userId);
+};
+
+module.exports = {
+    TOTP_DIGITS,
+    isTotpEnabled,
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    verifyTotp,
+    disableTotp
+};
@@ -0,0 +1,196 @@
+// =====================================================
+// Users
+// One account per verified phone number (or email),
+// created the first time it logs in
+// =====================================================
+
+const crypto = require('crypto');
+const { db } = require('../db');
+const { getProvider } = require('../providers');
+const { logger } = require('../logger');
+
+/**
+ * Turn a users row into a user object
+ * @param {object} row - users table row
+ * @returns {object|null} - { id, phone, email, displayName, avatarUrl, locale, verifiedChannels, createdAt, lastLoginAt }
+ */
+const toUser = (row) => {
+    if (!row) {
+        return null;
+    }
+
+    return {
+        id: row.id,
+        phone: row.phone,
+        email: row.email,
+        displayName: row.display_name,
+        avatarUrl: row.avatar_url,
+        locale: row.locale,
+        verifiedChannels: JSON.parse(row.verified_channels),
+        createdAt: row.created_at,
+        lastLoginAt: row.last_login_at
+    };
+};
+
+/**
+ * Look up a user by id
+ * @param {string} id - User id
+ * @returns {object|null} - User, or null
+ */
+const getUserById = (id) => {
+    return toUser(db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+};
+
+/**
+ * Look up the user a verified phone number / email belongs to
+ * An email typed into someone's profile (never verified by OTP)
+ * doesn't count - it can't be used to get into their account.
+ * @param {object} identity - { phone } or { email }
+ * @returns {object|null} - User, or null if it has never logged in
+ */
+const findUserByIdentity = (identity) => {
+    const row = identity.phone
+        ? db.prepare('SELECT * FROM users WHERE phone = ?').get(identity.phone)
+        : db.prepare(`
+            SELECT * FROM users
+            WHERE email = ? AND EXISTS (SELECT 1 FROM json_each(verified_channels) WHERE value = 'email')
+        `).get(identity.email);
+
+    return toUser(row);
+};
+
+/**
+ * Whether an email address is already on another user's account
+ * @param {string} email - Normalised email address
+ * @param {string} userId - User asking (their own address doesn't count)
+ * @returns {boolean} - Whether the address is taken
+ */
+const isEmailTaken = (email, userId) => {
+    return Boolean(db.prepare('SELECT 1 FROM users WHERE email = ? AND id != ?').get(email, userId));
+};
+
+/**
+ * Update a user's profile
+ * @param {string} userId - User id
+ * @param {object} changes - Any of { displayName, email, avatarUrl, locale } (null clears a field)
+ * @returns {object} - Updated user
+ */
+const updateProfile = (userId, changes) => {
+    const columns = {
+        displayName: 'display_name',
+        email: 'email',
+        avatarUrl: 'avatar_url',
+        locale: 'locale'
+    };
+    const fields = Object.keys(changes).filter((field) => columns[field]);
+
+    if (fields.length) {
+        db.prepare(`UPDATE users SET ${fields.map((field) => `${columns[field]} = ?`).join(', ')} WHERE id = ?`)
+            .run(...fields.map((field) => changes[field]), userId);
+    }
+
+    return getUserById(userId);
+};
+
+/**
+ * The identity to start a session with for a user
+ * @param {object} user - User
+ * @returns {object} - { phone } or { email }
+ */
+const identityOf = (user) => (user.phone ? { phone: user.phone } : { email: user.email });
+
+/**
+ * Record a successful login - creates the user on its first one
+ * @param {object} identity - What was verified: { phone } or { email }
+ * @param {string} channel - How it was verified (sms, email, passkey, recovery...)
+ * @param {object} device - { ip, userAgent } of the login, for the login history
+ * @returns {object} - User
+ */
+const recordLogin = db.transaction((identity, channel, device = {}) => {
+    const now = Date.now();
+    let user = findUserByIdentity(identity);
+
+    if (!user) {
+        // The address was only ever typed into another profile - the verified owner gets it
+        if (identity.email) {
+            db.prepare('UPDATE users SET email = NULL WHERE email = ?').run(identity.email);
+        }
+
+        const id = crypto.randomUUID();
+        db.prepare(`
+            INSERT INTO users (id, phone, email, created_at)
+            VALUES (?, ?, ?, ?)
+        `).run(id, identity.phone || null, identity.email || null, now);
+
+        logger.info(`👤 New user ${id} (${identity.phone || identity.email})`);
+        user = getUserById(id);
+    }
+
+    // Only OTP channels count as verified - not passkeys / recovery codes
+    const verifiedChannels = getProvider(channel) && !user.verifiedChannels.includes(channel)
+        ? [...user.verifiedChannels, channel]
+        : user.verifiedChannels;
+
+    db.prepare('UPDATE users SET last_login_at = ?, verified_channels = ? WHERE id = ?')
+        .run(now, JSON.stringify(verifiedChannels), user.id);
+
+    db.prepare('INSERT INTO logins (user_id, channel, ip, user_agent, created_at) VALUES (?, ?, ?, ?, ?)')
+        .run(user.id, channel, device.ip || null, device.userAgent || null, now);
+
+    return getUserById(user.id);
+});
+
+/**
+ * A user's login history (newest first)
+ * @param {string} userId - User id
+ * @returns {object[]} - [{ channel, ip, userAgent, createdAt }]
+ */
+const listLogins = (userId) => {
+    return db.prepare('SELECT * FROM logins WHERE user_id = ? ORDER BY created_at DESC, id DESC')
+        .all(userId)
+        .map((row) => ({
+            channel: row.channel,
+            ip: row.ip,
+            userAgent: row.user_agent,
+            createdAt: row.created_at
+        }));
+};
+
+/**
+ * Delete a user and everything stored with them
+ * (second factors, passkeys, phone changes and login history cascade)
+ * @param {string} userId - User id
+ * @returns {boolean} - Whether the user existed
+ */
+const deleteUser = (userId) => {
+    return db.prepare('DELETE FROM users WHERE id = ?').run(userId).changes === 1;
+};
+
+/**
+ * WebAuthn user handle for a user - random, so it doesn't leak the phone number
+ * @param {string} userId - User id
+ * @returns {Buffer} - 32-byte user handle
+ */
+const getWebauthnUserId = (userId) => {
+    const row = db.prepare('SELECT webauthn_user_id FROM users WHERE id = ?').get(userId);
+
+    if (row?.webauthn_user_id) {
+        return row.webauthn_user_id;
+    }
+
+    const handle = crypto.randomBytes(32);
+    db.prepare('UPDATE users SET webauthn_user_id = ? WHERE id = ?').run(handle, userId);
+    return handle;
+};
+
+module.exports = {
+    getUserById,
+    findUserByIdentity,
+    isEmailTaken,
+    updateProfile,
+    identityOf,
+    recordLogin,
+    listLogins,
+    deleteUser,
+    getWebauthnUserId
+};
@@ -0,0 +1,14 @@
+// =====================================================
+// Frontend Origins
+// Where the frontend is served from - allowed by CORS
+// (server.js) and accepted as the origin of passkey
+// ceremonies (auth/passkeys.js)
+// =====================================================
+
+// Comma separated, e.g. FRONTEND_ORIGINS=https://app.example.com
+const FRONTEND_ORIGINS = (process.env.FRONTEND_ORIGINS || 'http://localhost:5173,http://localhost:3000,http://127.0.0.1:5173')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+module.exports = { FRONTEND_ORIGINS };
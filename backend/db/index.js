@@ -0,0 +1,126 @@
+// =====================================================
+// Database
+// SQLite (better-sqlite3) for everything that has to
+// outlive a restart - user accounts and their second
+// factors. Sessions and OTPs stay in memory / the OTP store.
+//
+//   DATABASE_FILE=./data/secureauth.db   (":memory:" for a throwaway DB)
+//
+// Schema changes are appended to MIGRATIONS - the file's
+// user_version records how many have been applied.
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { logger } = require('../logger');
+
+const DATABASE_FILE = process.env.DATABASE_FILE || path.join(__dirname, '..', 'data', 'secureauth.db');
+
+// Applied in order, each exactly once
+const MIGRATIONS = [
+    // 1 - users and their second factors
+    `
+    CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        phone TEXT UNIQUE,
+        email TEXT UNIQUE,
+        display_name TEXT,
+        verified_channels TEXT NOT NULL DEFAULT '[]',
+        webauthn_user_id BLOB,
+        created_at INTEGER NOT NULL,
+        last_login_at INTEGER
+    );
+
+    CREATE TABLE totp_enrollments (
+        user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        secret TEXT,
+        pending_secret TEXT,
+        enabled_at INTEGER,
+        last_used_step INTEGER
+    );
+
+    CREATE TABLE recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        salt TEXT NOT NULL,
+        hash TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+    );
+    CREATE INDEX recovery_codes_user_id ON recovery_codes(user_id);
+
+    CREATE TABLE passkeys (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        public_key BLOB NOT NULL,
+        counter INTEGER NOT NULL,
+        transports TEXT NOT NULL DEFAULT '[]',
+        name TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER
+    );
+    CREATE INDEX passkeys_user_id ON passkeys(user_id);
+    `,
+    // 2 - profile fields
+    `
+    ALTER TABLE users ADD COLUMN avatar_url TEXT;
+    ALTER TABLE users ADD COLUMN locale TEXT;
+    `,
+    // 3 - phone number changes waiting out their grace period
+    `
+    CREATE TABLE phone_changes (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        old_phone TEXT NOT NULL,
+        new_phone TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        effective_at INTEGER NOT NULL,
+        finished_at INTEGER
+    );
+    CREATE INDEX phone_changes_status ON phone_changes(status, effective_at);
+    `,
+    // 4 - login history
+    `
+    CREATE TABLE logins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        channel TEXT NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        created_at INTEGER NOT NULL
+    );
+    CREATE INDEX logins_user_id ON logins(user_id, created_at);
+    `
+];
+
+/**
+ * Open the database and bring its schema up to date
+ * @param {string} filePath - SQLite file (or ":memory:")
+ * @returns {object} - better-sqlite3 Database
+ */
+const openDatabase = (filePath) => {
+    if (filePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    const applied = db.pragma('user_version', { simple: true });
+
+    MIGRATIONS.slice(applied).forEach((sql, index) => {
+        db.transaction(() => {
+            db.exec(sql);
+            db.pragma(`user_version = ${applied + index + 1}`);
+        })();
+        logger.info(`🗄️  Database migration ${applied + index + 1} applied`);
+    });
+
+    return db;
+};
+
+const db = openDatabase(DATABASE_FILE);
+
+module.exports = { db, DATABASE_FILE };
@@ -0,0 +1,181 @@
+// =====================================================
+// Logger
+// Leveled logging with the request ID on every line and
+// PII / secrets redacted before anything is written:
+//
+//   LOG_LEVEL=debug | info | warn | error | silent   (default info)
+//   LOG_FORMAT=json | pretty   (default json in production,
+//                               the emoji console output otherwise)
+//
+// Phone numbers and emails are masked, and OTPs, tokens and
+// the provider keys (API_KEY, META_WHATSAPP_API_KEY, ...)
+// replaced with [REDACTED] - in messages and in fields.
+// In free text only E.164 numbers (+919876543210) count as
+// phones; fields known to hold one are masked in any format.
+// =====================================================
+
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { maskPhone } = require('../utils/phone');
+const { maskEmail } = require('../utils/email');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info';
+const LOG_FORMAT = ['json', 'pretty'].includes(process.env.LOG_FORMAT)
+    ? process.env.LOG_FORMAT
+    : process.env.NODE_ENV === 'production' ? 'json' : 'pretty';
+
+// Fields whose value is never logged
+const SECRET_FIELDS = /^(otp|otpvalue|apikey|api_key|password|secret|token|authorization|cookie|set-cookie)$/i;
+
+// Fields that hold a phone number, with or without the + (provider payloads and
+// responses: 2Factor / Meta "to", custom WhatsApp "receiver", Meta "wa_id" / "input")
+const PHONE_FIELDS = /^(phone|phonenumber|phone_number|newphone|oldphone|mobile|to|receiver|recipient|wa_id|input)$/i;
+
+// Environment variables whose values are scrubbed wherever they show up
+const SECRET_ENV_VARS = ['API_KEY', 'META_WHATSAPP_API_KEY', 'ADMIN_API_TOKEN', 'SESSION_SECRET', 'OTP_HASH_SECRET'];
+
+// An OTP written out in text: "your OTP is 123456", otpvalue=123456, "otp":"1234"
+const OTP_PATTERN = /\b(otp(?:value)?\b["']?\s*(?:[:=]|is)?\s*["']?)((?=[A-Z]*\d)[A-Z0-9]{4,10})\b/gi;
+
+// E.164 numbers - bare digit runs could be anything (ids, timestamps, amounts)
+const PHONE_PATTERN = /\+\d{7,15}\b/g;
+const EMAIL_PATTERN = /[^\s@'"<>(),:;]+@[^\s@'"<>(),:;]+\.[a-z]{2,}/gi;
+
+// Request ID of the request being handled (see middleware/requestId.js)
+const requestContext = new AsyncLocalStorage();
+
+// Values of SECRET_ENV_VARS, read on first use (after dotenv has run)
+let secretValues = null;
+
+/**
+ * Configured secret values
+ * @returns {string[]} - Values to scrub
+ */
+const getSecretValues = () => {
+    if (!secretValues) {
+        secretValues = SECRET_ENV_VARS
+            .map((name) => process.env[name])
+            .filter((value) => value && value.length >= 4);
+    }
+    return secretValues;
+};
+
+/**
+ * Redact one string - secrets, OTPs, then emails and phone numbers
+ * @param {string} text - Text to clean
+ * @returns {string} - Text that is safe to log
+ */
+const redactString = (text) => {
+    let result = text;
+
+    for (const secret of getSecretValues()) {
+        result = result.split(secret).join('[REDACTED]');
+    }
+
+    return result
+        .replace(OTP_PATTERN, '$1[REDACTED]')
+        .replace(EMAIL_PATTERN, (email) => maskEmail(email.toLowerCase()))
+        .replace(PHONE_PATTERN, (phone) => maskPhone(phone));
+};
+
+/**
+ * Mask the value of a PHONE_FIELDS field
+ * @param {*} value - Field value (E.164, bare digits as sent to a provider, or an email for "recipient")
+ * @returns {*} - Masked value
+ */
+const redactPhoneField = (value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+        return value;
+    }
+
+    const text = String(value);
+
+    if (/^\+?\d{7,15}$/.test(text)) {
+        return text.startsWith('+') ? maskPhone(text) : `${'*'.repeat(text.length - 4)}${text.slice(-4)}`;
+    }
+
+    return redactString(text);
+};
+
+/**
+ * Redact any value that is about to be logged (objects are copied, not changed)
+ * @param {*} value - Value to clean
+ * @param {number} depth - Nesting depth so far
+ * @param {WeakSet} seen - Objects already visited (circular references)
+ * @returns {*} - Value that is safe to log
+ */
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    if (value instanceof Error) {
+        return redact({ name: value.name, message: value.message, code: value.code }, depth, seen);
+    }
+
+    if (seen.has(value) || depth > 5) {
+        return '[...]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1, seen));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        if (SECRET_FIELDS.test(key) && item !== undefined && item !== null) {
+            return [key, '[REDACTED]'];
+        }
+
+        return [key, PHONE_FIELDS.test(key) ? redactPhoneField(item) : redact(item, depth + 1, seen)];
+    }));
+};
+
+/**
+ * Write one log line
+ * @param {string} level - debug | info | warn | error
+ * @param {string} message - What happened
+ * @param {object} fields - Extra structured details
+ */
+const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+        return;
+    }
+
+    const requestId = requestContext.getStore()?.requestId;
+    const details = redact(fields);
+
+    if (LOG_FORMAT === 'json') {
+        process.stdout.write(`${JSON.stringify({
+            time: new Date().toISOString(),
+            level: level,
+            ...(requestId && { requestId: requestId }),
+            msg: redactString(message),
+            ...details
+        })}\n`);
+        return;
+    }
+
+    // Pretty: the message as before, details inline, short request ID at the end
+    const extra = Object.keys(details).length
+        ? ` ${util.inspect(details, { depth: 4, breakLength: Infinity, colors: process.stdout.isTTY })}`
+        : '';
+    const line = `${redactString(message)}${extra}${requestId ? ` [${requestId.slice(0, 8)}]` : ''}\n`;
+
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+};
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = { LOG_LEVEL, LOG_FORMAT, logger, requestContext };
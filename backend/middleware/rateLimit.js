@@ -0,0 +1,176 @@
+// =====================================================
+// Rate Limiting
+// Sliding-window limits per phone number, per client IP
+// and globally per channel, kept in the shared store so
+// they hold across server instances
+//
+// Each window is two fixed buckets counted with the store's
+// atomic incr - the previous bucket weighted by how much of
+// it still overlaps the window - so parallel requests (and
+// other instances) each see their own count. Requests that
+// get a 429 are counted too: hammering keeps a client out.
+//
+// If the store fails, requests are let through (logged) so
+// a Redis outage doesn't take logins down. Set
+// RATE_LIMIT_FAIL_CLOSED=true to answer 503 instead.
+// =====================================================
+
+const { recordAuditEvent } = require('../audit');
+const { logger } = require('../logger');
+
+const RATE_LIMIT_FAIL_CLOSED = process.env.RATE_LIMIT_FAIL_CLOSED === 'true';
+
+// Default limits: { max requests, window in seconds }
+// Override with RATE_LIMIT_<ACTION>_<SCOPE>="<max>/<windowSeconds>",
+// e.g. RATE_LIMIT_SEND_PHONE=5/900
+const DEFAULT_LIMITS = {
+    send: {
+        phone: { max: 5, windowSeconds: 15 * 60 },
+        ip: { max: 20, windowSeconds: 15 * 60 },
+        global: { max: 200, windowSeconds: 60 }
+    },
+    resend: {
+        phone: { max: 3, windowSeconds: 15 * 60 },
+        ip: { max: 10, windowSeconds: 15 * 60 },
+        global: { max: 100, windowSeconds: 60 }
+    },
+    verify: {
+        phone: { max: 10, windowSeconds: 15 * 60 },
+        ip: { max: 50, windowSeconds: 15 * 60 },
+        global: { max: 1000, windowSeconds: 60 }
+    }
+};
+
+/**
+ * Read one limit from the environment, falling back to the default
+ * @param {string} action - send | resend | verify
+ * @param {string} scope - phone | ip | global
+ * @returns {object} - { max: number, windowMs: number }
+ */
+const readLimit = (action, scope) => {
+    const fallback = DEFAULT_LIMITS[action][scope];
+    const raw = process.env[`RATE_LIMIT_${action.toUpperCase()}_${scope.toUpperCase()}`];
+    const [max, windowSeconds] = (raw || '').split('/').map((value) => parseInt(value, 10));
+
+    if (max > 0 && windowSeconds > 0) {
+        return { max: max, windowMs: windowSeconds * 1000 };
+    }
+
+    return { max: fallback.max, windowMs: fallback.windowSeconds * 1000 };
+};
+
+/**
+ * How long until one more request would fit in a window again
+ * (assuming nothing else comes in meanwhile)
+ * @param {object} limit - { max, windowMs }
+ * @param {number} bucket - Index of the current bucket
+ * @param {number} current - Hits in the current bucket
+ * @param {number} previous - Hits in the previous bucket
+ * @param {number} now - Epoch ms
+ * @returns {number} - Milliseconds to wait
+ */
+const retryAfterFor = (limit, bucket, current, previous, now) => {
+    let fraction;
+
+    if (current + 1 <= limit.max && previous > 0) {
+        // Later in this bucket, once enough of the previous one has slid out
+        fraction = bucket + 1 - ((limit.max - current - 1) / previous);
+    } else {
+        // In the next bucket, once enough of this one has slid out
+        fraction = bucket + 1 + Math.max(0, 1 - ((limit.max - 1) / current));
+    }
+
+    return Math.max(1000, Math.ceil((fraction * limit.windowMs) - now));
+};
+
+/**
+ * Create the rate limiter middleware factory
+ * @param {object} store - Key/value store ({ get, incr }) from stores/index.js
+ * @returns {function} - rateLimit(channel, action, getPhone) => middleware
+ */
+const createRateLimiter = (store) => {
+    /**
+     * Count a hit in a sliding window and check it against the limit
+     * @param {string} key - Store key prefix for the window
+     * @param {object} limit - { max, windowMs }
+     * @returns {Promise<object>} - { count: estimated hits in the window, retryAfterMs: 0 if allowed }
+     */
+    const hitWindow = async (key, limit) => {
+        const now = Date.now();
+        const bucket = Math.floor(now / limit.windowMs);
+
+        // Buckets live for two windows, so the previous one can still be read
+        const current = await store.incr(`${key}:${bucket}`, limit.windowMs * 2);
+        const previous = Number(await store.get(`${key}:${bucket - 1}`)) || 0;
+
+        const overlap = 1 - ((now % limit.windowMs) / limit.windowMs);
+        const count = (previous * overlap) + current;
+
+        return {
+            count: count,
+            retryAfterMs: count > limit.max ? retryAfterFor(limit, bucket, current, previous, now) : 0
+        };
+    };
+
+    /**
+     * Build a middleware limiting one channel action
+     * @param {string} channel - sms | whatsapp | whatsapp-meta
+     * @param {string} action - send | resend | verify
+     * @param {function} getPhone - (req) => normalised phone number / email, or '' if missing
+     * @returns {function} - Express middleware
+     */
+    return (channel, action, getPhone) => async (req, res, next) => {
+        try {
+            const phone = getPhone(req);
+            const prefix = `ratelimit:${channel}:${action}`;
+
+            const windows = [
+                { scope: 'global', key: `${prefix}:global`, limit: readLimit(action, 'global') },
+                { scope: 'ip', key: `${prefix}:ip:${req.ip}`, limit: readLimit(action, 'ip') }
+            ];
+
+            if (phone) {
+                windows.push({ scope: 'phone', key: `${prefix}:phone:${phone}`, limit: readLimit(action, 'phone') });
+            }
+
+            const results = await Promise.all(windows.map((w) => hitWindow(w.key, w.limit)));
+            const retryAfterMs = Math.max(...results.map((result) => result.retryAfterMs));
+
+            if (retryAfterMs > 0) {
+                const retryAfter = Math.ceil(retryAfterMs / 1000);
+                logger.warn(`⛔ Rate limited ${channel} ${action} (ip: ${req.ip}) - retry in ${retryAfter}s`);
+
+                // Outcome is the window that ran out (phone | ip | global)
+                recordAuditEvent(req, 'rate_limited', {
+                    channel: channel,
+                    recipient: phone || null,
+                    outcome: windows[results.findIndex((result) => result.retryAfterMs > 0)].scope,
+                    action: action
+                });
+
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: `Too many requests. Please try again in ${retryAfter} seconds.`,
+                    retryAfter: retryAfter
+                });
+            }
+
+            next();
+        } catch (error) {
+            logger.error('❌ Rate Limiter Error', { error: error.message });
+
+            if (RATE_LIMIT_FAIL_CLOSED) {
+                return res.status(503).json({
+                    success: false,
+                    message: 'Service temporarily unavailable. Please try again later.'
+                });
+            }
+
+            // Fail open (the default) - see the header
+            next();
+        }
+    };
+};
+
+module.exports = { createRateLimiter };
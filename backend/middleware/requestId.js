@@ -0,0 +1,40 @@
+// =====================================================
+// Request IDs
+// Every request gets an ID - the caller's X-Request-Id if
+// it sent a sane one, a new UUID otherwise. It's echoed in
+// the response header and added to every log line written
+// while the request is handled (see logger/index.js).
+// =====================================================
+
+const crypto = require('crypto');
+const { logger, requestContext } = require('../logger');
+
+// What an incoming X-Request-Id may look like to be reused
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware - assign the request ID and log the request once it's answered
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+const requestId = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const startedAt = Date.now();
+
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    res.on('finish', () => {
+        logger.info(`➡️  ${req.method} ${req.originalUrl.split('?')[0]} ${res.statusCode}`, {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt
+        });
+    });
+
+    requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = { requestId };
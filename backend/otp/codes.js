@@ -0,0 +1,81 @@
+// =====================================================
+// OTP Codes
+// Generation + format checks, configurable per channel
+// =====================================================
+
+const crypto = require('crypto');
+
+// Characters an OTP can be made of
+// (alphanumeric leaves out 0/O and 1/I so codes are easy to read back)
+const OTP_ALPHABETS = {
+    numeric: '0123456789',
+    alphanumeric: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+};
+
+/**
+ * Read an OTP length/format pair for a channel from the environment
+ * @param {string} prefix - Env var prefix (e.g. SMS -> SMS_OTP_LENGTH, SMS_OTP_FORMAT)
+ * @param {number} defaultLength - Length used when not configured
+ * @returns {object} - { length: number, format: 'numeric' | 'alphanumeric' }
+ */
+const readOtpConfig = (prefix, defaultLength) => {
+    const length = parseInt(process.env[`${prefix}_OTP_LENGTH`], 10);
+    const format = (process.env[`${prefix}_OTP_FORMAT`] || 'numeric').toLowerCase();
+
+    return {
+        length: length >= 4 && length <= 10 ? length : defaultLength,
+        format: OTP_ALPHABETS[format] ? format : 'numeric'
+    };
+};
+
+/**
+ * Generate a cryptographically secure OTP
+ * @param {object} config - { length, format } from readOtpConfig
+ * @returns {string} - OTP of the configured length/format
+ */
+const generateOTP = (config) => {
+    const alphabet = OTP_ALPHABETS[config.format];
+    let otp = '';
+
+    for (let i = 0; i < config.length; i++) {
+        otp += alphabet[crypto.randomInt(alphabet.length)];
+    }
+
+    return otp;
+};
+
+/**
+ * Check an entered OTP matches the configured length/format
+ * @param {string} otp - OTP entered by the user
+ * @param {object} config - { length, format }
+ * @returns {boolean} - Whether the OTP is well-formed
+ */
+const isValidOtpFormat = (otp, config) => {
+    const pattern = config.format === 'numeric' ? /^\d+$/ : /^[A-Z0-9]+$/;
+    return typeof otp === 'string' && otp.length === config.length && pattern.test(otp);
+};
+
+/**
+ * Normalise an entered OTP (alphanumeric codes are case-insensitive)
+ * @param {string} otp - OTP entered by the user
+ * @returns {string} - Normalised OTP
+ */
+const normalizeOTP = (otp) => String(otp).trim().toUpperCase();
+
+/**
+ * OTP details the frontend needs to size its input boxes
+ * @param {object} config - { length, format }
+ * @returns {object} - { otpLength, otpFormat }
+ */
+const otpFormatDetails = (config) => ({
+    otpLength: config.length,
+    otpFormat: config.format
+});
+
+module.exports = {
+    readOtpConfig,
+    generateOTP,
+    isValidOtpFormat,
+    normalizeOTP,
+    otpFormatDetails
+};
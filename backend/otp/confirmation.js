@@ -0,0 +1,164 @@
+// =====================================================
+// OTP Confirmation
+// A fresh OTP to confirm a sensitive action for someone
+// who is already known (changing the phone number,
+// deleting the account...). Codes go out through the
+// login providers - same fallback, country rules and
+// resend cooldown - but are stored under their own
+// purpose, so a login OTP can't confirm the action and
+// a confirmation OTP can't log anyone in.
+// =====================================================
+
+const { createOtpStorage } = require('./storage');
+const { createOtpDelivery } = require('./delivery');
+const { createResendCooldown } = require('./cooldown');
+const { getCountryRoute, isChannelAllowed } = require('./routing');
+const { isValidOtpFormat, normalizeOTP, otpFormatDetails } = require('./codes');
+const { recordAuditEvent, recordOtpCheck } = require('../audit');
+
+/**
+ * Create the send / check helpers for one purpose
+ * @param {object} store - Key/value store shared by OTPs, cooldowns and rate limits
+ * @param {string} purpose - What the codes confirm (e.g. 'phone-change')
+ * @returns {object} - { sendCode, checkCode }
+ */
+const createOtpConfirmation = (store, purpose) => {
+    const otpStorage = createOtpStorage(store, purpose);
+    const { verifyOTP } = otpStorage;
+    const { deliverOTP } = createOtpDelivery(otpStorage);
+    const { reserveResendCooldown, clearResendCooldown } = createResendCooldown(store, purpose);
+
+    /**
+     * Send a code and answer the request
+     * @param {object} req - Express request
+     * @param {object} res - Express response
+     * @param {object} requested - Provider the user asked for
+     * @param {object} recipient - { address, display, country } (country null for email)
+     */
+    const sendCode = async (req, res, requested, recipient) => {
+        const route = requested.recipient === 'phone' ? getCountryRoute(recipient.country) : null;
+
+        if (route && !route.allowed) {
+            return res.status(403).json({
+                success: false,
+                message: `Sorry, we can't send verification codes to numbers in ${route.name}.`
+            });
+        }
+
+        if (route && !isChannelAllowed(route, requested.channel)) {
+            return res.status(400).json({
+                success: false,
+                message: `${requested.label} isn't available for numbers in ${route.name}.`,
+                channels: route.channels
+            });
+        }
+
+        // Reserved before sending, so concurrent sends can't both get through
+        const cooldown = await reserveResendCooldown(recipient.address);
+
+        if (!cooldown.allowed) {
+            recordAuditEvent(req, 'rate_limited', {
+                channel: requested.channel,
+                recipient: recipient.address,
+                outcome: 'cooldown',
+                purpose: purpose,
+                action: 'send'
+            });
+            res.set('Retry-After', String(cooldown.retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Please wait ${cooldown.retryAfter} seconds before requesting another OTP.`,
+                retryAfter: cooldown.retryAfter,
+                nextResendAt: cooldown.nextResendAt
+            });
+        }
+
+        let delivery;
+
+        try {
+            delivery = await deliverOTP(requested, recipient.address, route?.channels || null);
+        } catch (error) {
+            await cooldown.release();
+            throw error;
+        }
+
+        const { provider, failure, attempts } = delivery;
+
+        attempts.forEach((attempt) => recordAuditEvent(req, 'otp.sent', {
+            ...attempt,
+            recipient: recipient.address,
+            purpose: purpose
+        }));
+
+        if (!provider) {
+            await cooldown.release();
+            return res.status(failure.unreachable ? 503 : 400).json({
+                success: false,
+                message: failure.unreachable
+                    ? 'Unable to send OTP right now. Please try again later.'
+                    : failure.message || `Failed to send ${requested.label} OTP. Please try again.`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: provider.messages.sent,
+            // Verify against the channel that actually delivered the OTP
+            channel: provider.channel,
+            ...(requested.recipient === 'email'
+                ? { email: recipient.address }
+                : { phoneNumber: recipient.address, displayNumber: recipient.display }),
+            ...otpFormatDetails(provider.otpConfig),
+            resendAvailableIn: cooldown.resendAvailableIn,
+            nextResendAt: cooldown.nextResendAt
+        });
+    };
+
+    /**
+     * Check a code sent by sendCode, answering the request when it's wrong
+     * @param {object} req - Express request ({ otp } in the body)
+     * @param {object} res - Express response
+     * @param {object|null} provider - Provider of the channel the code went out on
+     * @param {string} address - E.164 number / email the code was sent to
+     * @returns {Promise<boolean>} - Whether the code was right
+     */
+    const checkCode = async (req, res, provider, address) => {
+        const otp = normalizeOTP(req.body?.otp || '');
+
+        if (!provider || !otp || !isValidOtpFormat(otp, provider.otpConfig)) {
+            if (provider && otp) {
+                recordOtpCheck(req, { channel: provider.channel, recipient: address, purpose: purpose },
+                    { valid: false, reason: 'invalid_format' });
+            }
+
+            res.status(400).json({
+                success: false,
+                verified: false,
+                message: provider
+                    ? `Invalid OTP format. Please enter the ${provider.otpConfig.length}-character OTP.`
+                    : `Unknown OTP channel: ${req.body?.channel}`
+            });
+            return false;
+        }
+
+        const result = await verifyOTP(provider, address, otp);
+        recordOtpCheck(req, { channel: provider.channel, recipient: address, purpose: purpose }, result);
+
+        if (!result.valid) {
+            res.status(400).json({
+                success: false,
+                verified: false,
+                message: result.message,
+                attemptsRemaining: result.attemptsRemaining
+            });
+            return false;
+        }
+
+        await clearResendCooldown(address);
+        return true;
+    };
+
+    return { sendCode, checkCode };
+};
+
+module.exports = { createOtpConfirmation };
@@ -0,0 +1,118 @@
+// =====================================================
+// Resend Cooldown
+// Server-enforced wait between OTP sends, doubling with
+// every resend (30s, 60s, 120s...). Counted per recipient
+// and purpose - switching channel doesn't reset it, and
+// sending a login OTP doesn't hold up a phone change code.
+//
+// The cooldown is reserved before the provider is called
+// (and released if delivery fails), so concurrent sends
+// can't both get through: each send claims the next slot
+// with an atomic store increment, and only one can win it.
+// =====================================================
+
+const crypto = require('crypto');
+
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.RESEND_COOLDOWN_SECONDS, 10) || 30;
+const RESEND_COOLDOWN_MAX_SECONDS = parseInt(process.env.RESEND_COOLDOWN_MAX_SECONDS, 10) || 15 * 60;
+// Resend count is forgotten after this long without a send
+const RESEND_RESET_MINUTES = parseInt(process.env.RESEND_RESET_MINUTES, 10) || 60;
+
+/**
+ * Store key for a recipient's resend cooldown
+ * @param {string|null} purpose - What the OTPs are for (null for login)
+ * @param {string} recipient - Phone number (E.164) or email address
+ * @returns {string} - Store key
+ */
+const cooldownKey = (purpose, recipient) => (purpose
+    ? `resend:${purpose}:${recipient}`
+    : `resend:${recipient}`);
+
+/**
+ * Wait before the send after this one
+ * @param {number} sends - Sends so far, including this one
+ * @returns {number} - Seconds
+ */
+const cooldownSecondsFor = (sends) => Math.min(
+    RESEND_COOLDOWN_SECONDS * Math.pow(2, sends - 1),
+    RESEND_COOLDOWN_MAX_SECONDS
+);
+
+/**
+ * Create the resend cooldown helpers on top of a key/value store
+ * @param {object} store - Key/value store ({ get, set, delete, incr }) from stores/index.js
+ * @param {string|null} purpose - What the OTPs are for (null for login), as in otp/storage.js
+ * @returns {object} - { reserveResendCooldown, clearResendCooldown }
+ */
+const createResendCooldown = (store, purpose = null) => {
+    /**
+     * Claim the right to send an OTP now and start the cooldown for the next one
+     * Call release() on the result if the OTP couldn't be delivered after all.
+     * @param {string} recipient - Phone number (E.164) or email address
+     * @returns {Promise<object>} - Allowed: { allowed: true, resendAvailableIn, nextResendAt, release: async function }
+     *                              Cooling down: { allowed: false, retryAfter, nextResendAt }
+     */
+    const reserveResendCooldown = async (recipient) => {
+        const key = cooldownKey(purpose, recipient);
+        const previous = await store.get(key);
+        const sends = (previous?.sends || 0) + 1;
+        const cooldownSeconds = cooldownSecondsFor(sends);
+        const ttlMs = Math.max(cooldownSeconds * 1000, RESEND_RESET_MINUTES * 60 * 1000);
+
+        const busy = (nextAllowedAt) => ({
+            allowed: false,
+            retryAfter: Math.max(1, Math.ceil((nextAllowedAt - Date.now()) / 1000)),
+            nextResendAt: new Date(nextAllowedAt).toISOString()
+        });
+
+        if (previous && Date.now() < previous.nextAllowedAt) {
+            return busy(previous.nextAllowedAt);
+        }
+
+        // Everyone who read the same record races for the same slot - one gets 1.
+        // Slots belong to a series of sends (a fresh one after clearResendCooldown),
+        // so old slots never block a new series.
+        const slotKey = previous ? `${key}:slot:${previous.series}:${sends}` : `${key}:slot:new`;
+
+        if (await store.incr(slotKey, ttlMs) !== 1) {
+            return busy(Date.now() + (cooldownSeconds * 1000));
+        }
+
+        const nextAllowedAt = Date.now() + (cooldownSeconds * 1000);
+
+        await store.set(key, {
+            series: previous?.series || crypto.randomUUID(),
+            sends: sends,
+            nextAllowedAt: nextAllowedAt
+        }, ttlMs);
+
+        return {
+            allowed: true,
+            resendAvailableIn: cooldownSeconds,
+            nextResendAt: new Date(nextAllowedAt).toISOString(),
+            // Undo the reservation - back to how it was before this send
+            release: async () => {
+                if (previous) {
+                    await store.set(key, previous, Math.max(1, ttlMs));
+                } else {
+                    await store.delete(key);
+                }
+                await store.delete(slotKey);
+            }
+        };
+    };
+
+    /**
+     * Forget the resend count (after a successful verification)
+     * @param {string} recipient - Phone number (E.164) or email address
+     */
+    const clearResendCooldown = async (recipient) => {
+        const key = cooldownKey(purpose, recipient);
+        await store.delete(key);
+        await store.delete(`${key}:slot:new`);
+    };
+
+    return { reserveResendCooldown, clearResendCooldown };
+};
+
+module.exports = { createResendCooldown };
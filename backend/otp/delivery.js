@@ -0,0 +1,74 @@
+// =====================================================
+// OTP Delivery
+// Generate, store and send an OTP through the providers,
+// falling back to the next channel when one fails. Used
+// by the login routes and the phone number change flow.
+// =====================================================
+
+const { fallbackChain } = require('../providers');
+const { generateOTP } = require('./codes');
+const { logger } = require('../logger');
+
+/**
+ * Create the delivery helper on top of an OTP storage
+ * @param {object} storage - { storeOTP, clearStoredOTP } from otp/storage.js
+ * @returns {object} - { deliverOTP }
+ */
+const createOtpDelivery = ({ storeOTP, clearStoredOTP }) => {
+    /**
+     * Deliver a fresh OTP, falling back to the next channel when a provider fails
+     * Each attempt gets its own code in its channel's length/format.
+     * @param {object} requested - Provider the user asked for
+     * @param {string} recipient - E.164 phone number or email address
+     * @param {string[]|null} countryChannels - Channels allowed for the number's country
+     * @returns {Promise<object>} - { provider: object|null, failure: { message, unreachable }|null,
+     *                                 attempts: [{ channel, outcome: 'delivered' | 'rejected' | 'unreachable', providerCode }] }
+     */
+    const deliverOTP = async (requested, recipient, countryChannels) => {
+        const attempts = [];
+        let failure = null;
+
+        for (const provider of fallbackChain(requested, countryChannels)) {
+            // Generate the OTP ourselves so its length/format is configurable
+            const otp = generateOTP(provider.otpConfig);
+
+            // Providers that verify remotely only need the attempt counter
+            // (confirmation OTPs keep the hash anyway - see otp/storage.js)
+            await storeOTP(provider.channel, recipient, otp, {
+                keepHash: !provider.verify,
+                requestedChannel: requested.channel
+            });
+
+            try {
+                const result = await provider.send(recipient, otp);
+
+                attempts.push({
+                    channel: provider.channel,
+                    outcome: result.success ? 'delivered' : 'rejected',
+                    providerCode: result.code || null
+                });
+
+                if (result.success) {
+                    return { provider, failure: null, attempts };
+                }
+
+                failure = { message: result.message, unreachable: false };
+            } catch (error) {
+                // Network error, timeout or misconfigured provider
+                logger.error(`❌ ${provider.label} Send Error`, { error: error.message });
+                attempts.push({ channel: provider.channel, outcome: 'unreachable', providerCode: null });
+                failure = { message: null, unreachable: true };
+            }
+
+            // Remove stored OTP if sending failed
+            await clearStoredOTP(provider.channel, recipient);
+            logger.warn(`↪️  ${provider.label} delivery failed for ${recipient}`);
+        }
+
+        return { provider: null, failure, attempts };
+    };
+
+    return { deliverOTP };
+};
+
+module.exports = { createOtpDelivery };
@@ -0,0 +1,122 @@
+// =====================================================
+// Country Routing
+// Which countries we send OTPs to, and on which channels
+//
+// Loaded from config/countries.json (or COUNTRY_ROUTING_FILE):
+//
+//   {
+//     "allowUnlisted": false,            allowlist - only listed countries
+//     "countries": {
+//       "IN": { "name": "India", "channels": ["sms", "whatsapp-meta"] },
+//       "AE": { "channels": ["whatsapp-meta", "whatsapp"] },
+//       "KP": { "blocked": true }        denylist entry (for allowUnlisted: true)
+//     }
+//   }
+//
+// "channels" is the country's delivery + fallback order;
+// countries without it use OTP_FALLBACK_ORDER.
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+const { getCountryCallingCode } = require('libphonenumber-js/max');
+const { providers, getProvider } = require('../providers');
+const { logger } = require('../logger');
+
+const ROUTING_FILE = process.env.COUNTRY_ROUTING_FILE || path.join(__dirname, '..', 'config', 'countries.json');
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Load and sanity-check the routing table
+ * @returns {object} - { allowUnlisted: boolean, countries: { [iso]: { name, channels, blocked } } }
+ */
+const loadRoutingTable = () => {
+    const table = JSON.parse(fs.readFileSync(ROUTING_FILE, 'utf8'));
+    const countries = {};
+
+    Object.entries(table.countries || {}).forEach(([iso, entry]) => {
+        const code = iso.toUpperCase();
+        const channels = entry.channels?.filter((channel) => {
+            if (getProvider(channel)?.recipient !== 'phone') {
+                logger.warn(`⚠️  Country routing: unknown phone channel "${channel}" for ${code} - ignored.`);
+                return false;
+            }
+            return true;
+        });
+
+        countries[code] = {
+            name: entry.name || regionNames.of(code),
+            channels: channels?.length ? channels : null,
+            blocked: Boolean(entry.blocked)
+        };
+    });
+
+    return { allowUnlisted: Boolean(table.allowUnlisted), countries };
+};
+
+const routingTable = loadRoutingTable();
+
+/**
+ * Flag emoji for a country (regional indicator letters)
+ * @param {string} iso - ISO 3166 alpha-2 code
+ * @returns {string} - Flag emoji
+ */
+const countryFlag = (iso) => String.fromCodePoint(...[...iso].map((letter) => 0x1F1E6 + letter.charCodeAt(0) - 65));
+
+/**
+ * Look up how OTPs for a country should be sent
+ * @param {string|null} iso - ISO 3166 alpha-2 code (null for non-geographic numbers)
+ * @returns {object} - { allowed: boolean, name: string, channels: string[]|null }
+ */
+const getCountryRoute = (iso) => {
+    const entry = iso ? routingTable.countries[iso] : null;
+
+    if (!entry) {
+        return {
+            allowed: routingTable.allowUnlisted,
+            name: iso ? regionNames.of(iso) : 'this region',
+            channels: null
+        };
+    }
+
+    return { allowed: !entry.blocked, name: entry.name, channels: entry.channels };
+};
+
+/**
+ * Whether a country route allows sending on a channel
+ * Callers reject the request otherwise - the user picked a channel,
+ * so we don't quietly swap it for another one.
+ * @param {object} route - From getCountryRoute
+ * @param {string} channel - Channel name
+ * @returns {boolean} - True if the channel may be used
+ */
+const isChannelAllowed = (route, channel) => !route.channels || route.channels.includes(channel);
+
+/**
+ * Channel for a phone number when the request doesn't name one
+ * @param {string|null} iso - ISO 3166 alpha-2 code
+ * @returns {string} - First channel in the country's list, else sms
+ */
+const defaultPhoneChannel = (iso) => getCountryRoute(iso).channels?.[0] || 'sms';
+
+/**
+ * Countries the login pages can offer, in config order
+ * @returns {object[]} - [{ code: '+91', country: 'IN', flag, name, channels }]
+ */
+const listCountries = () => {
+    return Object.entries(routingTable.countries)
+        .filter(([, entry]) => !entry.blocked)
+        .map(([iso, entry]) => ({
+            code: `+${getCountryCallingCode(iso)}`,
+            country: iso,
+            flag: countryFlag(iso),
+            name: entry.name,
+            // Countries without their own list can use any phone channel
+            channels: entry.channels || providers
+                .filter((provider) => provider.recipient === 'phone')
+                .map((provider) => provider.channel)
+        }));
+};
+
+module.exports = { getCountryRoute, isChannelAllowed, defaultPhoneChannel, listCountries };
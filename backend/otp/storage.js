@@ -0,0 +1,226 @@
+// =====================================================
+// OTP Storage
+// Pending OTPs per channel + recipient, with attempt limits
+// (counted with an atomic store increment, under <key>:attempts)
+//
+// Login OTPs on channels whose provider checks the code itself
+// (e.g. 2Factor VERIFY3) store no hash - the record only counts
+// guesses. OTPs for any other purpose always keep the hash: the
+// provider only knows the last code sent to a number, so it
+// would accept a login OTP as a phone change confirmation.
+// =====================================================
+
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+// OTP Configuration
+const OTP_EXPIRY_MINUTES = 5;
+
+// What OTPs can be stored for (null = login) - see otp/confirmation.js
+const OTP_PURPOSES = [null, 'phone-change', 'delete-account'];
+
+// Wrong guesses allowed per OTP before it is invalidated
+const MAX_OTP_ATTEMPTS = parseInt(process.env.MAX_OTP_ATTEMPTS, 10) || 5;
+
+// Server secret stored OTPs are hashed with.
+// Without one we fall back to a random per-process secret, which means
+// pending OTPs in a shared/persistent store can't be verified after a restart.
+const OTP_HASH_SECRET = process.env.OTP_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.OTP_HASH_SECRET) {
+    logger.warn('⚠️  OTP_HASH_SECRET is not set - using a random secret, stored OTPs will not survive a restart.');
+}
+
+/**
+ * Store key for a recipient's pending OTP on a channel
+ * @param {string|null} purpose - What the OTP is for (null for login)
+ * @param {string} channel - Channel name (sms, whatsapp, ...)
+ * @param {string} recipient - Phone number (E.164) or email address
+ * @returns {string} - Store key
+ */
+const otpKey = (purpose, channel, recipient) => (purpose
+    ? `otp:${purpose}:${channel}:${recipient}`
+    : `otp:${channel}:${recipient}`);
+
+/**
+ * Store key for the guess counter of a pending OTP
+ * @param {string} key - Store key of the OTP record
+ * @returns {string} - Store key
+ */
+const attemptsKey = (key) => `${key}:attempts`;
+
+/**
+ * Hash an OTP for storage (HMAC-SHA256 with the server secret + a per-OTP salt)
+ * @param {string} recipient - Phone number / email the OTP belongs to
+ * @param {string} otp - OTP value
+ * @param {string} salt - Random salt stored alongside the hash
+ * @returns {string} - Hex digest
+ */
+const hashOTP = (recipient, otp, salt) => {
+    return crypto
+        .createHmac('sha256', OTP_HASH_SECRET)
+        .update(`${salt}:${recipient}:${otp}`)
+        .digest('hex');
+};
+
+/**
+ * Create the OTP storage helpers on top of a key/value store
+ * OTPs sent for another purpose (e.g. 'phone-change') are kept
+ * apart from login OTPs, so one can't be used as the other.
+ * @param {object} store - Key/value store ({ get, set, delete, incr }) from stores/index.js
+ * @param {string|null} purpose - What the OTPs are for (null for login)
+ * @returns {object} - { storeOTP, clearStoredOTP, verifyOTP }
+ */
+const createOtpStorage = (store, purpose = null) => {
+    /**
+     * Store a freshly sent OTP with expiry
+     * Only a salted hash is kept - never the OTP itself
+     * @param {string} channel - Channel the OTP was sent on
+     * @param {string} recipient - Phone number (E.164) or email address
+     * @param {string} otp - OTP value
+     * @param {object} options - { keepHash: false when the provider verifies the code itself
+     *                             (ignored for purposes other than login),
+     *                             requestedChannel: channel the user asked for, if it fell back }
+     */
+    const storeOTP = async (channel, recipient, otp, { keepHash = true, requestedChannel = channel } = {}) => {
+        const record = {
+            requestedChannel: requestedChannel,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + (OTP_EXPIRY_MINUTES * 60 * 1000)
+        };
+
+        if (keepHash || purpose) {
+            record.salt = crypto.randomBytes(16).toString('hex');
+            record.otpHash = hashOTP(recipient, otp, record.salt);
+        }
+
+        const key = otpKey(purpose, channel, recipient);
+        await store.set(key, record, OTP_EXPIRY_MINUTES * 60 * 1000);
+        await store.delete(attemptsKey(key));
+    };
+
+    /**
+     * Remove a pending OTP and its guess counter
+     * @param {string} key - Store key of the record
+     */
+    const discardOTP = async (key) => {
+        await store.delete(key);
+        await store.delete(attemptsKey(key));
+    };
+
+    /**
+     * Remove a pending OTP (e.g. when sending it failed)
+     * @param {string} channel - Channel name
+     * @param {string} recipient - Phone number (E.164) or email address
+     */
+    const clearStoredOTP = async (channel, recipient) => {
+        await discardOTP(otpKey(purpose, channel, recipient));
+    };
+
+    /**
+     * Result of a wrong guess, given how many guesses have been made
+     * The record is deleted once MAX_OTP_ATTEMPTS is reached, so the OTP
+     * can't be guessed any further - a new one has to be requested.
+     * @param {string} key - Store key of the record
+     * @param {number} attempts - Guesses made so far, including this one
+     * @returns {Promise<object>} - { reason: 'mismatch' | 'locked', message: string, attemptsRemaining: number }
+     */
+    const recordFailedAttempt = async (key, attempts) => {
+        const attemptsRemaining = Math.max(0, MAX_OTP_ATTEMPTS - attempts);
+
+        if (attemptsRemaining === 0) {
+            await discardOTP(key);
+            return {
+                reason: 'locked',
+                message: 'Too many incorrect attempts. Please request a new OTP.',
+                attemptsRemaining: 0
+            };
+        }
+
+        return {
+            reason: 'mismatch',
+            message: `Invalid OTP. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} remaining.`,
+            attemptsRemaining: attemptsRemaining
+        };
+    };
+
+    /**
+     * Verify an entered OTP
+     * Checked against the stored hash, or by the provider when none was kept
+     * @param {object} provider - OTP provider (see providers/index.js)
+     * @param {string} recipient - Phone number (E.164) or email address
+     * @param {string} otp - OTP to verify
+     * @returns {Promise<object>} - { valid: boolean, message: string, attemptsRemaining?: number,
+     *                                 requestedChannel?: string,
+     *                                 reason?: 'missing' | 'expired' | 'mismatch' | 'locked',
+     *                                 providerCode?: number (when the provider checked it) }
+     */
+    const verifyOTP = async (provider, recipient, otp) => {
+        const key = otpKey(purpose, provider.channel, recipient);
+        const stored = await store.get(key);
+
+        if (!stored) {
+            return { valid: false, reason: 'missing', message: 'No OTP was sent to this number. Please request OTP first.' };
+        }
+
+        if (Date.now() > stored.expiresAt) {
+            await discardOTP(key);
+            return { valid: false, reason: 'expired', message: 'OTP has expired. Please request a new OTP.' };
+        }
+
+        // Count the guess before checking it - parallel guesses each get their own number,
+        // so no more than MAX_OTP_ATTEMPTS are ever compared
+        const attempts = await store.incr(attemptsKey(key), Math.max(1, stored.expiresAt - Date.now()));
+
+        if (attempts > MAX_OTP_ATTEMPTS) {
+            await discardOTP(key);
+            return {
+                valid: false,
+                reason: 'locked',
+                message: 'Too many incorrect attempts. Please request a new OTP.',
+                attemptsRemaining: 0
+            };
+        }
+
+        let matched;
+        let providerCode = null;
+
+        if (stored.otpHash) {
+            // Constant-time comparison so response timing leaks nothing about the code
+            const expected = Buffer.from(stored.otpHash, 'hex');
+            const actual = Buffer.from(hashOTP(recipient, otp, stored.salt), 'hex');
+            matched = crypto.timingSafeEqual(expected, actual);
+        } else {
+            const result = await provider.verify(recipient, otp);
+            providerCode = result.code || null;
+
+            if (result.reason === 'expired') {
+                await discardOTP(key);
+                return { valid: false, reason: 'expired', providerCode: providerCode, message: 'OTP has expired. Please request a new OTP.' };
+            } else if (result.reason === 'missing') {
+                await discardOTP(key);
+                return { valid: false, reason: 'missing', providerCode: providerCode, message: 'No OTP was sent to this number. Please request OTP first.' };
+            }
+
+            matched = result.valid;
+        }
+
+        if (!matched) {
+            const failure = await recordFailedAttempt(key, attempts);
+            return { valid: false, providerCode: providerCode, ...failure };
+        }
+
+        // OTP matched - remove from storage
+        await discardOTP(key);
+        return {
+            valid: true,
+            message: 'OTP verified successfully!',
+            requestedChannel: stored.requestedChannel || provider.channel,
+            providerCode: providerCode
+        };
+    };
+
+    return { storeOTP, clearStoredOTP, verifyOTP };
+};
+
+module.exports = { createOtpStorage, OTP_EXPIRY_MINUTES, OTP_PURPOSES };
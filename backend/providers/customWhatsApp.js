@@ -0,0 +1,72 @@
+// =====================================================
+// Custom WhatsApp Provider
+// Template message through the campaign WhatsApp API -
+// no verify API, so OTPs are checked against our store
+// =====================================================
+
+const http = require('./http');
+const { readOtpConfig } = require('../otp/codes');
+const { logger } = require('../logger');
+
+const WHATSAPP_API_URL = process.env.WHATSAPP_API_URL || 'https://adminapis.backendprod.com/lms_campaign/api/whatsapp/template/09stbyfn12/process';
+
+/**
+ * Send an OTP over WhatsApp
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} otp - OTP to deliver
+ * @returns {Promise<object>} - { success: boolean, message?: string, code?: number }
+ */
+const send = async (phoneNumber, otp) => {
+    const requestData = {
+        receiver: phoneNumber,
+        values: {
+            "1": otp
+        }
+    };
+
+    logger.debug('📤 Calling WhatsApp API...');
+
+    try {
+        const response = await http.post(WHATSAPP_API_URL, requestData, {
+            headers: {
+                'Content-Type': 'application/json'
+            }
+        });
+
+        logger.debug('📥 WhatsApp API Response', { response: response.data });
+
+        // Adjust this based on actual API response structure
+        if (response.data && (response.data.success || response.status === 200)) {
+            return { success: true, code: response.status };
+        }
+
+        return { success: false, message: response.data?.message, code: response.status };
+    } catch (error) {
+        if (!error.response) throw error;
+
+        logger.error('WhatsApp API Error', { response: error.response.data });
+        return { success: false, message: error.response.data?.message, code: error.response.status };
+    }
+};
+
+/**
+ * The campaign API has no status endpoint - only check it is configured
+ * @returns {Promise<object>} - { healthy: boolean, message: string }
+ */
+const healthCheck = async () => ({
+    healthy: Boolean(WHATSAPP_API_URL),
+    message: WHATSAPP_API_URL ? 'Configured' : 'WHATSAPP_API_URL is not set'
+});
+
+module.exports = {
+    channel: 'whatsapp',
+    label: 'WhatsApp',
+    recipient: 'phone',
+    otpConfig: readOtpConfig('WHATSAPP', 4),
+    messages: {
+        sent: 'OTP sent successfully via WhatsApp! Please check your WhatsApp.',
+        resent: 'New OTP sent via WhatsApp!'
+    },
+    send,
+    healthCheck
+};
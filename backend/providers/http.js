@@ -0,0 +1,12 @@
+// =====================================================
+// Provider HTTP Client
+// Shared axios instance with a request timeout, so a hung
+// provider fails fast and the next channel can take over
+// =====================================================
+
+const axios = require('axios');
+
+// How long to wait on a provider before treating it as down
+const PROVIDER_TIMEOUT_MS = parseInt(process.env.OTP_PROVIDER_TIMEOUT_MS, 10) || 10000;
+
+module.exports = axios.create({ timeout: PROVIDER_TIMEOUT_MS });
@@ -0,0 +1,76 @@
+// =====================================================
+// OTP Providers
+// Every delivery channel is one adapter with the same shape:
+//
+//   channel       route name (/api/otp/:channel/...)
+//   label         human readable name for messages
+//   recipient     'phone' | 'email' - what the user enters
+//   otpConfig     { length, format } from readOtpConfig
+//   messages      { sent, resent } shown after a send
+//   send(to, otp)       -> { success, message?, code? }   to is E.164 / an email
+//                          (throws when the provider can't be reached)
+//   verify(to, otp)     -> { valid, reason?, code? }   optional - without it
+//                          the OTP is checked against our own store
+//
+// "code" is the provider's response code (HTTP status, SMTP reply code)
+// for the audit log.
+//   healthCheck()       -> { healthy, message }
+//
+// Adding a channel = writing an adapter and listing it here.
+//
+// Fallback: when a send fails, the next channel after the
+// requested one in OTP_FALLBACK_ORDER is tried, e.g.
+//   OTP_FALLBACK_ORDER=sms,whatsapp-meta,whatsapp
+// (a channel with nothing after it - or not listed - has no fallback)
+// =====================================================
+
+const twoFactorSms = require('./twoFactorSms');
+const twoFactorVoice = require('./twoFactorVoice');
+const customWhatsApp = require('./customWhatsApp');
+const metaWhatsApp = require('./metaWhatsApp');
+const email = require('./email');
+
+const providers = [twoFactorSms, twoFactorVoice, customWhatsApp, metaWhatsApp, email];
+
+/**
+ * Look up the provider for a channel
+ * @param {string} channel - Channel name from the URL
+ * @returns {object|null} - Provider, or null for an unknown channel
+ */
+const getProvider = (channel) => providers.find((provider) => provider.channel === channel) || null;
+
+// Channels to fall back through, in order (phone channels only)
+const FALLBACK_ORDER = (process.env.OTP_FALLBACK_ORDER || 'sms,whatsapp-meta,whatsapp')
+    .split(',')
+    .map((channel) => channel.trim())
+    .filter((channel) => getProvider(channel)?.recipient === 'phone');
+
+/**
+ * Providers to try for a send, starting with the requested one
+ * A country's own channel list (see otp/routing.js) replaces the global
+ * order. The requested channel has to be on it - the routes check that.
+ * @param {object} provider - Provider the user asked for
+ * @param {string[]|null} countryChannels - Channels allowed for the number's country
+ * @returns {object[]} - Providers to try, in order
+ */
+const fallbackChain = (provider, countryChannels = null) => {
+    if (countryChannels) {
+        const allowed = countryChannels.indexOf(provider.channel);
+
+        if (allowed === -1) {
+            throw new Error(`Channel ${provider.channel} is not allowed for this country`);
+        }
+
+        return countryChannels.slice(allowed).map(getProvider);
+    }
+
+    const position = FALLBACK_ORDER.indexOf(provider.channel);
+
+    if (position === -1) {
+        return [provider];
+    }
+
+    return [provider, ...FALLBACK_ORDER.slice(position + 1).map(getProvider)];
+};
+
+module.exports = { providers, getProvider, fallbackChain };
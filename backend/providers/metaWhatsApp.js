@@ -0,0 +1,106 @@
+// =====================================================
+// Meta WhatsApp Provider (Old Simple WhatsApp)
+// Cloud API template message with a copy-code button -
+// OTPs are checked against our store
+// =====================================================
+
+const http = require('./http');
+const { readOtpConfig } = require('../otp/codes');
+const { logger } = require('../logger');
+
+const META_WHATSAPP_API_URL = process.env.META_WHATSAPP_API_URL;
+const META_WHATSAPP_API_KEY = process.env.META_WHATSAPP_API_KEY;
+
+/**
+ * Send an OTP over Meta WhatsApp
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} otp - OTP to deliver
+ * @returns {Promise<object>} - { success: boolean, message?: string, code?: number }
+ */
+const send = async (phoneNumber, otp) => {
+    const requestData = {
+        messaging_product: "whatsapp",
+        recipient_type: "individual",
+        to: phoneNumber.replace(/^\+/, ''),  // Country code + number, no +
+        type: "template",
+        template: {
+            name: "otp_template1",
+            language: {
+                code: "en"
+            },
+            components: [
+                {
+                    type: "body",
+                    parameters: [
+                        {
+                            type: "text",
+                            text: otp
+                        }
+                    ]
+                },
+                {
+                    type: "button",
+                    sub_type: "url",
+                    index: "0",
+                    parameters: [
+                        {
+                            type: "payload",
+                            payload: otp
+                        }
+                    ]
+                }
+            ]
+        }
+    };
+
+    logger.debug('📤 Calling Meta WhatsApp API...');
+
+    try {
+        const response = await http.post(META_WHATSAPP_API_URL, requestData, {
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': META_WHATSAPP_API_KEY
+            }
+        });
+
+        logger.debug('📥 Meta WhatsApp API Response', { response: response.data });
+
+        // Response has "message_status": "accepted" when successful,
+        // but sometimes 200 OK is enough
+        if (response.data?.messages?.[0]?.message_status === 'accepted' || response.status === 200) {
+            return { success: true, code: response.status };
+        }
+
+        return { success: false, message: response.data?.message, code: response.status };
+    } catch (error) {
+        if (!error.response) throw error;
+
+        logger.error('Meta WhatsApp API Error', { response: error.response.data });
+        return { success: false, message: error.response.data?.message, code: error.response.status };
+    }
+};
+
+/**
+ * Only check the API is configured - a test send would cost a message
+ * @returns {Promise<object>} - { healthy: boolean, message: string }
+ */
+const healthCheck = async () => {
+    if (!META_WHATSAPP_API_URL || !META_WHATSAPP_API_KEY) {
+        return { healthy: false, message: 'META_WHATSAPP_API_URL / META_WHATSAPP_API_KEY are not set' };
+    }
+
+    return { healthy: true, message: 'Configured' };
+};
+
+module.exports = {
+    channel: 'whatsapp-meta',
+    label: 'Meta WhatsApp',
+    recipient: 'phone',
+    otpConfig: readOtpConfig('META_WHATSAPP', 4),
+    messages: {
+        sent: 'OTP sent successfully via WhatsApp! Please check your WhatsApp.',
+        resent: 'New OTP sent via WhatsApp!'
+    },
+    send,
+    healthCheck
+};
@@ -0,0 +1,81 @@
+// =====================================================
+// 2Factor API Client
+// Shared by the SMS and voice providers - both use the
+// V1 API for VERIFY3 and balance checks
+// =====================================================
+
+const http = require('./http');
+const { logger } = require('../logger');
+
+const API_KEY = process.env.API_KEY;
+// V1 API base (send for voice, verify + balance for both)
+const VERIFY_OTP_URL = process.env.VERIFY_OTP_URL || 'https://2factor.in/API/V1';
+
+/**
+ * 2Factor takes the number with its country code but without the +
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {string} - e.g. 919876543210
+ */
+const toTwoFactorNumber = (phoneNumber) => phoneNumber.replace(/^\+/, '');
+
+/**
+ * Check an entered OTP with 2Factor VERIFY3
+ * @param {string} service - SMS | VOICE
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} otp - OTP entered by the user
+ * @returns {Promise<object>} - { valid: boolean, reason?: 'mismatch' | 'expired' | 'missing', code?: number }
+ */
+const verifyOtp = async (service, phoneNumber, otp) => {
+    // Format: https://2factor.in/API/V1/{api_key}/{SMS|VOICE}/VERIFY3/{phone_number}/{otp}
+    const verifyUrl = `${VERIFY_OTP_URL}/${API_KEY}/${service}/VERIFY3/${toTwoFactorNumber(phoneNumber)}/${otp}`;
+
+    logger.debug(`📤 Calling 2Factor ${service} Verify OTP API...`);
+
+    try {
+        const response = await http.get(verifyUrl);
+
+        logger.debug('📥 2Factor Verify Response', { response: response.data });
+
+        if (response.data.Status === 'Success' && response.data.Details === 'OTP Matched') {
+            return { valid: true, code: response.status };
+        }
+
+        return { valid: false, reason: 'mismatch', code: response.status };
+    } catch (error) {
+        const errorDetails = error.response?.data?.Details || '';
+        const code = error.response?.status;
+
+        // Check for specific error messages from 2Factor
+        if (errorDetails.includes('OTP Mismatch') || errorDetails.includes('OTP not matched')) {
+            return { valid: false, reason: 'mismatch', code: code };
+        } else if (errorDetails.includes('OTP Expired')) {
+            return { valid: false, reason: 'expired', code: code };
+        } else if (errorDetails.includes('No OTP request')) {
+            return { valid: false, reason: 'missing', code: code };
+        }
+
+        if (error.response) {
+            logger.error('2Factor API Error', { response: error.response.data });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Check the 2Factor account is reachable (balance lookup)
+ * @param {string} service - SMS | VOICE
+ * @returns {Promise<object>} - { healthy: boolean, message: string }
+ */
+const checkBalance = async (service) => {
+    if (!API_KEY) {
+        return { healthy: false, message: 'API_KEY is not set' };
+    }
+
+    const response = await http.get(`${VERIFY_OTP_URL}/${API_KEY}/BAL/${service}`, { timeout: 5000 });
+
+    return response.data.Status === 'Success'
+        ? { healthy: true, message: `${service} balance: ${response.data.Details}` }
+        : { healthy: false, message: response.data.Details || 'Unexpected 2Factor response' };
+};
+
+module.exports = { API_KEY, VERIFY_OTP_URL, toTwoFactorNumber, verifyOtp, checkBalance };
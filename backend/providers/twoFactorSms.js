@@ -0,0 +1,68 @@
+// =====================================================
+// 2Factor SMS Provider
+// Sends our own OTP through 2Factor (otpvalue) and lets
+// 2Factor check it with VERIFY3
+// =====================================================
+
+const http = require('./http');
+const { API_KEY, toTwoFactorNumber, verifyOtp, checkBalance } = require('./twoFactor');
+const { readOtpConfig } = require('../otp/codes');
+const { logger } = require('../logger');
+
+const SEND_OTP_URL = process.env.SEND_OTP_URL || 'https://2factor.in/API/R1/';
+const OTP_TEMPLATE = process.env.OTP_TEMPLATE || 'OTP1';
+
+/**
+ * Send an OTP by SMS
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} otp - OTP to deliver
+ * @returns {Promise<object>} - { success: boolean, message?: string, code?: number }
+ */
+const send = async (phoneNumber, otp) => {
+    // Using x-www-form-urlencoded format
+    const requestData = new URLSearchParams({
+        module: 'SMS_OTP',
+        apikey: API_KEY,
+        to: toTwoFactorNumber(phoneNumber),
+        otpvalue: otp,  // 2Factor stores it for VERIFY3
+        templatename: OTP_TEMPLATE
+    });
+
+    logger.debug('📤 Calling 2Factor Send OTP API...');
+
+    try {
+        const response = await http.post(SEND_OTP_URL, requestData, {
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            }
+        });
+
+        logger.debug('📥 2Factor Response', { response: response.data });
+
+        if (response.data.Status === 'Success') {
+            return { success: true, code: response.status };
+        }
+
+        logger.error('❌ 2Factor Error', { response: response.data });
+        return { success: false, message: response.data.Details, code: response.status };
+    } catch (error) {
+        if (!error.response) throw error;
+
+        logger.error('2Factor API Error', { response: error.response.data });
+        return { success: false, message: error.response.data?.Details, code: error.response.status };
+    }
+};
+
+module.exports = {
+    channel: 'sms',
+    label: 'SMS',
+    recipient: 'phone',
+    otpConfig: readOtpConfig('SMS', 6),
+    messages: {
+        sent: 'OTP sent successfully! Please check your phone.',
+        resent: 'New OTP sent successfully!'
+    },
+    send,
+    verify: (phoneNumber, otp) => verifyOtp('SMS', phoneNumber, otp),
+    healthCheck: () => checkBalance('SMS')
+};
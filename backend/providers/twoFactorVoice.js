@@ -0,0 +1,56 @@
+// =====================================================
+// 2Factor Voice Provider
+// 2Factor calls the user and reads out our OTP - for
+// feature phones and numbers where SMS doesn't arrive (DND)
+// =====================================================
+
+const http = require('./http');
+const { API_KEY, VERIFY_OTP_URL, toTwoFactorNumber, verifyOtp, checkBalance } = require('./twoFactor');
+const { readOtpConfig } = require('../otp/codes');
+const { logger } = require('../logger');
+
+/**
+ * Deliver an OTP by voice call
+ * @param {string} phoneNumber - E.164 phone number
+ * @param {string} otp - OTP to read out
+ * @returns {Promise<object>} - { success: boolean, message?: string, code?: number }
+ */
+const send = async (phoneNumber, otp) => {
+    // Format: https://2factor.in/API/V1/{api_key}/VOICE/{phone_number}/{otp}
+    const callUrl = `${VERIFY_OTP_URL}/${API_KEY}/VOICE/${toTwoFactorNumber(phoneNumber)}/${otp}`;
+
+    logger.debug('📤 Calling 2Factor Voice OTP API...');
+
+    try {
+        const response = await http.get(callUrl);
+
+        logger.debug('📥 2Factor Voice Response', { response: response.data });
+
+        if (response.data.Status === 'Success') {
+            return { success: true, code: response.status };
+        }
+
+        logger.error('❌ 2Factor Voice Error', { response: response.data });
+        return { success: false, message: response.data.Details, code: response.status };
+    } catch (error) {
+        if (!error.response) throw error;
+
+        logger.error('2Factor API Error', { response: error.response.data });
+        return { success: false, message: error.response.data?.Details, code: error.response.status };
+    }
+};
+
+module.exports = {
+    channel: 'voice',
+    label: 'Voice call',
+    recipient: 'phone',
+    // Digits read out over a call - keep them numeric unless configured otherwise
+    otpConfig: readOtpConfig('VOICE', 6),
+    messages: {
+        sent: 'Calling you now - please answer to hear your OTP.',
+        resent: 'Calling you again with a new OTP.'
+    },
+    send,
+    verify: (phoneNumber, otp) => verifyOtp('VOICE', phoneNumber, otp),
+    healthCheck: () => checkBalance('VOICE')
+};
@@ -0,0 +1,163 @@
+// =====================================================
+// Admin Routes
+// Operator-only endpoints, behind a shared token:
+//
+//   ADMIN_API_TOKEN=<long random string>
+//   Authorization: Bearer <ADMIN_API_TOKEN>
+//
+//   GET /api/admin/audit
+//
+// Without ADMIN_API_TOKEN every admin endpoint answers 503.
+// =====================================================
+
+const crypto = require('crypto');
+const express = require('express');
+const { AUDIT_EVENTS, queryAuditEvents } = require('../audit');
+const { parsePhone } = require('../utils/phone');
+const { normalizeEmail } = require('../utils/email');
+
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || '';
+
+// Events returned per query unless ?limit= says otherwise (and at most)
+const DEFAULT_AUDIT_LIMIT = 100;
+const MAX_AUDIT_LIMIT = 1000;
+
+const router = express.Router();
+
+/**
+ * Middleware - only requests carrying the admin token
+ * Compared as hashes so the check takes the same time for any token.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Next middleware
+ */
+const requireAdmin = (req, res, next) => {
+    if (!ADMIN_API_TOKEN) {
+        return res.status(503).json({
+            success: false,
+            message: 'Admin API is disabled. Set ADMIN_API_TOKEN to enable it.'
+        });
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+
+    if (scheme !== 'Bearer' || !token || !crypto.timingSafeEqual(hash(token), hash(ADMIN_API_TOKEN))) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid admin token'
+        });
+    }
+
+    next();
+};
+
+/**
+ * Parse an optional ISO date query parameter
+ * @param {string} value - Query value
+ * @returns {number|null|undefined} - Epoch ms, null when left out, undefined when invalid
+ */
+const parseTime = (value) => {
+    if (!value) {
+        return null;
+    }
+
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? undefined : time;
+};
+
+router.use(requireAdmin);
+
+/**
+ * Audit Log Endpoint
+ * GET /api/admin/audit
+ *
+ * Query (all optional):
+ *   event      otp.sent | otp.verified | otp.failed | otp.expired | rate_limited | session.created
+ *   channel    sms | whatsapp | email | ...
+ *   phone      +917021312529 (or a national number with countryCode=+91)
+ *   email      user@example.com
+ *   userId, ip
+ *   since, until   ISO dates
+ *   limit      1-1000, default 100
+ *
+ * Response (newest first):
+ * {
+ *   "success": true,
+ *   "count": 1,
+ *   "events": [
+ *     {
+ *       "time": "...",
+ *       "event": "otp.failed",
+ *       "channel": "sms",
+ *       "phone": "+91******2529",
+ *       "ip": "127.0.0.1",
+ *       "userAgent": "Mozilla/5.0 ...",
+ *       "outcome": "mismatch",
+ *       "providerCode": 200,
+ *       "purpose": "login",
+ *       "userId": null
+ *     }
+ *   ]
+ * }
+ */
+router.get('/audit', async (req, res) => {
+    const { event, channel, userId, ip } = req.query;
+    const since = parseTime(req.query.since);
+    const until = parseTime(req.query.until);
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : DEFAULT_AUDIT_LIMIT;
+
+    if (event && !AUDIT_EVENTS.includes(event)) {
+        return res.status(400).json({
+            success: false,
+            message: `Unknown event. Expected one of: ${AUDIT_EVENTS.join(', ')}`
+        });
+    }
+
+    if (since === undefined || until === undefined) {
+        return res.status(400).json({
+            success: false,
+            message: 'since and until must be ISO dates'
+        });
+    }
+
+    if (!(limit >= 1 && limit <= MAX_AUDIT_LIMIT)) {
+        return res.status(400).json({
+            success: false,
+            message: `limit must be between 1 and ${MAX_AUDIT_LIMIT}`
+        });
+    }
+
+    let phone = null;
+
+    if (req.query.phone) {
+        phone = parsePhone(req.query.phone, req.query.countryCode)?.e164;
+
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid phone number'
+            });
+        }
+    }
+
+    const events = await queryAuditEvents({
+        event: event,
+        channel: channel,
+        phone: phone,
+        email: req.query.email ? normalizeEmail(req.query.email) : null,
+        userId: userId,
+        ip: ip,
+        since: since,
+        until: until,
+        limit: limit
+    });
+
+    res.json({
+        success: true,
+        count: events.length,
+        events: events
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+// =====================================================
+// Auth Routes
+// Session lookup / refresh / logout for the logged-in user
+// =====================================================
+
+const express = require('express');
+const {
+    REFRESH_TOKEN_COOKIE,
+    getSession,
+    listSessionsForSubject,
+    rotateRefreshToken,
+    revokeSession,
+    revokeSessionsForSubject,
+    getRequestSession,
+    clearSessionCookies,
+    requireAuth,
+    toUserResponse,
+    toSessionResponse
+} = require('../auth/sessions');
+
+const router = express.Router();
+
+/**
+ * Current User Endpoint
+ * GET /api/auth/me
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "user": { "id": "...", "phone": "+917021312529", "email": null, "displayName": null, ... },
+ *   "session": { "id": "...", "channel": "sms", "createdAt": "...", ... }
+ * }
+ */
+router.get('/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        user: toUserResponse(req.session),
+        session: toSessionResponse(req.session, req.session.id)
+    });
+});
+
+/**
+ * Active Sessions Endpoint
+ * GET /api/auth/sessions
+ *
+ * Lists every live session for the logged-in user
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "sessions": [
+ *     {
+ *       "id": "...",
+ *       "channel": "whatsapp",
+ *       "createdAt": "...",
+ *       "lastSeenAt": "...",
+ *       "userAgent": "Mozilla/5.0 ...",
+ *       "ip": "127.0.0.1",
+ *       "current": true
+ *     }
+ *   ]
+ * }
+ */
+router.get('/sessions', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        sessions: listSessionsForSubject(req.session.subject)
+            .map((session) => toSessionResponse(session, req.session.id))
+    });
+});
+
+/**
+ * Revoke Session Endpoint
+ * DELETE /api/auth/sessions/:id
+ *
+ * Signs out one device. Revoking the current session also clears the cookies.
+ */
+router.delete('/sessions/:id', requireAuth, (req, res) => {
+    const session = getSession(req.params.id);
+
+    // Only sessions belonging to the same user can be revoked
+    if (!session || session.subject !== req.session.subject) {
+        return res.status(404).json({
+            success: false,
+            message: 'Session not found'
+        });
+    }
+
+    revokeSession(session.id);
+
+    if (session.id === req.session.id) {
+        clearSessionCookies(res);
+    }
+
+    res.json({
+        success: true,
+        message: 'Device signed out',
+        current: session.id === req.session.id
+    });
+});
+
+/**
+ * Refresh Session Endpoint
+ * POST /api/auth/refresh
+ *
+ * Uses the refresh token cookie to issue a new access token.
+ * The refresh token is rotated on every call. Presenting the old one
+ * again within REFRESH_REUSE_GRACE_SECONDS (two tabs refreshing at
+ * once) returns the same new token; after that it revokes the session.
+ */
+router.post('/refresh', (req, res) => {
+    const token = req.cookies?.[REFRESH_TOKEN_COOKIE];
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'No refresh token. Please log in.'
+        });
+    }
+
+    const result = rotateRefreshToken(req, res, token);
+
+    if (!result.session) {
+        clearSessionCookies(res);
+        return res.status(401).json({
+            success: false,
+            message: result.message
+        });
+    }
+
+    res.json({
+        success: true,
+        message: result.message,
+        user: toUserResponse(result.session)
+    });
+});
+
+/**
+ * Logout Endpoint
+ * POST /api/auth/logout
+ *
+ * Revokes the current session and clears the session cookies
+ */
+router.post('/logout', (req, res) => {
+    const session = getRequestSession(req);
+
+    if (session) {
+        revokeSession(session.id);
+    }
+
+    clearSessionCookies(res);
+    res.json({
+        success: true,
+        message: 'Logged out successfully'
+    });
+});
+
+/**
+ * Logout Everywhere Endpoint
+ * POST /api/auth/logout-all
+ *
+ * Revokes every session for the logged-in user
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Logged out of all devices",
+ *   "revokedSessions": 3
+ * }
+ */
+router.post('/logout-all', requireAuth, (req, res) => {
+    const revokedSessions = revokeSessionsForSubject(req.session.subject);
+
+    clearSessionCookies(res);
+    res.json({
+        success: true,
+        message: 'Logged out of all devices',
+        revokedSessions: revokedSessions
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,478 @@
+// =====================================================
+// OTP Routes
+// Send / verify / resend for every provider channel:
+//
+//   POST /api/otp/:channel/send
+//   POST /api/otp/:channel/verify
+//   POST /api/otp/:channel/resend
+//   GET  /api/otp/countries
+//   GET  /api/otp/health
+// =====================================================
+
+const express = require('express');
+const { startSession, toUserResponse } = require('../auth/sessions');
+const { findUserByIdentity } = require('../auth/users');
+const { isTotpEnabled } = require('../auth/totp');
+const { createMfaChallenge } = require('../auth/mfa');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { providers, getProvider } = require('../providers');
+const { createOtpStorage } = require('../otp/storage');
+const { createOtpDelivery } = require('../otp/delivery');
+const { createResendCooldown } = require('../otp/cooldown');
+const { getCountryRoute, isChannelAllowed, listCountries } = require('../otp/routing');
+const { isValidOtpFormat, normalizeOTP, otpFormatDetails } = require('../otp/codes');
+const { parsePhone } = require('../utils/phone');
+const { normalizeEmail, validateEmail } = require('../utils/email');
+const { recordAuditEvent, recordOtpCheck } = require('../audit');
+const { logger } = require('../logger');
+
+// Error messages for each kind of recipient
+const RECIPIENT_MESSAGES = {
+    phone: {
+        required: 'Phone number is required',
+        invalid: 'Invalid phone number. Please enter a valid mobile number for the selected country.',
+        requiredWithOtp: 'Phone number and OTP are required'
+    },
+    email: {
+        required: 'Email address is required',
+        invalid: 'Invalid email address. Please check it and try again.',
+        requiredWithOtp: 'Email address and OTP are required'
+    }
+};
+
+/**
+ * Read the recipient a request is about - phoneNumber (+ countryCode)
+ * for phone channels, email for the email channel
+ * @param {object} req - Express request (req.provider already resolved)
+ * @returns {object|null} - { address, display, country, valid }, or null if none was sent
+ */
+const parseRecipient = (req) => {
+    if (req.provider.recipient === 'email') {
+        const email = normalizeEmail(req.body?.email);
+        return email ? { address: email, display: email, country: null, valid: validateEmail(email) } : null;
+    }
+
+    const phone = parsePhone(req.body?.phoneNumber, req.body?.countryCode);
+    return phone ? { address: phone.e164, display: phone.display, country: phone.country, valid: phone.valid } : null;
+};
+
+/**
+ * Recipient a request is about (used as the per-recipient rate limit key)
+ * @param {object} req - Express request
+ * @returns {string} - E.164 phone number / email, or '' if none was sent
+ */
+const requestRecipient = (req) => parseRecipient(req)?.address || '';
+
+/**
+ * Reject a send that is still cooling down
+ * @param {object} res - Express response
+ * @param {object} cooldown - Result of reserveResendCooldown
+ */
+const rejectCooldown = (res, cooldown) => {
+    res.set('Retry-After', String(cooldown.retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: `Please wait ${cooldown.retryAfter} seconds before requesting another OTP.`,
+        retryAfter: cooldown.retryAfter,
+        nextResendAt: cooldown.nextResendAt
+    });
+};
+
+/**
+ * Create the OTP router
+ * @param {object} store - Key/value store shared by OTPs, cooldowns and rate limits
+ * @returns {object} - Express router
+ */
+const createOtpRoutes = (store) => {
+    const router = express.Router();
+    const otpStorage = createOtpStorage(store);
+    const { verifyOTP } = otpStorage;
+    const { deliverOTP } = createOtpDelivery(otpStorage);
+    const { reserveResendCooldown, clearResendCooldown } = createResendCooldown(store);
+
+    // Limits are configurable per action/scope - see middleware/rateLimit.js
+    const rateLimit = createRateLimiter(store);
+
+    /**
+     * Rate limit middleware for an action on the requested channel
+     * @param {string} action - send | resend | verify
+     * @returns {function} - Express middleware
+     */
+    const limit = (action) => (req, res, next) =>
+        rateLimit(req.provider.channel, action, requestRecipient)(req, res, next);
+
+    // Resolve :channel to its provider before any route runs
+    router.param('channel', (req, res, next, channel) => {
+        req.provider = getProvider(channel);
+
+        if (!req.provider) {
+            return res.status(404).json({
+                success: false,
+                message: `Unknown OTP channel: ${channel}`
+            });
+        }
+
+        next();
+    });
+
+    /**
+     * Send OTP handler (send + resend only differ in wording)
+     * @param {string} action - send | resend
+     * @returns {function} - Express route handler
+     */
+    const sendHandler = (action) => async (req, res) => {
+        const requested = req.provider;
+
+        try {
+            const messages = RECIPIENT_MESSAGES[requested.recipient];
+            const recipient = parseRecipient(req);
+
+            // Validate request body
+            if (!recipient) {
+                return res.status(400).json({
+                    success: false,
+                    message: messages.required
+                });
+            }
+
+            // Phone numbers are validated for their country
+            if (!recipient.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: messages.invalid
+                });
+            }
+
+            const address = recipient.address;
+            let countryChannels = null;
+
+            // Country allow/deny list (config/countries.json)
+            if (requested.recipient === 'phone') {
+                const route = getCountryRoute(recipient.country);
+
+                if (!route.allowed) {
+                    logger.warn(`⛔ OTP to ${route.name} blocked: ${address}`);
+                    return res.status(403).json({
+                        success: false,
+                        message: `Sorry, we can't send verification codes to numbers in ${route.name}.`
+                    });
+                }
+
+                if (!isChannelAllowed(route, requested.channel)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `${requested.label} isn't available for numbers in ${route.name}.`,
+                        channels: route.channels
+                    });
+                }
+
+                countryChannels = route.channels;
+            }
+
+            // Server-enforced cooldown between sends to this recipient, on any channel -
+            // reserved up front so concurrent sends can't both get through
+            const cooldown = await reserveResendCooldown(address);
+
+            if (!cooldown.allowed) {
+                recordAuditEvent(req, 'rate_limited', {
+                    channel: requested.channel,
+                    recipient: address,
+                    outcome: 'cooldown',
+                    action: action
+                });
+                return rejectCooldown(res, cooldown);
+            }
+
+            logger.info(`${action === 'resend' ? '🔄 Resending' : '📱 Sending'} ${requested.label} OTP to: ${address}`);
+
+            let delivery;
+
+            try {
+                delivery = await deliverOTP(requested, address, countryChannels);
+            } catch (error) {
+                await cooldown.release();
+                throw error;
+            }
+
+            const { provider, failure, attempts } = delivery;
+
+            // One event per provider tried, so fallbacks show up too
+            attempts.forEach((attempt) => recordAuditEvent(req, 'otp.sent', {
+                ...attempt,
+                recipient: address,
+                purpose: 'login',
+                action: action
+            }));
+
+            if (!provider) {
+                await cooldown.release();
+
+                if (failure.unreachable) {
+                    return res.status(503).json({
+                        success: false,
+                        message: 'Unable to send OTP right now. Please try again later.'
+                    });
+                }
+
+                return res.status(400).json({
+                    success: false,
+                    message: failure.message || `Failed to send ${requested.label} OTP. Please try again.`
+                });
+            }
+
+            if (provider !== requested) {
+                logger.info(`✅ Delivered via ${provider.label} instead of ${requested.label}`);
+            }
+
+            return res.json({
+                success: true,
+                message: action === 'resend' ? provider.messages.resent : provider.messages.sent,
+                // Verify against the channel that actually delivered the OTP
+                channel: provider.channel,
+                requestedChannel: requested.channel,
+                fallback: provider !== requested,
+                ...(requested.recipient === 'email'
+                    ? { email: address }
+                    : { phoneNumber: address, displayNumber: recipient.display }),
+                ...otpFormatDetails(provider.otpConfig),
+                resendAvailableIn: cooldown.resendAvailableIn,
+                nextResendAt: cooldown.nextResendAt
+            });
+
+        } catch (error) {
+            logger.error(`❌ ${requested.label} Send Error`, { error: error.message });
+            return res.status(500).json({
+                success: false,
+                message: 'Internal server error. Please try again later.'
+            });
+        }
+    };
+
+    /**
+     * Send OTP Endpoint
+     * POST /api/otp/:channel/send
+     *
+     * Request Body:
+     * {
+     *   "countryCode": "+91",
+     *   "phoneNumber": "7021312529"
+     * }
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "message": "OTP sent successfully",
+     *   "channel": "sms",
+     *   "requestedChannel": "sms",
+     *   "fallback": false,
+     *   "phoneNumber": "+917021312529",
+     *   "displayNumber": "+91 70213 12529",
+     *   "otpLength": 6,
+     *   "otpFormat": "numeric",
+     *   "resendAvailableIn": 30,
+     *   "nextResendAt": "2026-01-01T10:00:30.000Z"
+     * }
+     *
+     * Sending again before nextResendAt returns 429 with Retry-After;
+     * the cooldown doubles with every resend.
+     *
+     * If the provider fails, the OTP goes out on the next channel in
+     * OTP_FALLBACK_ORDER (or the country's own channel list) - "channel"
+     * says which one delivered it, and is the channel to verify against.
+     *
+     * Numbers from countries that aren't allowed get 403, and a channel
+     * the country's list doesn't include gets 400 (with "channels").
+     *
+     * The email channel takes { "email": "user@example.com" } instead
+     * of a phone number, and answers with "email" in place of
+     * phoneNumber/displayNumber.
+     */
+    router.post('/:channel/send', limit('send'), sendHandler('send'));
+
+    /**
+     * Resend OTP Endpoint
+     * POST /api/otp/:channel/resend
+     *
+     * Same as send, but with a different message
+     */
+    router.post('/:channel/resend', limit('resend'), sendHandler('resend'));
+
+    /**
+     * Verify OTP Endpoint
+     * POST /api/otp/:channel/verify
+     *
+     * Request Body:
+     * {
+     *   "countryCode": "+91",
+     *   "phoneNumber": "7021312529",
+     *   "otp": "123456"
+     * }
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "verified": true,
+     *   "message": "OTP verified successfully",
+     *   "user": { "phone": "+917021312529", "email": null, "totpEnabled": false }
+     * }
+     *
+     * Users with an authenticator app get { "mfaRequired": true, "mfaToken": "..." }
+     * instead of a session, and finish at POST /api/auth/totp/verify.
+     *
+     * The email channel takes "email" in place of countryCode/phoneNumber.
+     */
+    router.post('/:channel/verify', limit('verify'), async (req, res) => {
+        const provider = req.provider;
+
+        try {
+            const recipient = parseRecipient(req);
+            const otp = normalizeOTP(req.body?.otp || '');
+
+            // Validate request body
+            if (!recipient || !otp) {
+                return res.status(400).json({
+                    success: false,
+                    verified: false,
+                    message: RECIPIENT_MESSAGES[provider.recipient].requiredWithOtp
+                });
+            }
+
+            // E.164 phone number / normalised email
+            const address = recipient.address;
+
+            // Validate OTP format (length/format configured per channel)
+            if (!isValidOtpFormat(otp, provider.otpConfig)) {
+                recordOtpCheck(req, { channel: provider.channel, recipient: address, purpose: 'login' },
+                    { valid: false, reason: 'invalid_format' });
+                return res.status(400).json({
+                    success: false,
+                    verified: false,
+                    message: `Invalid OTP format. Please enter the ${provider.otpConfig.length}-character OTP.`
+                });
+            }
+
+            logger.info(`🔐 Verifying ${provider.label} OTP for: ${address}`);
+
+            const verificationResult = await verifyOTP(provider, address, otp);
+
+            if (!verificationResult.valid) {
+                recordOtpCheck(req, { channel: provider.channel, recipient: address, purpose: 'login' }, verificationResult);
+                logger.info('❌ OTP Verification Failed', { result: verificationResult.message });
+                return res.status(400).json({
+                    success: false,
+                    verified: false,
+                    message: verificationResult.message,
+                    attemptsRemaining: verificationResult.attemptsRemaining
+                });
+            }
+
+            logger.info('✅ OTP Verified Successfully!');
+
+            await clearResendCooldown(address);
+
+            const identity = provider.recipient === 'email' ? { email: address } : { phone: address };
+            const verifiedAddress = provider.recipient === 'email' ? { email: address } : { phoneNumber: address };
+
+            const user = findUserByIdentity(identity);
+
+            recordOtpCheck(req, {
+                channel: provider.channel,
+                recipient: address,
+                purpose: 'login',
+                userId: user?.id
+            }, verificationResult);
+
+            // Authenticator app enrolled - the session waits for the TOTP code
+            if (user && isTotpEnabled(user.id)) {
+                logger.info('🔑 Second factor required');
+                return res.json({
+                    success: true,
+                    verified: true,
+                    mfaRequired: true,
+                    message: 'Enter the code from your authenticator app.',
+                    ...verifiedAddress,
+                    ...createMfaChallenge(identity, provider.channel)
+                });
+            }
+
+            // Issue a signed session for the verified number / email
+            const session = startSession(req, res, identity, provider.channel);
+
+            return res.json({
+                success: true,
+                verified: true,
+                message: 'OTP verified successfully! Logging you in...',
+                ...verifiedAddress,
+                user: toUserResponse(session)
+            });
+
+        } catch (error) {
+            logger.error(`❌ ${provider.label} Verify Error`, { error: error.message });
+
+            if (error.request) {
+                // Network error
+                return res.status(503).json({
+                    success: false,
+                    verified: false,
+                    message: 'Unable to connect to verification service. Please try again later.'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                verified: false,
+                message: 'Internal server error. Please try again later.'
+            });
+        }
+    });
+
+    /**
+     * Supported Countries Endpoint
+     * GET /api/otp/countries
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "countries": [
+     *     { "code": "+91", "country": "IN", "flag": "🇮🇳", "name": "India", "channels": ["sms", ...] }, ...
+     *   ]
+     * }
+     */
+    router.get('/countries', (req, res) => {
+        res.json({
+            success: true,
+            countries: listCountries()
+        });
+    });
+
+    /**
+     * Provider Health Endpoint
+     * GET /api/otp/health
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "providers": [
+     *     { "channel": "sms", "healthy": true, "message": "SMS balance: 120" }, ...
+     *   ]
+     * }
+     */
+    router.get('/health', async (req, res) => {
+        const results = await Promise.all(providers.map(async (provider) => {
+            try {
+                return { channel: provider.channel, ...(await provider.healthCheck()) };
+            } catch (error) {
+                return { channel: provider.channel, healthy: false, message: error.message };
+            }
+        }));
+
+        res.status(results.every((result) => result.healthy) ? 200 : 503).json({
+            success: results.every((result) => result.healthy),
+            providers: results
+        });
+    });
+
+    return router;
+};
+
+module.exports = { createOtpRoutes };
@@ -0,0 +1,286 @@
+// =====================================================
+// Passkey Routes
+// WebAuthn registration (from the Dashboard) and login:
+//
+//   GET    /api/auth/passkeys                     (logged in)
+//   POST   /api/auth/passkeys/register/options    (logged in)
+//   POST   /api/auth/passkeys/register/verify     (logged in)
+//   DELETE /api/auth/passkeys/:id                 (logged in)
+//   POST   /api/auth/passkeys/login/options
+//   POST   /api/auth/passkeys/login/verify
+// =====================================================
+
+const express = require('express');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { startSession, requireAuth, toUserResponse } = require('../auth/sessions');
+const { getUserById, identityOf, getWebauthnUserId } = require('../auth/users');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { logger } = require('../logger');
+const {
+    WEBAUTHN_RP_ID,
+    WEBAUTHN_RP_NAME,
+    WEBAUTHN_ORIGINS,
+    saveRegistrationChallenge,
+    takeRegistrationChallenge,
+    saveLoginChallenge,
+    consumeLoginChallenge,
+    addPasskey,
+    getPasskey,
+    listPasskeys,
+    markPasskeyUsed,
+    removePasskey
+} = require('../auth/passkeys');
+
+/**
+ * Shape a passkey for API responses
+ * @param {object} passkey - Stored passkey
+ * @returns {object} - Public passkey details
+ */
+const toPasskeyResponse = (passkey) => ({
+    id: passkey.id,
+    name: passkey.name,
+    createdAt: new Date(passkey.createdAt).toISOString(),
+    lastUsedAt: passkey.lastUsedAt ? new Date(passkey.lastUsedAt).toISOString() : null
+});
+
+/**
+ * Create the passkey router
+ * @param {object} store - Key/value store used for rate limiting
+ * @returns {object} - Express router
+ */
+const createPasskeyRoutes = (store) => {
+    const router = express.Router();
+    const rateLimit = createRateLimiter(store);
+
+    /**
+     * List Passkeys Endpoint
+     * GET /api/auth/passkeys
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "passkeys": [{ "id": "...", "name": "Chrome on macOS", "createdAt": "...", "lastUsedAt": null }]
+     * }
+     */
+    router.get('/', requireAuth, (req, res) => {
+        res.json({
+            success: true,
+            passkeys: listPasskeys(req.session.subject).map(toPasskeyResponse)
+        });
+    });
+
+    /**
+     * Registration Options Endpoint
+     * POST /api/auth/passkeys/register/options
+     *
+     * Returns the options for navigator.credentials.create()
+     */
+    router.post('/register/options', requireAuth, async (req, res) => {
+        try {
+            const user = getUserById(req.session.subject);
+            const options = await generateRegistrationOptions({
+                rpName: WEBAUTHN_RP_NAME,
+                rpID: WEBAUTHN_RP_ID,
+                userID: getWebauthnUserId(user.id),
+                userName: user.phone || user.email,
+                attestationType: 'none',
+                // Don't register the same authenticator twice
+                excludeCredentials: listPasskeys(req.session.subject).map((passkey) => ({
+                    id: passkey.id,
+                    transports: passkey.transports
+                })),
+                authenticatorSelection: {
+                    residentKey: 'required',
+                    userVerification: 'required'
+                }
+            });
+
+            saveRegistrationChallenge(req.session.id, options.challenge);
+            res.json({ success: true, options: options });
+        } catch (error) {
+            logger.error('❌ Passkey Options Error', { error: error.message });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error. Please try again later.'
+            });
+        }
+    });
+
+    /**
+     * Registration Verify Endpoint
+     * POST /api/auth/passkeys/register/verify
+     *
+     * Request Body:
+     * {
+     *   "response": { ...result of startRegistration() },
+     *   "name": "Chrome on macOS"
+     * }
+     */
+    router.post('/register/verify', requireAuth, async (req, res) => {
+        const expectedChallenge = takeRegistrationChallenge(req.session.id);
+
+        if (!expectedChallenge || !req.body?.response) {
+            return res.status(400).json({
+                success: false,
+                message: 'Passkey registration expired. Please try again.'
+            });
+        }
+
+        try {
+            const { verified, registrationInfo } = await verifyRegistrationResponse({
+                response: req.body.response,
+                expectedChallenge: expectedChallenge,
+                expectedOrigin: WEBAUTHN_ORIGINS,
+                expectedRPID: WEBAUTHN_RP_ID,
+                requireUserVerification: true
+            });
+
+            if (!verified) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Passkey could not be verified. Please try again.'
+                });
+            }
+
+            const name = String(req.body.name || 'Passkey').slice(0, 64);
+            const passkey = addPasskey(req.session.subject, registrationInfo.credential, name);
+            logger.info(`🔑 Passkey added for: ${req.session.subject}`);
+
+            res.json({
+                success: true,
+                message: 'Passkey added. You can use it to sign in next time.',
+                passkey: toPasskeyResponse(passkey)
+            });
+        } catch (error) {
+            logger.error('❌ Passkey Registration Error', { error: error.message });
+            res.status(400).json({
+                success: false,
+                message: 'Passkey could not be verified. Please try again.'
+            });
+        }
+    });
+
+    /**
+     * Remove Passkey Endpoint
+     * DELETE /api/auth/passkeys/:id
+     */
+    router.delete('/:id', requireAuth, (req, res) => {
+        if (!removePasskey(req.session.subject, req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Passkey not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Passkey removed'
+        });
+    });
+
+    /**
+     * Login Options Endpoint
+     * POST /api/auth/passkeys/login/options
+     *
+     * Returns the options for navigator.credentials.get(). No phone number
+     * is needed - the browser offers the passkeys it has for this site.
+     */
+    router.post('/login/options', rateLimit('passkey', 'send', () => ''), async (req, res) => {
+        try {
+            const options = await generateAuthenticationOptions({
+                rpID: WEBAUTHN_RP_ID,
+                userVerification: 'required'
+            });
+
+            saveLoginChallenge(options.challenge);
+            res.json({ success: true, options: options });
+        } catch (error) {
+            logger.error('❌ Passkey Options Error', { error: error.message });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error. Please try again later.'
+            });
+        }
+    });
+
+    /**
+     * Login Verify Endpoint
+     * POST /api/auth/passkeys/login/verify
+     *
+     * Request Body:
+     * {
+     *   "response": { ...result of startAuthentication() }
+     * }
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "verified": true,
+     *   "message": "Passkey verified! Logging you in...",
+     *   "user": { "phone": "+917021312529", "email": null, "totpEnabled": false }
+     * }
+     *
+     * A passkey is already two factors (the device + its PIN/biometric) -
+     * user verification is required at registration and login, so it
+     * doesn't ask for the authenticator app as well.
+     */
+    router.post('/login/verify', rateLimit('passkey', 'verify', () => ''), async (req, res) => {
+        const passkey = req.body?.response?.id ? getPasskey(req.body.response.id) : null;
+
+        if (!passkey) {
+            return res.status(400).json({
+                success: false,
+                verified: false,
+                message: 'This passkey isn\'t registered. Please log in with an OTP.'
+            });
+        }
+
+        try {
+            const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+                response: req.body.response,
+                expectedChallenge: consumeLoginChallenge,
+                expectedOrigin: WEBAUTHN_ORIGINS,
+                expectedRPID: WEBAUTHN_RP_ID,
+                credential: {
+                    id: passkey.id,
+                    publicKey: passkey.publicKey,
+                    counter: passkey.counter,
+                    transports: passkey.transports
+                },
+                requireUserVerification: true
+            });
+
+            if (!verified) {
+                throw new Error('Assertion not verified');
+            }
+
+            markPasskeyUsed(passkey, authenticationInfo.newCounter);
+            const user = getUserById(passkey.userId);
+            const session = startSession(req, res, identityOf(user), 'passkey');
+            logger.info(`✅ Passkey login for: ${user.phone || user.email}`);
+
+            res.json({
+                success: true,
+                verified: true,
+                message: 'Passkey verified! Logging you in...',
+                user: toUserResponse(session)
+            });
+        } catch (error) {
+            logger.error('❌ Passkey Login Error', { error: error.message });
+            res.status(400).json({
+                success: false,
+                verified: false,
+                message: 'Passkey sign-in failed. Please try again or log in with an OTP.'
+            });
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createPasskeyRoutes };
@@ -0,0 +1,407 @@
+// =====================================================
+// Phone Change Routes
+// Moving an account to a new number takes an OTP on the
+// current number, then one on the new number. The change
+// then waits out a grace period (auth/phoneChange.js), in
+// which the old number can cancel it - no login needed, so
+// it works even if the account was taken over:
+//
+//   GET  /api/phone-change                  (logged in)
+//   POST /api/phone-change/current/send     (logged in)
+//   POST /api/phone-change/current/verify   (logged in)
+//   POST /api/phone-change/new/send         (logged in)
+//   POST /api/phone-change/new/verify       (logged in)
+//   POST /api/phone-change/cancel/send
+//   POST /api/phone-change/cancel/verify
+//
+// Codes go out through the login providers on any phone
+// channel ("channel", default: the country's first routed channel,
+// else sms) - see otp/confirmation.js.
+// =====================================================
+
+const express = require('express');
+const { requireAuth, toUserResponse } = require('../auth/sessions');
+const { getUserById } = require('../auth/users');
+const {
+    PHONE_CHANGE_GRACE_MINUTES,
+    getPendingPhoneChange,
+    findPendingPhoneChangeFrom,
+    isPhoneTaken,
+    schedulePhoneChange,
+    cancelPhoneChange
+} = require('../auth/phoneChange');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { getProvider } = require('../providers');
+const { defaultPhoneChannel } = require('../otp/routing');
+const { createOtpConfirmation } = require('../otp/confirmation');
+const { parsePhone } = require('../utils/phone');
+const { logger } = require('../logger');
+
+// How long the user has to finish the steps once the current number is verified
+const PHONE_CHANGE_STEP_MINUTES = 10;
+
+/**
+ * Store key for a user's change in progress
+ * @param {string} userId - User id
+ * @returns {string} - Store key
+ */
+const progressKey = (userId) => `phone-change:${userId}`;
+
+/**
+ * Shape a pending change for API responses
+ * @param {object|null} change - Pending change
+ * @returns {object|null} - { newPhone, displayNumber, createdAt, effectiveAt }
+ */
+const toPhoneChangeResponse = (change) => {
+    if (!change) {
+        return null;
+    }
+
+    return {
+        newPhone: change.newPhone,
+        displayNumber: parsePhone(change.newPhone)?.display || change.newPhone,
+        createdAt: new Date(change.createdAt).toISOString(),
+        effectiveAt: new Date(change.effectiveAt).toISOString()
+    };
+};
+
+/**
+ * Create the phone change router
+ * @param {object} store - Key/value store shared by OTPs, cooldowns and rate limits
+ * @returns {object} - Express router
+ */
+const createPhoneChangeRoutes = (store) => {
+    const router = express.Router();
+    const { sendCode, checkCode } = createOtpConfirmation(store, 'phone-change');
+    const rateLimit = createRateLimiter(store);
+
+    /**
+     * The phone channel a request asks for
+     * Without one, the first channel the number's country is routed through.
+     * @param {object} req - Express request
+     * @param {object|null} phone - Parsed number the code goes to (utils/phone.js)
+     * @returns {object|null} - Provider, or null if it isn't a phone channel
+     */
+    const requestProvider = (req, phone = null) => {
+        const provider = getProvider(req.body?.channel || defaultPhoneChannel(phone?.country || null));
+        return provider?.recipient === 'phone' ? provider : null;
+    };
+
+    /**
+     * Rate limit middleware for one step, keyed by the number it's about
+     * @param {string} action - send | verify
+     * @param {function} getPhone - (req) => E.164 number, or ''
+     * @returns {function} - Express middleware
+     */
+    const limit = (action, getPhone) => rateLimit('phone-change', action, getPhone);
+
+    /**
+     * E.164 number of the logged-in user (for rate limit keys)
+     * @param {object} req - Express request (after requireAuth)
+     * @returns {string} - E.164 number, or ''
+     */
+    const sessionPhone = (req) => getUserById(req.session.subject)?.phone || '';
+
+    /**
+     * E.164 number from the request body (for rate limit keys)
+     * @param {object} req - Express request
+     * @returns {string} - E.164 number, or ''
+     */
+    const bodyPhone = (req) => parsePhone(req.body?.phoneNumber, req.body?.countryCode)?.e164 || '';
+
+    /**
+     * A parsed number as an OTP recipient
+     * @param {object} phone - Parsed number (utils/phone.js)
+     * @returns {object} - { address, display, country }
+     */
+    const toRecipient = (phone) => ({ address: phone.e164, display: phone.display, country: phone.country });
+
+    /**
+     * Wrap a step so provider errors become a JSON 500/503
+     * @param {string} label - Step name for the log
+     * @param {function} handler - async (req, res) route handler
+     * @returns {function} - Express route handler
+     */
+    const step = (label, handler) => async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            logger.error(`❌ Phone Change ${label} Error`, { error: error.message });
+            res.status(error.request ? 503 : 500).json({
+                success: false,
+                message: error.request
+                    ? 'Unable to connect to verification service. Please try again later.'
+                    : 'Internal server error. Please try again later.'
+            });
+        }
+    };
+
+    /**
+     * Middleware - only users with a phone number on their account,
+     * asking for a phone channel (sets req.user)
+     * @param {object} req - Express request (after requireAuth)
+     * @param {object} res - Express response
+     * @param {function} next - Next middleware
+     */
+    const requirePhoneUser = (req, res, next) => {
+        const user = getUserById(req.session.subject);
+
+        // The account was deleted since the session started
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Not authenticated. Please log in.'
+            });
+        }
+
+        if (!user.phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your account has no phone number to change.'
+            });
+        }
+
+        if (!requestProvider(req)) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown phone channel: ${req.body?.channel}`
+            });
+        }
+
+        req.user = user;
+        next();
+    };
+
+    /**
+     * Pending Change Endpoint
+     * GET /api/phone-change
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "graceMinutes": 1440,
+     *   "pendingChange": { "newPhone": "+919876543210", "displayNumber": "+91 98765 43210", "effectiveAt": "..." }
+     * }
+     */
+    router.get('/', requireAuth, (req, res) => {
+        res.json({
+            success: true,
+            graceMinutes: PHONE_CHANGE_GRACE_MINUTES,
+            pendingChange: toPhoneChangeResponse(getPendingPhoneChange(req.session.subject))
+        });
+    });
+
+    /**
+     * Step 1 - Code To The Current Number
+     * POST /api/phone-change/current/send   { "channel": "sms" }
+     */
+    router.post('/current/send', requireAuth, limit('send', sessionPhone), requirePhoneUser,
+        step('Send', async (req, res) => {
+            logger.info(`📱 Phone change: code to current number ${req.user.phone}`);
+            const phone = parsePhone(req.user.phone);
+            await sendCode(req, res, requestProvider(req, phone), toRecipient(phone));
+        }));
+
+    /**
+     * Step 1 - Confirm The Current Number
+     * POST /api/phone-change/current/verify   { "channel": "sms", "otp": "123456" }
+     */
+    router.post('/current/verify', requireAuth, limit('verify', sessionPhone), requirePhoneUser,
+        step('Verify', async (req, res) => {
+            if (!(await checkCode(req, res, requestProvider(req), req.user.phone))) {
+                return;
+            }
+
+            await store.set(progressKey(req.user.id), {
+                currentPhone: req.user.phone,
+                newPhone: null
+            }, PHONE_CHANGE_STEP_MINUTES * 60 * 1000);
+
+            res.json({
+                success: true,
+                verified: true,
+                message: 'Current number confirmed. Now enter your new number.'
+            });
+        }));
+
+    /**
+     * Step 2 - Code To The New Number
+     * POST /api/phone-change/new/send
+     *
+     * Request Body:
+     * {
+     *   "channel": "sms",
+     *   "countryCode": "+91",
+     *   "phoneNumber": "9876543210"
+     * }
+     */
+    router.post('/new/send', requireAuth, limit('send', bodyPhone), requirePhoneUser,
+        step('Send', async (req, res) => {
+            const progress = await store.get(progressKey(req.user.id));
+            const phone = parsePhone(req.body.phoneNumber, req.body.countryCode);
+
+            if (progress?.currentPhone !== req.user.phone) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Please confirm your current number first.'
+                });
+            }
+
+            if (!phone?.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid phone number. Please enter a valid mobile number for the selected country.'
+                });
+            }
+
+            if (phone.e164 === req.user.phone) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'That\'s already your number.'
+                });
+            }
+
+            if (isPhoneTaken(phone.e164, req.user.id)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This number is already used by another account.'
+                });
+            }
+
+            await store.set(progressKey(req.user.id), {
+                ...progress,
+                newPhone: phone.e164
+            }, PHONE_CHANGE_STEP_MINUTES * 60 * 1000);
+
+            logger.info(`📱 Phone change: code to new number ${phone.e164}`);
+            await sendCode(req, res, requestProvider(req, phone), toRecipient(phone));
+        }));
+
+    /**
+     * Step 2 - Confirm The New Number
+     * POST /api/phone-change/new/verify   { "channel": "sms", "otp": "123456" }
+     *
+     * Schedules the change - it takes effect after the grace period.
+     */
+    router.post('/new/verify', requireAuth, limit('verify', sessionPhone), requirePhoneUser,
+        step('Verify', async (req, res) => {
+            const progress = await store.get(progressKey(req.user.id));
+
+            if (progress?.currentPhone !== req.user.phone || !progress.newPhone) {
+                return res.status(403).json({
+                    success: false,
+                    verified: false,
+                    message: 'Your phone change has expired. Please start again.'
+                });
+            }
+
+            if (!(await checkCode(req, res, requestProvider(req), progress.newPhone))) {
+                return;
+            }
+
+            await store.delete(progressKey(req.user.id));
+
+            // The number could have been taken while the code was on its way
+            if (isPhoneTaken(progress.newPhone, req.user.id)) {
+                return res.status(409).json({
+                    success: false,
+                    verified: false,
+                    message: 'This number is already used by another account.'
+                });
+            }
+
+            const change = schedulePhoneChange(req.user.id, req.user.phone, progress.newPhone);
+            logger.info(`📱 Phone change scheduled for ${req.user.phone} → ${change.newPhone} at ${new Date(change.effectiveAt).toISOString()}`);
+
+            res.json({
+                success: true,
+                verified: true,
+                message: 'New number confirmed. The change takes effect once the waiting period is over.',
+                pendingChange: toPhoneChangeResponse(change),
+                user: toUserResponse(req.session)
+            });
+        }));
+
+    /**
+     * Cancel - Code To The Old Number
+     * POST /api/phone-change/cancel/send
+     *
+     * Request Body:
+     * {
+     *   "channel": "sms",
+     *   "countryCode": "+91",
+     *   "phoneNumber": "7021312529"
+     * }
+     */
+    router.post('/cancel/send', limit('send', bodyPhone), step('Cancel Send', async (req, res) => {
+        const phone = parsePhone(req.body?.phoneNumber, req.body?.countryCode);
+        const requested = requestProvider(req, phone);
+
+        if (!phone?.valid || !requested) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid phone number. Please enter a valid mobile number for the selected country.'
+            });
+        }
+
+        if (!findPendingPhoneChangeFrom(phone.e164)) {
+            return res.status(404).json({
+                success: false,
+                message: 'There is no pending change for this number.'
+            });
+        }
+
+        logger.info(`📱 Phone change: cancel code to ${phone.e164}`);
+        await sendCode(req, res, requested, toRecipient(phone));
+    }));
+
+    /**
+     * Cancel - Confirm With The Old Number
+     * POST /api/phone-change/cancel/verify
+     *
+     * Request Body:
+     * {
+     *   "channel": "sms",
+     *   "countryCode": "+91",
+     *   "phoneNumber": "7021312529",
+     *   "otp": "123456"
+     * }
+     */
+    router.post('/cancel/verify', limit('verify', bodyPhone), step('Cancel Verify', async (req, res) => {
+        const phone = parsePhone(req.body?.phoneNumber, req.body?.countryCode);
+
+        if (!phone?.valid) {
+            return res.status(400).json({
+                success: false,
+                verified: false,
+                message: 'Phone number and OTP are required'
+            });
+        }
+
+        if (!(await checkCode(req, res, requestProvider(req), phone.e164))) {
+            return;
+        }
+
+        const change = findPendingPhoneChangeFrom(phone.e164);
+
+        if (!change || !cancelPhoneChange(change.id)) {
+            return res.status(404).json({
+                success: false,
+                verified: true,
+                message: 'There is no pending change for this number.'
+            });
+        }
+
+        logger.info(`🚫 Phone change cancelled by ${phone.e164}`);
+
+        res.json({
+            success: true,
+            verified: true,
+            message: `Change cancelled. ${phone.display} stays on the account.`
+        });
+    }));
+
+    return router;
+};
+
+module.exports = { createPhoneChangeRoutes };
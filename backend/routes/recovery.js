@@ -0,0 +1,146 @@
+// =====================================================
+// Recovery Code Routes
+//
+//   GET  /api/auth/recovery-codes          (logged in)
+//   POST /api/auth/recovery-codes          (logged in)
+//   POST /api/auth/recovery-codes/verify   (login without an OTP)
+// =====================================================
+
+const express = require('express');
+const { startSession, requireAuth, toUserResponse } = require('../auth/sessions');
+const { findUserByIdentity } = require('../auth/users');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const {
+    generateRecoveryCodes,
+    getRecoveryCodeStatus,
+    redeemRecoveryCode
+} = require('../auth/recoveryCodes');
+const { parsePhone } = require('../utils/phone');
+const { normalizeEmail } = require('../utils/email');
+const { logger } = require('../logger');
+
+/**
+ * Identity a recovery login is for - phoneNumber (+ countryCode) or email
+ * @param {object} req - Express request
+ * @returns {object|null} - { phone } or { email }, or null if neither was sent
+ */
+const requestIdentity = (req) => {
+    if (req.body?.email) {
+        return { email: normalizeEmail(req.body.email) };
+    }
+
+    const phone = parsePhone(req.body?.phoneNumber, req.body?.countryCode);
+    return phone ? { phone: phone.e164 } : null;
+};
+
+/**
+ * Create the recovery code router
+ * @param {object} store - Key/value store used for rate limiting
+ * @returns {object} - Express router
+ */
+const createRecoveryRoutes = (store) => {
+    const router = express.Router();
+    const rateLimit = createRateLimiter(store);
+
+    /**
+     * Recovery Code Status Endpoint
+     * GET /api/auth/recovery-codes
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "remaining": 8,
+     *   "createdAt": "2026-01-01T10:00:00.000Z"
+     * }
+     */
+    router.get('/', requireAuth, (req, res) => {
+        res.json({
+            success: true,
+            ...getRecoveryCodeStatus(req.session.subject)
+        });
+    });
+
+    /**
+     * Generate Recovery Codes Endpoint
+     * POST /api/auth/recovery-codes
+     *
+     * Replaces any previous set - old codes stop working.
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "codes": ["abcde-fghjk", ...],
+     *   "remaining": 10,
+     *   "createdAt": "..."
+     * }
+     */
+    router.post('/', requireAuth, (req, res) => {
+        const codes = generateRecoveryCodes(req.session.subject);
+        logger.info(`🧾 Recovery codes generated for: ${req.session.subject}`);
+
+        res.json({
+            success: true,
+            message: 'Save these codes somewhere safe - they won\'t be shown again.',
+            codes: codes,
+            ...getRecoveryCodeStatus(req.session.subject)
+        });
+    });
+
+    /**
+     * Recovery Login Endpoint
+     * POST /api/auth/recovery-codes/verify
+     *
+     * Request Body:
+     * {
+     *   "countryCode": "+91",
+     *   "phoneNumber": "7021312529",     (or "email")
+     *   "code": "abcde-fghjk"
+     * }
+     *
+     * Each code works once. A recovery login skips the OTP and the
+     * authenticator app - it's for users who have lost their phone.
+     */
+    router.post('/verify', rateLimit('recovery', 'verify', (req) => {
+        const identity = requestIdentity(req);
+        return identity ? identity.phone || identity.email : '';
+    }), (req, res) => {
+        const identity = requestIdentity(req);
+
+        if (!identity || !req.body.code) {
+            return res.status(400).json({
+                success: false,
+                verified: false,
+                message: 'Phone number and recovery code are required'
+            });
+        }
+
+        const user = findUserByIdentity(identity);
+        const address = identity.phone || identity.email;
+
+        // Unknown users get the same answer as a wrong code
+        if (!user || !redeemRecoveryCode(user.id, req.body.code)) {
+            logger.info(`❌ Recovery code rejected for: ${address}`);
+            return res.status(400).json({
+                success: false,
+                verified: false,
+                message: 'Invalid recovery code. Check it and try again.'
+            });
+        }
+
+        const session = startSession(req, res, identity, 'recovery');
+        const { remaining } = getRecoveryCodeStatus(user.id);
+        logger.info(`🧾 Recovery code used for: ${address} (${remaining} left)`);
+
+        res.json({
+            success: true,
+            verified: true,
+            message: 'Recovery code accepted! Logging you in...',
+            remaining: remaining,
+            user: toUserResponse(session)
+        });
+    });
+
+    return router;
+};
+
+module.exports = { createRecoveryRoutes };
@@ -0,0 +1,197 @@
+// =====================================================
+// TOTP Routes
+// Authenticator-app enrollment, and the second step of
+// login for users who have one:
+//
+//   POST   /api/auth/totp/enroll           (logged in)
+//   POST   /api/auth/totp/enroll/confirm   (logged in)
+//   DELETE /api/auth/totp                  (logged in)
+//   POST   /api/auth/totp/verify           (after the OTP)
+// =====================================================
+
+const express = require('express');
+const QRCode = require('qrcode');
+const { startSession, requireAuth, toUserResponse } = require('../auth/sessions');
+const { getUserById, findUserByIdentity } = require('../auth/users');
+const { logger } = require('../logger');
+const {
+    TOTP_DIGITS,
+    isTotpEnabled,
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    verifyTotp,
+    disableTotp
+} = require('../auth/totp');
+const {
+    getMfaChallenge,
+    recordMfaFailure,
+    completeMfaChallenge
+} = require('../auth/mfa');
+
+const router = express.Router();
+
+/**
+ * Start Enrollment Endpoint
+ * POST /api/auth/totp/enroll
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "secret": "JBSWY3DPEHPK3PXP...",
+ *   "otpauthUri": "otpauth://totp/SecureAuth%3A%2B917021312529?secret=...",
+ *   "qrCode": "data:image/png;base64,..."
+ * }
+ *
+ * The secret isn't active until confirmed with a first code.
+ */
+router.post('/enroll', requireAuth, async (req, res) => {
+    if (isTotpEnabled(req.session.subject)) {
+        return res.status(409).json({
+            success: false,
+            message: 'An authenticator app is already set up. Remove it first to add a new one.'
+        });
+    }
+
+    try {
+        const user = getUserById(req.session.subject);
+        const { secret, otpauthUri } = startTotpEnrollment(user.id, user.phone || user.email);
+        const qrCode = await QRCode.toDataURL(otpauthUri);
+
+        res.json({
+            success: true,
+            secret: secret,
+            otpauthUri: otpauthUri,
+            qrCode: qrCode
+        });
+    } catch (error) {
+        logger.error('❌ TOTP Enroll Error', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error. Please try again later.'
+        });
+    }
+});
+
+/**
+ * Confirm Enrollment Endpoint
+ * POST /api/auth/totp/enroll/confirm
+ *
+ * Request Body:
+ * {
+ *   "code": "123456"
+ * }
+ */
+router.post('/enroll/confirm', requireAuth, (req, res) => {
+    if (!confirmTotpEnrollment(req.session.subject, req.body?.code)) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid code. Enter the ${TOTP_DIGITS}-digit code shown in your authenticator app.`
+        });
+    }
+
+    logger.info(`🔐 Authenticator app enabled for: ${req.session.subject}`);
+
+    res.json({
+        success: true,
+        message: 'Authenticator app enabled. You\'ll need a code from it at every login.',
+        user: toUserResponse(req.session)
+    });
+});
+
+/**
+ * Remove Authenticator Endpoint
+ * DELETE /api/auth/totp
+ *
+ * Request Body:
+ * {
+ *   "code": "123456"
+ * }
+ */
+router.delete('/', requireAuth, (req, res) => {
+    if (!verifyTotp(req.session.subject, req.body?.code)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid code. Enter a current code from your authenticator app.'
+        });
+    }
+
+    disableTotp(req.session.subject);
+    logger.info(`🔓 Authenticator app removed for: ${req.session.subject}`);
+
+    res.json({
+        success: true,
+        message: 'Authenticator app removed',
+        user: toUserResponse(req.session)
+    });
+});
+
+/**
+ * Second-Factor Login Endpoint
+ * POST /api/auth/totp/verify
+ *
+ * Request Body:
+ * {
+ *   "mfaToken": "...",     from the OTP verify response
+ *   "code": "123456"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "verified": true,
+ *   "message": "Logging you in...",
+ *   "user": { "phone": "+917021312529", "email": null, "totpEnabled": true }
+ * }
+ */
+router.post('/verify', (req, res) => {
+    const { mfaToken, code } = req.body ?? {};
+
+    // Validate request body
+    if (!mfaToken || !code) {
+        return res.status(400).json({
+            success: false,
+            verified: false,
+            message: 'Login token and authenticator code are required'
+        });
+    }
+
+    const challenge = getMfaChallenge(mfaToken);
+
+    if (!challenge) {
+        return res.status(401).json({
+            success: false,
+            verified: false,
+            message: 'Your login has expired. Please request a new OTP.'
+        });
+    }
+
+    const user = findUserByIdentity(challenge.identity);
+    const address = challenge.identity.phone || challenge.identity.email;
+
+    if (!user || !verifyTotp(user.id, code)) {
+        const attemptsRemaining = recordMfaFailure(mfaToken);
+        logger.info(`❌ TOTP Verification Failed for: ${address}`);
+
+        return res.status(attemptsRemaining ? 400 : 401).json({
+            success: false,
+            verified: false,
+            message: attemptsRemaining
+                ? 'Invalid authenticator code. Please try again.'
+                : 'Too many invalid codes. Please request a new OTP.',
+            attemptsRemaining: attemptsRemaining
+        });
+    }
+
+    completeMfaChallenge(mfaToken);
+    const session = startSession(req, res, challenge.identity, challenge.channel);
+    logger.info(`✅ TOTP Verified for: ${address}`);
+
+    res.json({
+        success: true,
+        verified: true,
+        message: 'Code verified! Logging you in...',
+        user: toUserResponse(session)
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,437 @@
+// =====================================================
+// User Routes
+// The logged-in user's profile and data:
+//
+//   GET    /api/users/me               (logged in)
+//   PATCH  /api/users/me               (logged in)
+//   GET    /api/users/me/export        (logged in)
+//   POST   /api/users/me/delete/send   (logged in)
+//   DELETE /api/users/me               (logged in, with an OTP)
+// =====================================================
+
+const express = require('express');
+const {
+    listSessionsForSubject,
+    revokeSessionsForSubject,
+    clearSessionCookies,
+    requireAuth,
+    toUserResponse,
+    toSessionResponse
+} = require('../auth/sessions');
+const {
+    getUserById,
+    isEmailTaken,
+    updateProfile,
+    listLogins,
+    deleteUser
+} = require('../auth/users');
+const { listPasskeys } = require('../auth/passkeys');
+const { getRecoveryCodeStatus } = require('../auth/recoveryCodes');
+const { getPendingPhoneChange, listPhoneChanges } = require('../auth/phoneChange');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { providers, getProvider } = require('../providers');
+const { defaultPhoneChannel } = require('../otp/routing');
+const { createOtpStorage, OTP_PURPOSES } = require('../otp/storage');
+const { createOtpConfirmation } = require('../otp/confirmation');
+const { createResendCooldown } = require('../otp/cooldown');
+const { queryAuditEvents } = require('../audit');
+const { normalizeEmail, validateEmail } = require('../utils/email');
+const { parsePhone } = require('../utils/phone');
+const { logger } = require('../logger');
+
+const DISPLAY_NAME_MAX_LENGTH = 64;
+const AVATAR_URL_MAX_LENGTH = 2048;
+
+// Most recent audit log entries included in an export
+const EXPORT_AUDIT_LIMIT = 1000;
+
+/**
+ * Validate the profile fields in a PATCH body
+ * Fields that are left out stay as they are; "" or null clears one.
+ * @param {object} body - Request body
+ * @param {object} user - User being edited
+ * @returns {object} - { changes } or { status, message } when a field is invalid
+ */
+const parseProfileChanges = (body, user) => {
+    const changes = {};
+
+    for (const field of ['displayName', 'email', 'avatarUrl', 'locale']) {
+        if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+            return { status: 400, message: `${field} must be a string` };
+        }
+    }
+
+    if (body.displayName !== undefined) {
+        const displayName = String(body.displayName || '').trim().replace(/\s+/g, ' ');
+
+        if (displayName.length > DISPLAY_NAME_MAX_LENGTH) {
+            return { status: 400, message: `Name can be at most ${DISPLAY_NAME_MAX_LENGTH} characters` };
+        }
+        changes.displayName = displayName || null;
+    }
+
+    if (body.email !== undefined) {
+        const email = normalizeEmail(body.email) || null;
+
+        if (email !== user.email) {
+            // Changing a sign-in address would need a new OTP - not something a profile edit can do
+            if (user.verifiedChannels.includes('email')) {
+                return { status: 400, message: 'You sign in with this email, so it can\'t be changed here.' };
+            }
+            if (email && !validateEmail(email)) {
+                return { status: 400, message: 'Please enter a valid email address' };
+            }
+            if (email && isEmailTaken(email, user.id)) {
+                return { status: 409, message: 'This email is already used by another account' };
+            }
+        }
+        changes.email = email;
+    }
+
+    if (body.avatarUrl !== undefined) {
+        const avatarUrl = String(body.avatarUrl || '').trim();
+
+        if (avatarUrl) {
+            let url = null;
+            try {
+                url = new URL(avatarUrl);
+            } catch {
+                // Not a URL - rejected below
+            }
+
+            if (url?.protocol !== 'https:' || avatarUrl.length > AVATAR_URL_MAX_LENGTH) {
+                return { status: 400, message: 'Avatar must be an https:// image URL' };
+            }
+        }
+        changes.avatarUrl = avatarUrl || null;
+    }
+
+    if (body.locale !== undefined) {
+        const locale = String(body.locale || '').trim();
+
+        try {
+            // Canonical BCP 47 form ("en-in" -> "en-IN")
+            changes.locale = locale ? Intl.getCanonicalLocales(locale)[0] : null;
+        } catch {
+            return { status: 400, message: 'Please choose a valid language / region (e.g. en-IN)' };
+        }
+    }
+
+    if (!Object.keys(changes).length) {
+        return { status: 400, message: 'Nothing to update' };
+    }
+
+    return { changes };
+};
+
+/**
+ * Where a user's account confirmation codes go - their phone, or their email if they have no phone
+ * @param {object} user - User
+ * @returns {object} - { kind: 'phone' | 'email', address, display, country }
+ */
+const confirmationRecipient = (user) => {
+    if (user.phone) {
+        const phone = parsePhone(user.phone);
+        return { kind: 'phone', address: user.phone, display: phone?.display || user.phone, country: phone?.country || null };
+    }
+
+    return { kind: 'email', address: user.email, display: user.email, country: null };
+};
+
+/**
+ * Security events we keep for a user, oldest first - account changes
+ * from the database plus the user's entries in the audit log
+ * @param {string} userId - User id
+ * @returns {Promise<object[]>} - [{ type, at, details }]
+ */
+const listAccountEvents = async (userId) => {
+    const events = [];
+
+    listPhoneChanges(userId).forEach((change) => {
+        events.push({
+            type: 'phone_change.requested',
+            at: new Date(change.createdAt).toISOString(),
+            details: { oldPhone: change.oldPhone, newPhone: change.newPhone }
+        });
+
+        if (change.finishedAt) {
+            events.push({
+                type: `phone_change.${change.status}`,
+                at: new Date(change.finishedAt).toISOString(),
+                details: { oldPhone: change.oldPhone, newPhone: change.newPhone }
+            });
+        }
+    });
+
+    listPasskeys(userId).forEach((passkey) => {
+        events.push({
+            type: 'passkey.added',
+            at: new Date(passkey.createdAt).toISOString(),
+            details: { name: passkey.name }
+        });
+    });
+
+    (await queryAuditEvents({ userId: userId, limit: EXPORT_AUDIT_LIMIT })).forEach((entry) => {
+        events.push({
+            type: entry.event,
+            at: entry.time,
+            details: {
+                channel: entry.channel,
+                outcome: entry.outcome,
+                purpose: entry.purpose,
+                ip: entry.ip,
+                userAgent: entry.userAgent
+            }
+        });
+    });
+
+    return events.sort((a, b) => a.at.localeCompare(b.at));
+};
+
+/**
+ * Create the user router
+ * @param {object} store - Key/value store shared by OTPs, cooldowns and rate limits
+ * @returns {object} - Express router
+ */
+const createUserRoutes = (store) => {
+    const router = express.Router();
+    const { sendCode, checkCode } = createOtpConfirmation(store, 'delete-account');
+    const rateLimit = createRateLimiter(store);
+
+    /**
+     * Account address of the logged-in user (for rate limit keys)
+     * @param {object} req - Express request (after requireAuth)
+     * @returns {string} - E.164 number / email, or ''
+     */
+    const sessionAddress = (req) => {
+        const user = getUserById(req.session.subject);
+        return user ? user.phone || user.email : '';
+    };
+
+    /**
+     * The channel a deletion code goes out on - it has to reach the recipient's kind of address
+     * @param {object} req - Express request ({ channel } in the body, optional)
+     * @param {object} recipient - From confirmationRecipient
+     * @returns {object|null} - Provider, or null if the channel can't reach the address
+     */
+    const deletionProvider = (req, recipient) => {
+        const provider = getProvider(req.body?.channel || (recipient.kind === 'phone' ? defaultPhoneChannel(recipient.country) : 'email'));
+        return provider?.recipient === recipient.kind ? provider : null;
+    };
+
+    /**
+     * Forget every pending OTP and resend cooldown for the user's addresses
+     * @param {object} user - User being deleted
+     */
+    const purgeStoredOTPs = async (user) => {
+        const pendingChange = getPendingPhoneChange(user.id);
+        const addresses = [user.phone, user.email, pendingChange?.newPhone].filter(Boolean);
+
+        for (const address of addresses) {
+            for (const purpose of OTP_PURPOSES) {
+                for (const provider of providers) {
+                    await createOtpStorage(store, purpose).clearStoredOTP(provider.channel, address);
+                }
+                await createResendCooldown(store, purpose).clearResendCooldown(address);
+            }
+        }
+
+        await store.delete(`phone-change:${user.id}`);
+    };
+
+    /**
+     * Get Profile Endpoint
+     * GET /api/users/me
+     *
+     * Response:
+     * {
+     *   "success": true,
+     *   "user": {
+     *     "id": "...",
+     *     "phone": "+917021312529",
+     *     "email": null,
+     *     "displayName": "Asha Rao",
+     *     "avatarUrl": "https://...",
+     *     "locale": "en-IN",
+     *     ...
+     *   }
+     * }
+     */
+    router.get('/me', requireAuth, (req, res) => {
+        res.json({
+            success: true,
+            user: toUserResponse(req.session)
+        });
+    });
+
+    /**
+     * Update Profile Endpoint
+     * PATCH /api/users/me
+     *
+     * Request Body (any of):
+     * {
+     *   "displayName": "Asha Rao",
+     *   "email": "asha@example.com",
+     *   "avatarUrl": "https://example.com/asha.png",
+     *   "locale": "en-IN"
+     * }
+     *
+     * The email can only be set here by users who sign in with their
+     * phone - it's a contact address until it's verified by an email login.
+     */
+    router.patch('/me', requireAuth, (req, res) => {
+        const user = getUserById(req.session.subject);
+        const { changes, status, message } = parseProfileChanges(req.body || {}, user);
+
+        if (!changes) {
+            return res.status(status).json({
+                success: false,
+                message: message
+            });
+        }
+
+        updateProfile(user.id, changes);
+        logger.info(`👤 Profile updated for: ${user.phone || user.email} (${Object.keys(changes).join(', ')})`);
+
+        res.json({
+            success: true,
+            message: 'Profile updated',
+            user: toUserResponse(req.session)
+        });
+    });
+
+    /**
+     * Data Export Endpoint
+     * GET /api/users/me/export
+     *
+     * Everything we hold about the logged-in user, as a JSON download:
+     * {
+     *   "exportedAt": "...",
+     *   "profile": { ...same as GET /api/users/me },
+     *   "security": { "totpEnabled": true, "passkeys": [...], "recoveryCodes": {...}, "pendingPhoneChange": {...} },
+     *   "sessions": [...],
+     *   "loginHistory": [{ "channel": "sms", "ip": "...", "userAgent": "...", "createdAt": "..." }],
+     *   "auditEvents": [{ "type": "phone_change.requested", "at": "...", "details": {...} }]
+     * }
+     *
+     * Secrets (TOTP secret, recovery code hashes, passkey public keys) are left out.
+     */
+    router.get('/me/export', requireAuth, async (req, res) => {
+        const userId = req.session.subject;
+        const profile = toUserResponse(req.session);
+        const pendingChange = getPendingPhoneChange(userId);
+
+        logger.info(`📦 Data export for: ${profile.phone || profile.email}`);
+
+        res.set('Content-Disposition', 'attachment; filename="secureauth-export.json"');
+        res.json({
+            exportedAt: new Date().toISOString(),
+            profile: profile,
+            security: {
+                totpEnabled: profile.totpEnabled,
+                passkeys: listPasskeys(userId).map((passkey) => ({
+                    name: passkey.name,
+                    transports: passkey.transports,
+                    createdAt: new Date(passkey.createdAt).toISOString(),
+                    lastUsedAt: passkey.lastUsedAt ? new Date(passkey.lastUsedAt).toISOString() : null
+                })),
+                recoveryCodes: getRecoveryCodeStatus(userId),
+                pendingPhoneChange: pendingChange
+                    ? {
+                        newPhone: pendingChange.newPhone,
+                        effectiveAt: new Date(pendingChange.effectiveAt).toISOString()
+                    }
+                    : null
+            },
+            sessions: listSessionsForSubject(userId).map((session) => toSessionResponse(session, req.session.id)),
+            loginHistory: listLogins(userId).map((login) => ({
+                ...login,
+                createdAt: new Date(login.createdAt).toISOString()
+            })),
+            auditEvents: await listAccountEvents(userId)
+        });
+    });
+
+    /**
+     * Deletion Code Endpoint
+     * POST /api/users/me/delete/send
+     *
+     * Request Body:
+     * {
+     *   "channel": "sms"     (optional - the country's first channel for phone accounts, email otherwise)
+     * }
+     *
+     * Sends a fresh OTP to the account's phone (or email) to confirm the deletion.
+     */
+    router.post('/me/delete/send', requireAuth, rateLimit('delete-account', 'send', sessionAddress), async (req, res) => {
+        const user = getUserById(req.session.subject);
+        const recipient = confirmationRecipient(user);
+        const provider = deletionProvider(req, recipient);
+
+        if (!provider) {
+            return res.status(400).json({
+                success: false,
+                message: `Codes for this account can only be sent to its ${recipient.kind === 'phone' ? 'phone number' : 'email address'}.`
+            });
+        }
+
+        try {
+            logger.info(`🗑️  Account deletion: code to ${recipient.address}`);
+            await sendCode(req, res, provider, recipient);
+        } catch (error) {
+            logger.error('❌ Account Deletion Send Error', { error: error.message });
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error. Please try again later.'
+            });
+        }
+    });
+
+    /**
+     * Delete Account Endpoint
+     * DELETE /api/users/me
+     *
+     * Request Body:
+     * {
+     *   "channel": "sms",     (the channel the code arrived on)
+     *   "otp": "123456"
+     * }
+     *
+     * Deletes the user with their second factors, passkeys, login history
+     * and phone changes, signs out every session and forgets any pending OTP.
+     */
+    router.delete('/me', requireAuth, rateLimit('delete-account', 'verify', sessionAddress), async (req, res) => {
+        const user = getUserById(req.session.subject);
+        const recipient = confirmationRecipient(user);
+
+        try {
+            if (!(await checkCode(req, res, deletionProvider(req, recipient), recipient.address))) {
+                return;
+            }
+
+            const revokedSessions = revokeSessionsForSubject(user.id);
+            await purgeStoredOTPs(user);
+            deleteUser(user.id);
+            logger.info(`🗑️  Account deleted: ${user.id} (${recipient.address}, ${revokedSessions} sessions)`);
+
+            clearSessionCookies(res);
+            res.json({
+                success: true,
+                verified: true,
+                message: 'Your account and its data have been deleted.'
+            });
+        } catch (error) {
+            logger.error('❌ Account Deletion Error', { error: error.message });
+            res.status(error.request ? 503 : 500).json({
+                success: false,
+                message: error.request
+                    ? 'Unable to connect to verification service. Please try again later.'
+                    : 'Internal server error. Please try again later.'
+            });
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createUserRoutes };
@@ -0,0 +1,122 @@
+// =====================================================
+// Mock 2Factor Server
+// Local stand-in for the 2Factor SMS + voice OTP APIs, so the
+// login flow can be tried without an account or a real phone.
+// OTPs are printed here instead of being texted/called.
+//
+//   npm run mock:2factor
+//
+// Then start the backend against it:
+//
+//   SEND_OTP_URL=http://localhost:5050/API/R1/
+//   VERIFY_OTP_URL=http://localhost:5050/API/V1
+//
+// MOCK_2FACTOR_FAIL=SMS (or SMS,VOICE) makes those sends
+// fail, to try out the channel fallback.
+// =====================================================
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = process.env.MOCK_2FACTOR_PORT || 5050;
+
+// Services whose sends are answered with an error
+const FAILING_SERVICES = (process.env.MOCK_2FACTOR_FAIL || '')
+    .split(',')
+    .map((service) => service.trim().toUpperCase())
+    .filter(Boolean);
+
+// 2Factor keeps OTPs for 10 minutes
+const OTP_TTL_MS = 10 * 60 * 1000;
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+// Pending OTPs by "<SERVICE>:<phone>"
+const otps = new Map();
+
+/**
+ * Remember an OTP the way 2Factor would for VERIFY3
+ * @param {string} service - SMS | VOICE
+ * @param {string} phoneNumber - Number as sent to 2Factor (country code, no +)
+ * @param {string} otp - OTP value
+ * @returns {string} - Fake session id
+ */
+const rememberOtp = (service, phoneNumber, otp) => {
+    otps.set(`${service}:${phoneNumber}`, { otp, expiresAt: Date.now() + OTP_TTL_MS });
+    return crypto.randomUUID();
+};
+
+/**
+ * SMS OTP (R1 API)
+ * POST /API/R1/  module=SMS_OTP&apikey=...&to=...&otpvalue=...&templatename=...
+ */
+app.post('/API/R1/', (req, res) => {
+    const { module, to, otpvalue } = req.body;
+
+    if (module !== 'SMS_OTP' || !to || !otpvalue) {
+        return res.status(400).json({ Status: 'Error', Details: 'Invalid request' });
+    }
+
+    if (FAILING_SERVICES.includes('SMS')) {
+        console.log(`💥 SMS to ${to} failed (MOCK_2FACTOR_FAIL)`);
+        return res.json({ Status: 'Error', Details: 'SMS delivery failed' });
+    }
+
+    console.log(`💬 SMS to ${to}: your OTP is ${otpvalue}`);
+    res.json({ Status: 'Success', Details: rememberOtp('SMS', to, otpvalue) });
+});
+
+/**
+ * Balance check
+ * GET /API/V1/:apiKey/BAL/:service
+ */
+app.get('/API/V1/:apiKey/BAL/:service', (req, res) => {
+    res.json({ Status: 'Success', Details: '999' });
+});
+
+/**
+ * Voice OTP
+ * GET /API/V1/:apiKey/VOICE/:phone/:otp
+ */
+app.get('/API/V1/:apiKey/VOICE/:phone/:otp', (req, res) => {
+    const { phone, otp } = req.params;
+
+    if (FAILING_SERVICES.includes('VOICE')) {
+        console.log(`💥 Call to ${phone} failed (MOCK_2FACTOR_FAIL)`);
+        return res.json({ Status: 'Error', Details: 'Voice call failed' });
+    }
+
+    console.log(`📞 Calling ${phone}: "your OTP is ${otp.split('').join(' ')}"`);
+    res.json({ Status: 'Success', Details: rememberOtp('VOICE', phone, otp) });
+});
+
+/**
+ * Verify an OTP by phone number
+ * GET /API/V1/:apiKey/:service/VERIFY3/:phone/:otp
+ */
+app.get('/API/V1/:apiKey/:service/VERIFY3/:phone/:otp', (req, res) => {
+    const { service, phone, otp } = req.params;
+    const key = `${service}:${phone}`;
+    const pending = otps.get(key);
+
+    if (!pending) {
+        return res.status(400).json({ Status: 'Error', Details: 'No OTP request found for this number' });
+    }
+
+    if (Date.now() > pending.expiresAt) {
+        otps.delete(key);
+        return res.status(400).json({ Status: 'Error', Details: 'OTP Expired' });
+    }
+
+    if (pending.otp !== otp) {
+        return res.status(400).json({ Status: 'Error', Details: 'OTP Mismatch' });
+    }
+
+    otps.delete(key);
+    res.json({ Status: 'Success', Details: 'OTP Matched' });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock 2Factor running on http://localhost:${PORT}`);
+});
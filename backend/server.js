@@ -6,9 +6,26 @@
 // Import required packages
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
+// Local modules (loaded after dotenv so they can read process.env)
+const { createStore } = require('./stores');
+const { createOtpRoutes } = require('./routes/otp');
+const { providers } = require('./providers');
+const authRoutes = require('./routes/auth');
+const { createUserRoutes } = require('./routes/users');
+const { createPhoneChangeRoutes } = require('./routes/phoneChange');
+const totpRoutes = require('./routes/totp');
+const { createRecoveryRoutes } = require('./routes/recovery');
+const { createPasskeyRoutes } = require('./routes/passkeys');
+const adminRoutes = require('./routes/admin');
+const { DATABASE_FILE } = require('./db');
+const { AUDIT_LOG_FILE } = require('./audit');
+const { LOG_FORMAT, logger } = require('./logger');
+const { requestId } = require('./middleware/requestId');
+const { FRONTEND_ORIGINS } = require('./config/origins');
+
 // Initialize Express app
 const app = express();
 
@@ -16,10 +33,14 @@ const app = express();
 // MIDDLEWARE CONFIGURATION
 // =====================================================
 
-// Enable CORS for frontend communication
+// Request ID on every log line (and the X-Request-Id response header)
+app.use(requestId);
+
+// Enable CORS for frontend communication (FRONTEND_ORIGINS, see config/origins.js)
 app.use(cors({
-    origin: ['http://localhost:5173', 'http://localhost:3000', 'http://127.0.0.1:5173'],
-    methods: ['GET', 'POST'],
+    origin: FRONTEND_ORIGINS,
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    exposedHeaders: ['Retry-After', 'X-Request-Id'],
     credentials: true
 }));
 
@@ -29,125 +50,30 @@ app.use(express.json());
 // Parse URL-encoded request bodies
 app.use(express.urlencoded({ extended: true }));
 
-// =====================================================
-// ENVIRONMENT VARIABLES
-// =====================================================
+// Parse cookies (session access token)
+app.use(cookieParser());
 
-const PORT = process.env.PORT || 5000;
-const API_KEY = process.env.API_KEY;
-const SEND_OTP_URL = process.env.SEND_OTP_URL || 'https://2factor.in/API/R1/';
-const VERIFY_OTP_URL = process.env.VERIFY_OTP_URL || 'https://2factor.in/API/V1';
-const OTP_TEMPLATE = process.env.OTP_TEMPLATE || 'OTP1';
-// WhatsApp API Configuration
-const WHATSAPP_API_URL = 'https://adminapis.backendprod.com/lms_campaign/api/whatsapp/template/09stbyfn12/process';
-// Meta WhatsApp API Configuration (Old Simple WhatsApp)
-const META_WHATSAPP_API_URL = process.env.META_WHATSAPP_API_URL;
-const META_WHATSAPP_API_KEY = process.env.META_WHATSAPP_API_KEY;
+// Behind a proxy/load balancer, trust X-Forwarded-For so req.ip is the real client
+// (e.g. TRUST_PROXY=1 for one proxy hop)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
 
 // =====================================================
-// OTP STORAGE (For WhatsApp - since no auto-verify)
+// ENVIRONMENT VARIABLES
 // =====================================================
 
-// In-memory OTP storage (Use Redis in production)
-const otpStorage = new Map();
-
-// OTP Configuration
-const OTP_EXPIRY_MINUTES = 5;
-
-/**
- * Generate a random 4-digit OTP
- * @returns {string} - 4-digit OTP
- */
-const generateOTP = () => {
-    return Math.floor(1000 + Math.random() * 9000).toString();
-};
-
-/**
- * Store OTP with expiry
- * @param {string} phoneNumber - Phone number as key
- * @param {string} otp - OTP value
- */
-const storeOTP = (phoneNumber, otp) => {
-    otpStorage.set(phoneNumber, {
-        otp: otp,
-        createdAt: Date.now(),
-        expiresAt: Date.now() + (OTP_EXPIRY_MINUTES * 60 * 1000)
-    });
-};
-
-/**
- * Verify OTP from storage
- * @param {string} phoneNumber - Phone number
- * @param {string} otp - OTP to verify
- * @returns {object} - { valid: boolean, message: string }
- */
-const verifyStoredOTP = (phoneNumber, otp) => {
-    const stored = otpStorage.get(phoneNumber);
-    
-    if (!stored) {
-        return { valid: false, message: 'No OTP was sent to this number. Please request OTP first.' };
-    }
-    
-    if (Date.now() > stored.expiresAt) {
-        otpStorage.delete(phoneNumber);
-        return { valid: false, message: 'OTP has expired. Please request a new OTP.' };
-    }
-    
-    if (stored.otp !== otp) {
-        return { valid: false, message: 'Invalid OTP. Please check and try again.' };
-    }
-    
-    // OTP matched - remove from storage
-    otpStorage.delete(phoneNumber);
-    return { valid: true, message: 'OTP verified successfully!' };
-};
-
-// Clean up expired OTPs every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    for (const [phone, data] of otpStorage.entries()) {
-        if (now > data.expiresAt) {
-            otpStorage.delete(phone);
-        }
-    }
-}, 5 * 60 * 1000);
+const PORT = process.env.PORT || 5000;
+// Provider credentials (API_KEY, META_WHATSAPP_API_KEY, ...) are read by the
+// adapters in providers/
 
 // =====================================================
-// HELPER FUNCTIONS
+// OTP STORAGE
 // =====================================================
 
-/**
- * Validate phone number
- * @param {string} phoneNumber - The phone number to validate
- * @returns {boolean} - Whether the phone number is valid
- */
-const validatePhoneNumber = (phoneNumber) => {
-    // Remove any spaces or special characters
-    const cleanNumber = phoneNumber.replace(/[\s\-\(\)]/g, '');
-    
-    // Check if it's a valid 10-digit Indian phone number
-    const phoneRegex = /^[6-9]\d{9}$/;
-    return phoneRegex.test(cleanNumber);
-};
-
-/**
- * Format phone number with country code
- * @param {string} phoneNumber - The phone number to format
- * @returns {string} - Formatted phone number with 91 prefix
- */
-const formatPhoneNumber = (phoneNumber) => {
-    // Remove any spaces or special characters
-    const cleanNumber = phoneNumber.replace(/[\s\-\(\)]/g, '');
-    
-    // Remove +91 or 91 prefix if already present
-    if (cleanNumber.startsWith('+91')) {
-        return cleanNumber.substring(3);
-    } else if (cleanNumber.startsWith('91') && cleanNumber.length > 10) {
-        return cleanNumber.substring(2);
-    }
-    
-    return cleanNumber;
-};
+// OTPs, resend cooldowns and rate limits share one store -
+// memory, Redis or file, picked by OTP_STORE (see stores/index.js)
+const otpStore = createStore();
 
 // =====================================================
 // API ROUTES
@@ -165,846 +91,53 @@ app.get('/api/health', (req, res) => {
     });
 });
 
-/**
- * Send OTP Endpoint
- * POST /api/send-otp
- * 
- * Request Body:
- * {
- *   "phoneNumber": "7021312529"
- * }
- * 
- * Response:
- * {
- *   "success": true,
- *   "message": "OTP sent successfully",
- *   "phoneNumber": "7021312529"
- * }
- */
-app.post('/api/send-otp', async (req, res) => {
-    try {
-        const { phoneNumber } = req.body;
-
-        // Validate request body
-        if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number is required'
-            });
-        }
-
-        // Format and validate phone number
-        const formattedPhone = formatPhoneNumber(phoneNumber);
-
-        if (!validatePhoneNumber(formattedPhone)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid phone number. Please enter a valid 10-digit Indian mobile number.'
-            });
-        }
-
-        console.log(`\n📱 Sending OTP to: ${formattedPhone}`);
-
-        // Prepare request data for 2Factor API (POST method)
-        // Using x-www-form-urlencoded format
-        const requestData = new URLSearchParams({
-            module: 'SMS_OTP',
-            apikey: API_KEY,
-            to: formattedPhone,  // 2Factor will add country code automatically
-            otpvalue: 'AUTOGEN2',  // Auto-generate 6-digit OTP
-            templatename: OTP_TEMPLATE
-        });
-
-        console.log('📤 Calling 2Factor Send OTP API...');
-
-        // Make API call to 2Factor
-        const response = await axios.post(SEND_OTP_URL, requestData, {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
-        });
-
-        console.log('📥 2Factor Response:', response.data);
-
-        // Check if OTP was sent successfully
-        if (response.data.Status === 'Success') {
-            return res.json({
-                success: true,
-                message: 'OTP sent successfully! Please check your phone.',
-                phoneNumber: formattedPhone,
-                // Note: We don't send session_id to frontend for security
-                // The verify endpoint uses phone number directly (VERIFY3)
-            });
-        } else {
-            // Handle 2Factor error
-            console.error('❌ 2Factor Error:', response.data);
-            return res.status(400).json({
-                success: false,
-                message: response.data.Details || 'Failed to send OTP. Please try again.'
-            });
-        }
-
-    } catch (error) {
-        console.error('❌ Server Error:', error.message);
-        
-        // Handle specific axios errors
-        if (error.response) {
-            // 2Factor API returned an error
-            console.error('2Factor API Error:', error.response.data);
-            return res.status(error.response.status).json({
-                success: false,
-                message: error.response.data?.Details || 'Failed to send OTP. Please try again.'
-            });
-        } else if (error.request) {
-            // Network error
-            return res.status(503).json({
-                success: false,
-                message: 'Unable to connect to SMS service. Please try again later.'
-            });
-        }
-
-        // Generic error
-        return res.status(500).json({
-            success: false,
-            message: 'Internal server error. Please try again later.'
-        });
-    }
-});
-
-/**
- * Verify OTP Endpoint
- * POST /api/verify-otp
- * 
- * Request Body:
- * {
- *   "phoneNumber": "7021312529",
- *   "otp": "1234"
- * }
- * 
- * Response:
- * {
- *   "success": true,
- *   "verified": true,
- *   "message": "OTP verified successfully"
- * }
- */
-app.post('/api/verify-otp', async (req, res) => {
-    try {
-        const { phoneNumber, otp } = req.body;
-
-        // Validate request body
-        if (!phoneNumber || !otp) {
-            return res.status(400).json({
-                success: false,
-                verified: false,
-                message: 'Phone number and OTP are required'
-            });
-        }
-
-        // Format phone number
-        const formattedPhone = formatPhoneNumber(phoneNumber);
-
-        // Validate OTP format (should be 4-6 digits)
-        const otpRegex = /^\d{4,6}$/;
-        if (!otpRegex.test(otp)) {
-            return res.status(400).json({
-                success: false,
-                verified: false,
-                message: 'Invalid OTP format. Please enter a valid OTP.'
-            });
-        }
-
-        console.log(`\n🔐 Verifying OTP for: ${formattedPhone}`);
-        console.log(`   OTP entered: ${otp}`);
-
-        // Build VERIFY3 API URL
-        // Format: https://2factor.in/API/V1/{api_key}/SMS/VERIFY3/{phone_number}/{otp}
-        const verifyUrl = `${VERIFY_OTP_URL}/${API_KEY}/SMS/VERIFY3/${formattedPhone}/${otp}`;
-
-        console.log('📤 Calling 2Factor Verify OTP API...');
-
-        // Make API call to 2Factor
-        const response = await axios.get(verifyUrl);
-
-        console.log('📥 2Factor Verify Response:', response.data);
-
-        // Check verification result
-        if (response.data.Status === 'Success' && response.data.Details === 'OTP Matched') {
-            return res.json({
-                success: true,
-                verified: true,
-                message: 'OTP verified successfully! Logging you in...',
-                phoneNumber: formattedPhone
-            });
-        } else {
-            // OTP didn't match
-            return res.status(400).json({
-                success: false,
-                verified: false,
-                message: 'Invalid OTP. Please check and try again.'
-            });
-        }
-
-    } catch (error) {
-        console.error('❌ Verify Error:', error.message);
-
-        // Handle specific axios errors
-        if (error.response) {
-            const errorDetails = error.response.data?.Details || '';
-            
-            // Check for specific error messages from 2Factor
-            if (errorDetails.includes('OTP Mismatch') || errorDetails.includes('OTP not matched')) {
-                return res.status(400).json({
-                    success: false,
-                    verified: false,
-                    message: 'Invalid OTP. Please check and try again.'
-                });
-            } else if (errorDetails.includes('OTP Expired')) {
-                return res.status(400).json({
-                    success: false,
-                    verified: false,
-                    message: 'OTP has expired. Please request a new OTP.'
-                });
-            } else if (errorDetails.includes('No OTP request')) {
-                return res.status(400).json({
-                    success: false,
-                    verified: false,
-                    message: 'No OTP was sent to this number. Please request OTP first.'
-                });
-            }
-
-            console.error('2Factor API Error:', error.response.data);
-            return res.status(error.response.status).json({
-                success: false,
-                verified: false,
-                message: errorDetails || 'OTP verification failed. Please try again.'
-            });
-        } else if (error.request) {
-            // Network error
-            return res.status(503).json({
-                success: false,
-                verified: false,
-                message: 'Unable to connect to verification service. Please try again later.'
-            });
-        }
-
-        // Generic error
-        return res.status(500).json({
-            success: false,
-            verified: false,
-            message: 'Internal server error. Please try again later.'
-        });
-    }
-});
-
-/**
- * Resend OTP Endpoint
- * POST /api/resend-otp
- * 
- * Same as send-otp, but with a different message
- */
-app.post('/api/resend-otp', async (req, res) => {
-    try {
-        const { phoneNumber } = req.body;
-
-        // Validate request body
-        if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number is required'
-            });
-        }
-
-        // Format and validate phone number
-        const formattedPhone = formatPhoneNumber(phoneNumber);
-
-        if (!validatePhoneNumber(formattedPhone)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid phone number.'
-            });
-        }
-
-        console.log(`\n🔄 Resending OTP to: ${formattedPhone}`);
-
-        // Prepare request data for 2Factor API
-        const requestData = new URLSearchParams({
-            module: 'SMS_OTP',
-            apikey: API_KEY,
-            to: formattedPhone,
-            otpvalue: 'AUTOGEN2',
-            templatename: OTP_TEMPLATE
-        });
-
-        // Make API call to 2Factor
-        const response = await axios.post(SEND_OTP_URL, requestData, {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
-        });
-
-        console.log('📥 2Factor Response:', response.data);
-
-        if (response.data.Status === 'Success') {
-            return res.json({
-                success: true,
-                message: 'New OTP sent successfully!',
-                phoneNumber: formattedPhone
-            });
-        } else {
-            return res.status(400).json({
-                success: false,
-                message: response.data.Details || 'Failed to resend OTP. Please try again.'
-            });
-        }
-
-    } catch (error) {
-        console.error('❌ Resend Error:', error.message);
-        return res.status(500).json({
-            success: false,
-            message: 'Failed to resend OTP. Please try again later.'
-        });
-    }
-});
-
 // =====================================================
-// WHATSAPP OTP ENDPOINTS
+// OTP ENDPOINTS
 // =====================================================
 
-/**
- * Send OTP via WhatsApp
- * POST /api/whatsapp/send-otp
- * 
- * Request Body:
- * {
- *   "phoneNumber": "7021312529"
- * }
- */
-app.post('/api/whatsapp/send-otp', async (req, res) => {
-    try {
-        const { phoneNumber } = req.body;
-
-        // Validate request body
-        if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number is required'
-            });
-        }
-
-        // Format and validate phone number
-        const formattedPhone = formatPhoneNumber(phoneNumber);
-
-        if (!validatePhoneNumber(formattedPhone)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid phone number. Please enter a valid 10-digit Indian mobile number.'
-            });
-        }
-
-        // Generate OTP
-        const otp = generateOTP();
-        
-        // Store OTP for later verification
-        storeOTP(formattedPhone, otp);
-
-        console.log(`\n📱 Sending WhatsApp OTP to: ${formattedPhone}`);
-        console.log(`   Generated OTP: ${otp}`);
-
-        // Prepare request data for WhatsApp API
-        const requestData = {
-            receiver: `+91${formattedPhone}`,
-            values: {
-                "1": otp
-            }
-        };
-
-        console.log('📤 Calling WhatsApp API...');
-
-        // Make API call to WhatsApp
-        const response = await axios.post(WHATSAPP_API_URL, requestData, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        console.log('📥 WhatsApp API Response:', response.data);
-
-        // Check if message was sent successfully
-        // Adjust this based on actual API response structure
-        if (response.data && (response.data.success || response.status === 200)) {
-            return res.json({
-                success: true,
-                message: 'OTP sent successfully via WhatsApp! Please check your WhatsApp.',
-                phoneNumber: formattedPhone
-            });
-        } else {
-            // Remove stored OTP if sending failed
-            otpStorage.delete(formattedPhone);
-            return res.status(400).json({
-                success: false,
-                message: response.data?.message || 'Failed to send WhatsApp OTP. Please try again.'
-            });
-        }
-
-    } catch (error) {
-        console.error('❌ WhatsApp Send Error:', error.message);
-        
-        // Remove stored OTP if sending failed
-        const formattedPhone = formatPhoneNumber(req.body.phoneNumber || '');
-        otpStorage.delete(formattedPhone);
-
-        if (error.response) {
-            console.error('WhatsApp API Error:', error.response.data);
-            return res.status(error.response.status).json({
-                success: false,
-                message: error.response.data?.message || 'Failed to send WhatsApp OTP.'
-            });
-        }
-
-        return res.status(500).json({
-            success: false,
-            message: 'Failed to send WhatsApp OTP. Please try again later.'
-        });
-    }
-});
-
-/**
- * Verify WhatsApp OTP
- * POST /api/whatsapp/verify-otp
- * 
- * Request Body:
- * {
- *   "phoneNumber": "7021312529",
- *   "otp": "123456"
- * }
- */
-app.post('/api/whatsapp/verify-otp', async (req, res) => {
-    try {
-        const { phoneNumber, otp } = req.body;
-
-        // Validate request body
-        if (!phoneNumber || !otp) {
-            return res.status(400).json({
-                success: false,
-                verified: false,
-                message: 'Phone number and OTP are required'
-            });
-        }
-
-        // Format phone number
-        const formattedPhone = formatPhoneNumber(phoneNumber);
-
-        // Validate OTP format
-        const otpRegex = /^\d{4,6}$/;
-        if (!otpRegex.test(otp)) {
-            return res.status(400).json({
-                success: false,
-                verified: false,
-                message: 'Invalid OTP format. Please enter a valid OTP.'
-            });
-        }
-
-        console.log(`\n🔐 Verifying WhatsApp OTP for: ${formattedPhone}`);
-        console.log(`   OTP entered: ${otp}`);
-
-        // Verify OTP from storage
-        const verificationResult = verifyStoredOTP(formattedPhone, otp);
-
-        if (verificationResult.valid) {
-            console.log('✅ OTP Verified Successfully!');
-            return res.json({
-                success: true,
-                verified: true,
-                message: 'OTP verified successfully! Logging you in...',
-                phoneNumber: formattedPhone
-            });
-        } else {
-            console.log('❌ OTP Verification Failed:', verificationResult.message);
-            return res.status(400).json({
-                success: false,
-                verified: false,
-                message: verificationResult.message
-            });
-        }
+// Old per-channel paths, kept working for existing clients
+const LEGACY_OTP_ROUTES = {
+    '/api/send-otp': '/api/otp/sms/send',
+    '/api/verify-otp': '/api/otp/sms/verify',
+    '/api/resend-otp': '/api/otp/sms/resend',
+    '/api/whatsapp/send-otp': '/api/otp/whatsapp/send',
+    '/api/whatsapp/verify-otp': '/api/otp/whatsapp/verify',
+    '/api/whatsapp/resend-otp': '/api/otp/whatsapp/resend',
+    '/api/whatsapp-meta/send-otp': '/api/otp/whatsapp-meta/send',
+    '/api/whatsapp-meta/verify-otp': '/api/otp/whatsapp-meta/verify',
+    '/api/whatsapp-meta/resend-otp': '/api/otp/whatsapp-meta/resend'
+};
 
-    } catch (error) {
-        console.error('❌ WhatsApp Verify Error:', error.message);
-        return res.status(500).json({
-            success: false,
-            verified: false,
-            message: 'Internal server error. Please try again later.'
-        });
+app.use((req, res, next) => {
+    if (req.method === 'POST' && LEGACY_OTP_ROUTES[req.path]) {
+        req.url = LEGACY_OTP_ROUTES[req.path];
     }
+    next();
 });
 
-/**
- * Resend OTP via WhatsApp
- * POST /api/whatsapp/resend-otp
- */
-app.post('/api/whatsapp/resend-otp', async (req, res) => {
-    try {
-        const { phoneNumber } = req.body;
-
-        if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number is required'
-            });
-        }
-
-        const formattedPhone = formatPhoneNumber(phoneNumber);
-
-        if (!validatePhoneNumber(formattedPhone)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid phone number.'
-            });
-        }
-
-        // Generate new OTP
-        const otp = generateOTP();
-        storeOTP(formattedPhone, otp);
-
-        console.log(`\n🔄 Resending WhatsApp OTP to: ${formattedPhone}`);
-
-        const requestData = {
-            receiver: `+91${formattedPhone}`,
-            values: {
-                "1": otp
-            }
-        };
-
-        const response = await axios.post(WHATSAPP_API_URL, requestData, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (response.data && (response.data.success || response.status === 200)) {
-            return res.json({
-                success: true,
-                message: 'New OTP sent via WhatsApp!',
-                phoneNumber: formattedPhone
-            });
-        } else {
-            otpStorage.delete(formattedPhone);
-            return res.status(400).json({
-                success: false,
-                message: 'Failed to resend WhatsApp OTP.'
-            });
-        }
-
-    } catch (error) {
-        console.error('❌ WhatsApp Resend Error:', error.message);
-        return res.status(500).json({
-            success: false,
-            message: 'Failed to resend WhatsApp OTP.'
-        });
-    }
-});
+app.use('/api/otp', createOtpRoutes(otpStore));
 
 // =====================================================
-// META WHATSAPP OTP ENDPOINTS (Old Simple WhatsApp)
+// AUTH ENDPOINTS
 // =====================================================
 
-/**
- * Send OTP via Meta WhatsApp
- * POST /api/whatsapp-meta/send-otp
- * 
- * Request Body:
- * {
- *   "phoneNumber": "7021312529"
- * }
- */
-app.post('/api/whatsapp-meta/send-otp', async (req, res) => {
-    try {
-        const { phoneNumber } = req.body;
-
-        // Validate request body
-        if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number is required'
-            });
-        }
-
-        // Format and validate phone number
-        const formattedPhone = formatPhoneNumber(phoneNumber);
-
-        if (!validatePhoneNumber(formattedPhone)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid phone number. Please enter a valid 10-digit Indian mobile number.'
-            });
-        }
+app.use('/api/auth/totp', totpRoutes);
+app.use('/api/auth/recovery-codes', createRecoveryRoutes(otpStore));
+app.use('/api/auth/passkeys', createPasskeyRoutes(otpStore));
+app.use('/api/auth', authRoutes);
 
-        // Generate 4-digit OTP
-        const otp = generateOTP();
-        
-        // Store OTP for later verification (reusing existing storage)
-        storeOTP(formattedPhone, otp);
-
-        console.log(`\n📱 Sending Meta WhatsApp OTP to: ${formattedPhone}`);
-        console.log(`   Generated OTP: ${otp}`);
-
-        // Prepare request data for Meta WhatsApp API
-        const requestData = {
-            messaging_product: "whatsapp",
-            recipient_type: "individual",
-            to: formattedPhone,  // Without country code, API handles it
-            type: "template",
-            template: {
-                name: "otp_template1",
-                language: {
-                    code: "en"
-                },
-                components: [
-                    {
-                        type: "body",
-                        parameters: [
-                            {
-                                type: "text",
-                                text: otp
-                            }
-                        ]
-                    },
-                    {
-                        type: "button",
-                        sub_type: "url",
-                        index: "0",
-                        parameters: [
-                            {
-                                type: "payload",
-                                payload: otp
-                            }
-                        ]
-                    }
-                ]
-            }
-        };
-
-        console.log('📤 Calling Meta WhatsApp API...');
-
-        // Make API call to Meta WhatsApp
-        const response = await axios.post(META_WHATSAPP_API_URL, requestData, {
-            headers: {
-                'Content-Type': 'application/json',
-                'apikey': META_WHATSAPP_API_KEY
-            }
-        });
-
-        console.log('📥 Meta WhatsApp API Response:', response.data);
-
-        // Check if message was sent successfully
-        // Response has "message_status": "accepted" when successful
-        if (response.data && response.data.messages && response.data.messages[0]?.message_status === 'accepted') {
-            return res.json({
-                success: true,
-                message: 'OTP sent successfully via WhatsApp! Please check your WhatsApp.',
-                phoneNumber: formattedPhone
-            });
-        } else if (response.status === 200) {
-            // Sometimes 200 OK is enough
-            return res.json({
-                success: true,
-                message: 'OTP sent successfully via WhatsApp! Please check your WhatsApp.',
-                phoneNumber: formattedPhone
-            });
-        } else {
-            // Remove stored OTP if sending failed
-            otpStorage.delete(formattedPhone);
-            return res.status(400).json({
-                success: false,
-                message: response.data?.message || 'Failed to send WhatsApp OTP. Please try again.'
-            });
-        }
-
-    } catch (error) {
-        console.error('❌ Meta WhatsApp Send Error:', error.message);
-        
-        // Remove stored OTP if sending failed
-        const formattedPhone = formatPhoneNumber(req.body.phoneNumber || '');
-        otpStorage.delete(formattedPhone);
-
-        if (error.response) {
-            console.error('Meta WhatsApp API Error:', error.response.data);
-            return res.status(error.response.status).json({
-                success: false,
-                message: error.response.data?.message || 'Failed to send WhatsApp OTP.'
-            });
-        }
-
-        return res.status(500).json({
-            success: false,
-            message: 'Failed to send WhatsApp OTP. Please try again later.'
-        });
-    }
-});
-
-/**
- * Verify Meta WhatsApp OTP
- * POST /api/whatsapp-meta/verify-otp
- * 
- * Request Body:
- * {
- *   "phoneNumber": "7021312529",
- *   "otp": "1234"
- * }
- */
-app.post('/api/whatsapp-meta/verify-otp', async (req, res) => {
-    try {
-        const { phoneNumber, otp } = req.body;
-
-        // Validate request body
-        if (!phoneNumber || !otp) {
-            return res.status(400).json({
-                success: false,
-                verified: false,
-                message: 'Phone number and OTP are required'
-            });
-        }
-
-        // Format phone number
-        const formattedPhone = formatPhoneNumber(phoneNumber);
-
-        // Validate OTP format (4 digits)
-        const otpRegex = /^\d{4}$/;
-        if (!otpRegex.test(otp)) {
-            return res.status(400).json({
-                success: false,
-                verified: false,
-                message: 'Invalid OTP format. Please enter a valid 4-digit OTP.'
-            });
-        }
-
-        console.log(`\n🔐 Verifying Meta WhatsApp OTP for: ${formattedPhone}`);
-        console.log(`   OTP entered: ${otp}`);
-
-        // Verify OTP from storage (reusing existing verification)
-        const verificationResult = verifyStoredOTP(formattedPhone, otp);
-
-        if (verificationResult.valid) {
-            console.log('✅ OTP Verified Successfully!');
-            return res.json({
-                success: true,
-                verified: true,
-                message: 'OTP verified successfully! Logging you in...',
-                phoneNumber: formattedPhone
-            });
-        } else {
-            console.log('❌ OTP Verification Failed:', verificationResult.message);
-            return res.status(400).json({
-                success: false,
-                verified: false,
-                message: verificationResult.message
-            });
-        }
-
-    } catch (error) {
-        console.error('❌ Meta WhatsApp Verify Error:', error.message);
-        return res.status(500).json({
-            success: false,
-            verified: false,
-            message: 'Internal server error. Please try again later.'
-        });
-    }
-});
-
-/**
- * Resend OTP via Meta WhatsApp
- * POST /api/whatsapp-meta/resend-otp
- */
-app.post('/api/whatsapp-meta/resend-otp', async (req, res) => {
-    try {
-        const { phoneNumber } = req.body;
-
-        if (!phoneNumber) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number is required'
-            });
-        }
-
-        const formattedPhone = formatPhoneNumber(phoneNumber);
-
-        if (!validatePhoneNumber(formattedPhone)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid phone number.'
-            });
-        }
-
-        // Generate new OTP
-        const otp = generateOTP();
-        storeOTP(formattedPhone, otp);
-
-        console.log(`\n🔄 Resending Meta WhatsApp OTP to: ${formattedPhone}`);
-
-        const requestData = {
-            messaging_product: "whatsapp",
-            recipient_type: "individual",
-            to: formattedPhone,
-            type: "template",
-            template: {
-                name: "otp_template1",
-                language: {
-                    code: "en"
-                },
-                components: [
-                    {
-                        type: "body",
-                        parameters: [
-                            {
-                                type: "text",
-                                text: otp
-                            }
-                        ]
-                    },
-                    {
-                        type: "button",
-                        sub_type: "url",
-                        index: "0",
-                        parameters: [
-                            {
-                                type: "payload",
-                                payload: otp
-                            }
-                        ]
-                    }
-                ]
-            }
-        };
+// =====================================================
+// USER ENDPOINTS
+// =====================================================
 
-        const response = await axios.post(META_WHATSAPP_API_URL, requestData, {
-            headers: {
-                'Content-Type': 'application/json',
-                'apikey': META_WHATSAPP_API_KEY
-            }
-        });
+app.use('/api/users', createUserRoutes(otpStore));
+app.use('/api/phone-change', createPhoneChangeRoutes(otpStore));
 
-        if (response.status === 200) {
-            return res.json({
-                success: true,
-                message: 'New OTP sent via WhatsApp!',
-                phoneNumber: formattedPhone
-            });
-        } else {
-            otpStorage.delete(formattedPhone);
-            return res.status(400).json({
-                success: false,
-                message: 'Failed to resend WhatsApp OTP.'
-            });
-        }
+// =====================================================
+// ADMIN ENDPOINTS
+// =====================================================
 
-    } catch (error) {
-        console.error('❌ Meta WhatsApp Resend Error:', error.message);
-        return res.status(500).json({
-            success: false,
-            message: 'Failed to resend WhatsApp OTP.'
-        });
-    }
-});
+app.use('/api/admin', adminRoutes);
 
 // =====================================================
 // 404 HANDLER
@@ -1022,7 +155,7 @@ app.use((req, res) => {
 // =====================================================
 
 app.use((err, req, res, next) => {
-    console.error('Unhandled Error:', err);
+    logger.error('Unhandled Error', { error: err, stack: err.stack });
     res.status(500).json({
         success: false,
         message: 'Something went wrong!'
@@ -1034,28 +167,51 @@ app.use((err, req, res, next) => {
 // =====================================================
 
 app.listen(PORT, () => {
-    console.log('\n=====================================================');
-    console.log('🚀 OTP Login Backend Server');
-    console.log('=====================================================');
-    console.log(`✅ Server running on: http://localhost:${PORT}`);
-    console.log(`✅ Health check: http://localhost:${PORT}/api/health`);
-    console.log('=====================================================');
-    console.log('📡 Available Endpoints:');
-    console.log(`   POST /api/send-otp    - Send OTP to phone number`);
-    console.log(`   POST /api/verify-otp  - Verify OTP entered by user`);
-    console.log(`   POST /api/resend-otp  - Resend OTP to phone number`);
-    console.log('=====================================================\n');
-     console.log('-----------------------------------------------------');
-    console.log('📱 WhatsApp OTP Endpoints:');
-    console.log(`   POST /api/whatsapp/send-otp    - Send OTP via WhatsApp`);
-    console.log(`   POST /api/whatsapp/verify-otp  - Verify WhatsApp OTP`);
-    console.log(`   POST /api/whatsapp/resend-otp  - Resend WhatsApp OTP`);
-    console.log('=====================================================\n');
-    console.log('-----------------------------------------------------');
-    console.log('📱 Meta WhatsApp OTP Endpoints (Old Simple):');
-    console.log(`   POST /api/whatsapp-meta/send-otp    - Send OTP`);
-    console.log(`   POST /api/whatsapp-meta/verify-otp  - Verify OTP`);
-    console.log(`   POST /api/whatsapp-meta/resend-otp  - Resend OTP`);
-    console.log('=====================================================\n');
+    // Log collectors get one structured line...
+    if (LOG_FORMAT === 'json') {
+        logger.info('Server started', {
+            port: PORT,
+            otpStore: otpStore.name,
+            database: DATABASE_FILE,
+            auditLog: AUDIT_LOG_FILE
+        });
+        return;
+    }
 
-});
\ No newline at end of file
+    // ...people get the endpoint overview
+    logger.info('\n=====================================================');
+    logger.info('🚀 OTP Login Backend Server');
+    logger.info('=====================================================');
+    logger.info(`✅ Server running on: http://localhost:${PORT}`);
+    logger.info(`✅ Health check: http://localhost:${PORT}/api/health`);
+    logger.info(`✅ OTP store: ${otpStore.name}`);
+    logger.info(`✅ Database: ${DATABASE_FILE}`);
+    logger.info(`✅ Audit log: ${AUDIT_LOG_FILE}`);
+    logger.info('=====================================================');
+    logger.info('📡 OTP Endpoints:');
+    providers.forEach((provider) => {
+        logger.info(`   POST /api/otp/${provider.channel}/send|verify|resend  - ${provider.label} OTP`);
+    });
+    logger.info(`   GET  /api/otp/countries  - Supported countries`);
+    logger.info(`   GET  /api/otp/health  - Provider health`);
+    logger.info('-----------------------------------------------------');
+    logger.info('🔑 Auth Endpoints:');
+    logger.info(`   GET  /api/auth/me  - Current user`);
+    logger.info(`   POST /api/auth/refresh  - Refresh the access token`);
+    logger.info(`   POST /api/auth/logout  - Sign out`);
+    logger.info(`   POST /api/auth/totp/enroll|enroll/confirm  - Set up an authenticator app`);
+    logger.info(`   POST /api/auth/totp/verify  - Second factor at login`);
+    logger.info(`   GET|POST /api/auth/recovery-codes  - Recovery code status / new set`);
+    logger.info(`   POST /api/auth/recovery-codes/verify  - Log in with a recovery code`);
+    logger.info(`   POST /api/auth/passkeys/register/options|verify  - Add a passkey`);
+    logger.info(`   POST /api/auth/passkeys/login/options|verify  - Sign in with a passkey`);
+    logger.info(`   GET|PATCH /api/users/me  - Profile`);
+    logger.info(`   GET  /api/users/me/export  - Download my data`);
+    logger.info(`   POST /api/users/me/delete/send, DELETE /api/users/me  - Delete my account`);
+    logger.info(`   POST /api/phone-change/current|new/send|verify  - Change phone number`);
+    logger.info(`   POST /api/phone-change/cancel/send|verify  - Cancel a change from the old number`);
+    logger.info('-----------------------------------------------------');
+    logger.info('🛡️  Admin Endpoints (Authorization: Bearer ADMIN_API_TOKEN):');
+    logger.info(`   GET  /api/admin/audit  - Query the audit log`);
+    logger.info('=====================================================\n');
+});
@@ -0,0 +1,108 @@
+// =====================================================
+// File Store
+// JSON file on disk - survives restarts on a single
+// instance without needing Redis
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+/**
+ * Create a key/value store persisted to a JSON file
+ * @param {string} filePath - Where to keep the data
+ * @returns {object} - Store ({ get, set, delete, incr })
+ */
+const createFileStore = (filePath) => {
+    const entries = new Map();
+
+    // Load existing data (dropping anything that expired while we were down)
+    if (fs.existsSync(filePath)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(data)) {
+                if (now <= entry.expiresAt) {
+                    entries.set(key, entry);
+                }
+            }
+        } catch (error) {
+            logger.error(`❌ Could not read OTP store file ${filePath}`, { error: error.message });
+        }
+    }
+
+    /**
+     * Write the whole store to disk
+     * Written to a temp file first so a crash never leaves half a file behind
+     */
+    const persist = () => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(entries)));
+        fs.renameSync(tempPath, filePath);
+    };
+
+    // Clean up expired entries every 5 minutes (without keeping the process alive)
+    setInterval(() => {
+        const now = Date.now();
+        let changed = false;
+        for (const [key, entry] of entries.entries()) {
+            if (now > entry.expiresAt) {
+                entries.delete(key);
+                changed = true;
+            }
+        }
+        if (changed) {
+            persist();
+        }
+    }, 5 * 60 * 1000).unref();
+
+    return {
+        name: 'file',
+
+        async get(key) {
+            const entry = entries.get(key);
+
+            if (!entry) {
+                return null;
+            }
+
+            if (Date.now() > entry.expiresAt) {
+                entries.delete(key);
+                persist();
+                return null;
+            }
+
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.set(key, {
+                value: value,
+                expiresAt: Date.now() + ttlMs
+            });
+            persist();
+        },
+
+        async delete(key) {
+            if (entries.delete(key)) {
+                persist();
+            }
+        },
+
+        // No await between reading and writing, so concurrent calls can't interleave
+        async incr(key, ttlMs) {
+            const entry = entries.get(key);
+            const current = entry && Date.now() <= entry.expiresAt ? entry.value : 0;
+
+            entries.set(key, {
+                value: current + 1,
+                expiresAt: current ? entry.expiresAt : Date.now() + ttlMs
+            });
+            persist();
+            return current + 1;
+        }
+    };
+};
+
+module.exports = { createFileStore };
@@ -0,0 +1,56 @@
+// =====================================================
+// Store Selection
+// Picks the key/value store backend from environment config
+//
+//   OTP_STORE=memory   (default) in-process Map
+//   OTP_STORE=redis    REDIS_URL=redis://localhost:6379
+//                      REDIS_MOCK=true uses an in-memory Redis stand-in
+//   OTP_STORE=file     OTP_STORE_FILE=./data/otp-store.json
+//
+// Every store implements the same async interface:
+//   get(key)               -> value | null
+//   set(key, value, ttlMs)
+//   delete(key)
+//   incr(key, ttlMs)       -> new value (atomic counter; ttl set when the key is created)
+// =====================================================
+
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+const { createFileStore } = require('./fileStore');
+const { logger } = require('../logger');
+
+/**
+ * Create the store configured through the environment
+ * @returns {object} - Store ({ name, get, set, delete, incr })
+ */
+const createStore = () => {
+    const type = (process.env.OTP_STORE || 'memory').toLowerCase();
+
+    if (type === 'redis') {
+        // ioredis-mock speaks the same API as ioredis, but keeps data in memory
+        const Redis = process.env.REDIS_MOCK === 'true'
+            ? require('ioredis-mock')
+            : require('ioredis');
+        const client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
+
+        client.on('error', (error) => {
+            logger.error('❌ Redis Error', { error: error.message });
+        });
+
+        return createRedisStore(client, process.env.REDIS_KEY_PREFIX);
+    }
+
+    if (type === 'file') {
+        const filePath = process.env.OTP_STORE_FILE || path.join(__dirname, '..', 'data', 'otp-store.json');
+        return createFileStore(filePath);
+    }
+
+    if (type !== 'memory') {
+        logger.warn(`⚠️  Unknown OTP_STORE "${type}" - falling back to memory store.`);
+    }
+
+    return createMemoryStore();
+};
+
+module.exports = { createStore };
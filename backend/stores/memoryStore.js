@@ -0,0 +1,67 @@
+// =====================================================
+// In-Memory Store
+// Default store - everything is lost on restart and
+// is not shared between server instances
+// =====================================================
+
+/**
+ * Create an in-memory key/value store with per-key expiry
+ * @returns {object} - Store ({ get, set, delete, incr })
+ */
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    // Clean up expired entries every 5 minutes (without keeping the process alive)
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries.entries()) {
+            if (now > entry.expiresAt) {
+                entries.delete(key);
+            }
+        }
+    }, 5 * 60 * 1000).unref();
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            const entry = entries.get(key);
+
+            if (!entry) {
+                return null;
+            }
+
+            if (Date.now() > entry.expiresAt) {
+                entries.delete(key);
+                return null;
+            }
+
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            entries.set(key, {
+                value: value,
+                expiresAt: Date.now() + ttlMs
+            });
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        // No await between reading and writing, so concurrent calls can't interleave
+        async incr(key, ttlMs) {
+            const entry = entries.get(key);
+            const current = entry && Date.now() <= entry.expiresAt ? entry.value : 0;
+
+            entries.set(key, {
+                value: current + 1,
+                expiresAt: current ? entry.expiresAt : Date.now() + ttlMs
+            });
+            return current + 1;
+        }
+    };
+};
+
+module.exports = { createMemoryStore };
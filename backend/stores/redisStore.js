@@ -0,0 +1,45 @@
+// =====================================================
+// Redis Store
+// Shared between server instances, expiry handled by
+// Redis itself (PX on SET)
+// =====================================================
+
+// INCR + expiry on first use in one step, so a counter can't end up without a TTL
+const INCR_SCRIPT = `
+local value = redis.call('INCR', KEYS[1])
+if value == 1 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return value
+`;
+
+/**
+ * Create a key/value store on top of a Redis client
+ * @param {object} client - ioredis-compatible client
+ * @param {string} prefix - Key prefix, so we don't collide with other apps
+ * @returns {object} - Store ({ get, set, delete, incr })
+ */
+const createRedisStore = (client, prefix = 'otp-login:') => {
+    return {
+        name: 'redis',
+
+        async get(key) {
+            const raw = await client.get(prefix + key);
+            return raw ? JSON.parse(raw) : null;
+        },
+
+        async set(key, value, ttlMs) {
+            await client.set(prefix + key, JSON.stringify(value), 'PX', Math.max(1, Math.ceil(ttlMs)));
+        },
+
+        async delete(key) {
+            await client.del(prefix + key);
+        },
+
+        async incr(key, ttlMs) {
+            return Number(await client.eval(INCR_SCRIPT, 1, prefix + key, Math.max(1, Math.ceil(ttlMs))));
+        }
+    };
+};
+
+module.exports = { createRedisStore };
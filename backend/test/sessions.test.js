@@ -0,0 +1,204 @@
+// =====================================================
+// Session Tests
+// Refresh token rotation, the reuse grace window, reuse
+// detection and the requireAuth middleware
+// =====================================================
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otp-sessions-'));
+
+// Read by the modules when they load
+Object.assign(process.env, {
+    DATABASE_FILE: path.join(dir, 'test.db'),
+    AUDIT_LOG_FILE: path.join(dir, 'audit.jsonl'),
+    SESSION_SECRET: 'test-session-secret',
+    REFRESH_REUSE_GRACE_SECONDS: '1',
+    LOG_LEVEL: 'silent'
+});
+
+const { startSession, rotateRefreshToken, getSession, revokeSession, requireAuth } = require('../auth/sessions');
+const { deleteUser } = require('../auth/users');
+const { db } = require('../db');
+
+/**
+ * Wait a little
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Minimal Express request
+ * @param {object} cookies - Parsed request cookies
+ * @returns {object} - Request with ip, get() and cookies
+ */
+const fakeRequest = (cookies = {}) => ({
+    ip: '127.0.0.1',
+    get: () => 'node-test',
+    cookies: cookies
+});
+
+/**
+ * Minimal Express response that remembers the cookies and status set on it
+ * @returns {object} - Response with cookie(), status(), json(), cookies and statusCode
+ */
+const fakeResponse = () => ({
+    cookies: {},
+    statusCode: 200,
+    cookie(name, value) {
+        this.cookies[name] = value;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+/**
+ * Present a refresh token, as POST /api/auth/refresh does
+ * @param {string} token - Raw refresh token
+ * @returns {object} - { session, message, refreshToken: token set in the cookie (if any) }
+ */
+const refresh = (token) => {
+    const res = fakeResponse();
+    const result = rotateRefreshToken(fakeRequest(), res, token);
+    return { ...result, refreshToken: res.cookies.refresh_token };
+};
+
+/**
+ * Log a new user in
+ * @param {string} phone - E.164 phone number
+ * @returns {object} - { session, accessToken, refreshToken }
+ */
+const login = (phone) => {
+    const res = fakeResponse();
+    const session = startSession(fakeRequest(), res, { phone: phone }, 'sms');
+    return { session, accessToken: res.cookies.access_token, refreshToken: res.cookies.refresh_token };
+};
+
+/**
+ * Run requireAuth for a request carrying an access token
+ * @param {string} accessToken - Access token cookie
+ * @returns {object} - { status, session: req.session when it let the request through }
+ */
+const authenticate = (accessToken) => {
+    const req = fakeRequest({ access_token: accessToken });
+    const res = fakeResponse();
+    let passed = false;
+
+    requireAuth(req, res, () => {
+        passed = true;
+    });
+
+    return { status: res.statusCode, session: passed ? req.session : null };
+};
+
+after(() => {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('refresh tokens', () => {
+    it('rotates the token on every refresh', () => {
+        const { session, refreshToken } = login('+919876500001');
+
+        const first = refresh(refreshToken);
+        const second = refresh(first.refreshToken);
+
+        assert.equal(first.session.id, session.id);
+        assert.equal(second.session.id, session.id);
+        assert.notEqual(first.refreshToken, refreshToken);
+        assert.notEqual(second.refreshToken, first.refreshToken);
+    });
+
+    it('hands a late tab the newest token of the family', () => {
+        const { session, refreshToken } = login('+919876500002');
+
+        // One tab refreshes twice...
+        const first = refresh(refreshToken);
+        const second = refresh(first.refreshToken);
+
+        // ...then the other tab shows up with the original token
+        const late = refresh(refreshToken);
+
+        assert.equal(late.session.id, session.id);
+        assert.equal(late.refreshToken, second.refreshToken);
+
+        // The token it got is the live one, not an already used one
+        const next = refresh(late.refreshToken);
+        assert.equal(next.session.id, session.id);
+        assert.ok(getSession(session.id));
+    });
+
+    it('revokes the family when a token is reused after the grace window', async () => {
+        const { session, refreshToken } = login('+919876500003');
+        const first = refresh(refreshToken);
+
+        await sleep(1100);
+
+        assert.equal(refresh(refreshToken).session, null);
+        assert.equal(getSession(session.id), null);
+        assert.equal(refresh(first.refreshToken).session, null);
+    });
+});
+
+describe('requireAuth', () => {
+    it('lets a live session through', () => {
+        const { session, accessToken } = login('+919876500011');
+
+        const result = authenticate(accessToken);
+
+        assert.equal(result.status, 200);
+        assert.equal(result.session.id, session.id);
+    });
+
+    it('rejects a request without an access token', () => {
+        assert.equal(authenticate(undefined).status, 401);
+    });
+
+    it('rejects and revokes a session that has expired', () => {
+        const { session, accessToken } = login('+919876500014');
+
+        // Its refresh token ran out, but the access token is still valid
+        session.refreshExpiresAt = Date.now() - 1;
+
+        assert.equal(authenticate(accessToken).status, 401);
+        assert.equal(getSession(session.id), null);
+    });
+
+    it('rejects a session that was revoked', () => {
+        const { session, accessToken } = login('+919876500015');
+
+        revokeSession(session.id);
+
+        assert.equal(authenticate(accessToken).status, 401);
+    });
+
+    it('rejects and revokes the session of a deleted account', () => {
+        const { session, accessToken, refreshToken } = login('+919876500012');
+
+        deleteUser(session.subject);
+
+        assert.equal(authenticate(accessToken).status, 401);
+        assert.equal(getSession(session.id), null);
+        assert.equal(refresh(refreshToken).session, null);
+    });
+
+    it('stops refreshing the session of a deleted account', () => {
+        const { session, refreshToken } = login('+919876500013');
+
+        deleteUser(session.subject);
+
+        assert.equal(refresh(refreshToken).session, null);
+        assert.equal(getSession(session.id), null);
+    });
+});
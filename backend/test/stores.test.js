@@ -0,0 +1,175 @@
+// =====================================================
+// Store Tests
+// The same behaviour checks against every store backend:
+// memory, file, and Redis (through ioredis-mock)
+// =====================================================
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RedisMock = require('ioredis-mock');
+const { createMemoryStore } = require('../stores/memoryStore');
+const { createFileStore } = require('../stores/fileStore');
+const { createRedisStore } = require('../stores/redisStore');
+
+/**
+ * Wait a little
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Fresh, empty store per test
+const backends = {
+    memory: () => ({ store: createMemoryStore(), cleanup: async () => {} }),
+    file: () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otp-store-'));
+        return {
+            store: createFileStore(path.join(dir, 'store.json')),
+            cleanup: async () => fs.rmSync(dir, { recursive: true, force: true })
+        };
+    },
+    redis: () => {
+        const client = new RedisMock();
+        return {
+            store: createRedisStore(client, `test-${Date.now()}-${Math.random()}:`),
+            cleanup: async () => {
+                await client.flushall();
+                client.disconnect();
+            }
+        };
+    }
+};
+
+for (const [name, createBackend] of Object.entries(backends)) {
+    describe(`${name} store`, () => {
+        let backend;
+        let store;
+
+        beforeEach(() => {
+            backend = createBackend();
+            store = backend.store;
+        });
+
+        afterEach(async () => {
+            await backend.cleanup();
+        });
+
+        it('returns null for a missing key', async () => {
+            assert.equal(await store.get('missing'), null);
+        });
+
+        it('stores and returns JSON values', async () => {
+            const value = { attempts: 2, requestedChannel: 'sms', nested: { list: [1, 2] } };
+            await store.set('otp:sms:+911234567890', value, 60 * 1000);
+
+            assert.deepEqual(await store.get('otp:sms:+911234567890'), value);
+        });
+
+        it('overwrites a value on set', async () => {
+            await store.set('key', { version: 1 }, 60 * 1000);
+            await store.set('key', { version: 2 }, 60 * 1000);
+
+            assert.deepEqual(await store.get('key'), { version: 2 });
+        });
+
+        it('deletes a key', async () => {
+            await store.set('key', { value: true }, 60 * 1000);
+            await store.delete('key');
+
+            assert.equal(await store.get('key'), null);
+        });
+
+        it('ignores deleting a missing key', async () => {
+            await store.delete('missing');
+
+            assert.equal(await store.get('missing'), null);
+        });
+
+        it('expires a value after its ttl', async () => {
+            await store.set('short', { value: 1 }, 50);
+            await store.set('long', { value: 2 }, 60 * 1000);
+            await sleep(80);
+
+            assert.equal(await store.get('short'), null);
+            assert.deepEqual(await store.get('long'), { value: 2 });
+        });
+
+        it('counts up from 1 with incr', async () => {
+            assert.equal(await store.incr('counter', 60 * 1000), 1);
+            assert.equal(await store.incr('counter', 60 * 1000), 2);
+            assert.equal(await store.incr('counter', 60 * 1000), 3);
+            assert.equal(Number(await store.get('counter')), 3);
+        });
+
+        it('gives every parallel incr its own value', async () => {
+            const values = await Promise.all(Array.from({ length: 25 }, () => store.incr('parallel', 60 * 1000)));
+
+            assert.deepEqual([...values].sort((a, b) => a - b), Array.from({ length: 25 }, (_, index) => index + 1));
+        });
+
+        it('keeps the ttl from the first incr', async () => {
+            await store.incr('window', 100);
+            await sleep(60);
+            // A later incr must not push the expiry out again
+            await store.incr('window', 100);
+            await sleep(60);
+
+            assert.equal(await store.get('window'), null);
+            assert.equal(await store.incr('window', 100), 1);
+        });
+
+        it('starts a counter over once it is deleted', async () => {
+            await store.incr('counter', 60 * 1000);
+            await store.incr('counter', 60 * 1000);
+            await store.delete('counter');
+
+            assert.equal(await store.incr('counter', 60 * 1000), 1);
+        });
+    });
+}
+
+describe('file store persistence', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otp-store-'));
+        filePath = path.join(dir, 'store.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps values and counters across a restart', async () => {
+        const first = createFileStore(filePath);
+        await first.set('otp:sms:+911234567890', { attempts: 1 }, 60 * 1000);
+        await first.incr('counter', 60 * 1000);
+        await first.incr('counter', 60 * 1000);
+
+        const second = createFileStore(filePath);
+        assert.deepEqual(await second.get('otp:sms:+911234567890'), { attempts: 1 });
+        assert.equal(await second.incr('counter', 60 * 1000), 3);
+    });
+
+    it('drops values that expired while it was down', async () => {
+        const first = createFileStore(filePath);
+        await first.set('short', { value: 1 }, 50);
+        await first.set('long', { value: 2 }, 60 * 1000);
+        await sleep(80);
+
+        const second = createFileStore(filePath);
+        assert.equal(await second.get('short'), null);
+        assert.deepEqual(await second.get('long'), { value: 2 });
+    });
+
+    it('starts empty from an unreadable file', async () => {
+        fs.writeFileSync(filePath, '{ not json');
+
+        const store = createFileStore(filePath);
+        assert.equal(await store.get('anything'), null);
+    });
+});
@@ -0,0 +1,181 @@
+// =====================================================
+// 2Factor Tests
+// Send -> verify through the OTP routes against the mock
+// 2Factor server (scripts/mock-2factor.js), with SMS
+// failing so sends fall back to a voice call
+// =====================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Find a port nothing is listening on
+ * @returns {Promise<number>} - Port number
+ */
+const freePort = () => new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(port));
+    });
+});
+
+describe('2Factor voice OTPs', () => {
+    let dir;
+    let mock;
+    let mockOutput = '';
+    let server;
+    let baseUrl;
+
+    /**
+     * Last OTP the mock read out in a call to a number
+     * @param {string} phoneNumber - E.164 phone number
+     * @returns {string|null} - OTP, or null if the number wasn't called
+     */
+    const lastCalledOtp = (phoneNumber) => {
+        const calls = [...mockOutput.matchAll(/📞 Calling (\d+): "your OTP is ([^"]+)"/g)]
+            .filter(([, number]) => `+${number}` === phoneNumber);
+
+        return calls.length ? calls[calls.length - 1][2].replace(/ /g, '') : null;
+    };
+
+    /**
+     * POST JSON to the OTP routes
+     * @param {string} route - Path below /api/otp
+     * @param {object} body - Request body
+     * @returns {Promise<object>} - { status, body, cookies }
+     */
+    const post = async (route, body) => {
+        const response = await fetch(`${baseUrl}/api/otp${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        return {
+            status: response.status,
+            body: await response.json(),
+            cookies: response.headers.getSetCookie()
+        };
+    };
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otp-2factor-'));
+        const mockPort = await freePort();
+
+        mock = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'mock-2factor.js')], {
+            env: { ...process.env, MOCK_2FACTOR_PORT: String(mockPort), MOCK_2FACTOR_FAIL: 'SMS' }
+        });
+        mock.stdout.on('data', (chunk) => {
+            mockOutput += chunk;
+        });
+        await new Promise((resolve, reject) => {
+            mock.on('exit', (code) => reject(new Error(`Mock 2Factor exited with code ${code}`)));
+            mock.stdout.on('data', () => {
+                if (mockOutput.includes('Mock 2Factor running')) resolve();
+            });
+        });
+
+        // India delivers by SMS, falling back to a voice call
+        const routingFile = path.join(dir, 'countries.json');
+        fs.writeFileSync(routingFile, JSON.stringify({
+            allowUnlisted: false,
+            countries: { IN: { name: 'India', channels: ['sms', 'voice'] } }
+        }));
+
+        // Read by the modules when they load
+        Object.assign(process.env, {
+            API_KEY: 'test-key',
+            SEND_OTP_URL: `http://127.0.0.1:${mockPort}/API/R1/`,
+            VERIFY_OTP_URL: `http://127.0.0.1:${mockPort}/API/V1`,
+            COUNTRY_ROUTING_FILE: routingFile,
+            DATABASE_FILE: path.join(dir, 'test.db'),
+            AUDIT_LOG_FILE: path.join(dir, 'audit.jsonl'),
+            OTP_HASH_SECRET: 'test-otp-secret',
+            SESSION_SECRET: 'test-session-secret',
+            LOG_LEVEL: 'silent'
+        });
+
+        const express = require('express');
+        const cookieParser = require('cookie-parser');
+        const { createMemoryStore } = require('../stores/memoryStore');
+        const { createOtpRoutes } = require('../routes/otp');
+
+        const app = express();
+        app.use(express.json());
+        app.use(cookieParser());
+        app.use('/api/otp', createOtpRoutes(createMemoryStore()));
+
+        await new Promise((resolve) => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        mock.removeAllListeners('exit');
+        mock.kill();
+        require('../db').db.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('logs in with an OTP read out in a voice call', async () => {
+        const sent = await post('/voice/send', { countryCode: '+91', phoneNumber: '9876543210' });
+
+        assert.equal(sent.status, 200);
+        assert.equal(sent.body.channel, 'voice');
+        assert.equal(sent.body.fallback, false);
+
+        const otp = lastCalledOtp('+919876543210');
+        assert.ok(otp, 'the mock should have called the number');
+
+        const verified = await post('/voice/verify', { countryCode: '+91', phoneNumber: '9876543210', otp: otp });
+
+        assert.equal(verified.status, 200);
+        assert.equal(verified.body.verified, true);
+        assert.equal(verified.body.user.phone, '+919876543210');
+        assert.ok(verified.cookies.some((cookie) => cookie.startsWith('access_token=')));
+    });
+
+    it('rejects a wrong voice OTP', async () => {
+        await post('/voice/send', { countryCode: '+91', phoneNumber: '9876543211' });
+        const otp = lastCalledOtp('+919876543211');
+        const wrong = otp === '000000' ? '111111' : '000000';
+
+        const verified = await post('/voice/verify', { countryCode: '+91', phoneNumber: '9876543211', otp: wrong });
+
+        assert.equal(verified.status, 400);
+        assert.equal(verified.body.verified, false);
+        assert.equal(verified.body.attemptsRemaining, 4);
+    });
+
+    it('falls back to a voice call when the SMS fails, and verifies on voice', async () => {
+        const sent = await post('/sms/send', { countryCode: '+91', phoneNumber: '9876543212' });
+
+        assert.equal(sent.status, 200);
+        assert.equal(sent.body.requestedChannel, 'sms');
+        assert.equal(sent.body.channel, 'voice');
+        assert.equal(sent.body.fallback, true);
+        assert.match(mockOutput, /💥 SMS to 919876543212 failed/);
+
+        const otp = lastCalledOtp('+919876543212');
+        assert.ok(otp, 'the mock should have called the number');
+
+        // Nothing is pending on the channel that failed
+        const onSms = await post('/sms/verify', { countryCode: '+91', phoneNumber: '9876543212', otp: otp });
+        assert.equal(onSms.status, 400);
+
+        const verified = await post('/voice/verify', { countryCode: '+91', phoneNumber: '9876543212', otp: otp });
+
+        assert.equal(verified.status, 200);
+        assert.equal(verified.body.verified, true);
+        assert.equal(verified.body.user.phone, '+919876543212');
+    });
+});
@@ -0,0 +1,32 @@
+// =====================================================
+// Email Address Helpers
+// =====================================================
+
+// Deliberately loose - the OTP itself proves the address works
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Normalise an email address (trimmed, lowercase)
+ * @param {string} email - Email address as entered
+ * @returns {string} - Normalised email address
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Validate an email address
+ * @param {string} email - Normalised email address
+ * @returns {boolean} - Whether it looks like a deliverable address
+ */
+const validateEmail = (email) => email.length <= 254 && EMAIL_REGEX.test(email);
+
+/**
+ * Mask an email address for logs - first character of the name and the domain
+ * @param {string} email - Normalised email address
+ * @returns {string} - e.g. j***@example.com
+ */
+const maskEmail = (email) => {
+    const [name, domain] = String(email || '').split('@');
+    return domain ? `${name.slice(0, 1)}***@${domain}` : '***';
+};
+
+module.exports = { normalizeEmail, validateEmail, maskEmail };
@@ -0,0 +1,86 @@
+// =====================================================
+// Phone Number Helpers
+// Numbers are parsed + validated per country and handled
+// everywhere in E.164 form (+919876543210)
+// =====================================================
+
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+
+// Country assumed for numbers sent without a country code (ISO 3166 alpha-2)
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+
+// Number types an OTP can be delivered to
+const MOBILE_TYPES = ['MOBILE', 'FIXED_LINE_OR_MOBILE'];
+
+/**
+ * Parse a phone number into its E.164 parts
+ * @param {string} phoneNumber - National number, or a full number starting with +
+ * @param {string} countryCode - Dialling code of the number (e.g. "+91"), optional
+ * @returns {object|null} - { e164, country, callingCode, nationalNumber, display, valid }, or null if unparseable
+ */
+const parsePhone = (phoneNumber, countryCode) => {
+    // Remove any spaces or special characters
+    const cleanNumber = String(phoneNumber || '').replace(/[\s\-\(\)\.]/g, '');
+    const cleanCode = String(countryCode || '').replace(/[^\d]/g, '');
+
+    if (!cleanNumber) {
+        return null;
+    }
+
+    const parsed = cleanNumber.startsWith('+') || !cleanCode
+        ? parsePhoneNumberFromString(cleanNumber, DEFAULT_PHONE_COUNTRY)
+        : parsePhoneNumberFromString(`+${cleanCode}${cleanNumber}`);
+
+    if (!parsed) {
+        return null;
+    }
+
+    return {
+        e164: parsed.number,
+        country: parsed.country || null,
+        callingCode: `+${parsed.countryCallingCode}`,
+        nationalNumber: parsed.nationalNumber,
+        display: parsed.formatInternational(),
+        valid: parsed.isValid() && MOBILE_TYPES.includes(parsed.getType())
+    };
+};
+
+/**
+ * Validate phone number for its country (must be a mobile number)
+ * @param {string} phoneNumber - National number, or a full number starting with +
+ * @param {string} countryCode - Dialling code of the number (e.g. "+91"), optional
+ * @returns {boolean} - Whether the phone number is valid
+ */
+const validatePhoneNumber = (phoneNumber, countryCode) => {
+    const phone = parsePhone(phoneNumber, countryCode);
+    return Boolean(phone && phone.valid);
+};
+
+/**
+ * Format phone number as E.164
+ * @param {string} phoneNumber - National number, or a full number starting with +
+ * @param {string} countryCode - Dialling code of the number (e.g. "+91"), optional
+ * @returns {string} - E.164 number (+919876543210), or '' if unparseable
+ */
+const formatPhoneNumber = (phoneNumber, countryCode) => {
+    const phone = parsePhone(phoneNumber, countryCode);
+    return phone ? phone.e164 : '';
+};
+
+/**
+ * Mask a phone number for logs - country code and last 4 digits only
+ * @param {string} phoneNumber - E.164 phone number
+ * @returns {string} - e.g. +91******2529
+ */
+const maskPhone = (phoneNumber) => {
+    const phone = parsePhone(phoneNumber);
+
+    if (!phone) {
+        return '*'.repeat(String(phoneNumber || '').length);
+    }
+
+    const visible = phone.nationalNumber.slice(-4);
+    return `${phone.callingCode}${'*'.repeat(Math.max(0, phone.nationalNumber.length - visible.length))}${visible}`;
+};
+
+module.exports = { parsePhone, validatePhoneNumber, formatPhoneNumber, maskPhone };
@@ -7,43 +7,53 @@ import { useState, useEffect } from 'react';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import WhatsAppLogin from './pages/WhatsAppLogin';
+import EmailLogin from './pages/EmailLogin';
+import TwoFactorLogin from './pages/TwoFactorLogin';
+import api from './api';
 import './App.css';
 
 function App() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [userPhone, setUserPhone] = useState('');
+  const [user, setUser] = useState(null); // { id, phone, email, displayName, avatarUrl, locale, ... }
   const [isLoading, setIsLoading] = useState(true);
 
   // Check authentication status on app load
+  // The session lives in an httpOnly cookie, so ask the server who we are
   useEffect(() => {
-    const checkAuth = () => {
-      const authStatus = localStorage.getItem('isAuthenticated');
-      const phone = localStorage.getItem('userPhone');
-      
-      if (authStatus === 'true' && phone) {
-        setIsAuthenticated(true);
-        setUserPhone(phone);
+    const checkAuth = async () => {
+      try {
+        const response = await api.get('/auth/me');
+
+        if (response.data.success) {
+          setIsAuthenticated(true);
+          setUser(response.data.user);
+        }
+      } catch {
+        // 401 - no valid session, stay logged out
+        setIsAuthenticated(false);
+      } finally {
+        setIsLoading(false);
       }
-      setIsLoading(false);
     };
 
     checkAuth();
   }, []);
 
-  // Handle successful login
-  const handleLoginSuccess = (phoneNumber) => {
+  // Handle successful login (session cookie already set by the verify call)
+  const handleLoginSuccess = (user) => {
     setIsAuthenticated(true);
-    setUserPhone(phoneNumber);
-    localStorage.setItem('isAuthenticated', 'true');
-    localStorage.setItem('userPhone', phoneNumber);
+    setUser(user);
   };
 
-  // Handle logout
-  const handleLogout = () => {
+  // Handle logout - revoke the session server-side (or every session)
+  const handleLogout = async (everywhere = false) => {
+    try {
+      await api.post(everywhere ? '/auth/logout-all' : '/auth/logout');
+    } catch (err) {
+      console.error('Logout Error:', err);
+    }
     setIsAuthenticated(false);
-    setUserPhone('');
-    localStorage.removeItem('isAuthenticated');
-    localStorage.removeItem('userPhone');
+    setUser(null);
   };
 
   // Show loading state
@@ -98,12 +108,36 @@ function App() {
               } 
             />
           
+          {/* Email Login Route */}
+          <Route 
+            path="/login/email" 
+            element={
+              isAuthenticated ? (
+                <Navigate to="/dashboard" replace />
+              ) : (
+                <EmailLogin onLoginSuccess={handleLoginSuccess} />
+              )
+            } 
+          />
+          
+          {/* Second Factor Route (after the OTP, for users with an authenticator app) */}
+          <Route 
+            path="/login/2fa" 
+            element={
+              isAuthenticated ? (
+                <Navigate to="/dashboard" replace />
+              ) : (
+                <TwoFactorLogin onLoginSuccess={handleLoginSuccess} />
+              )
+            } 
+          />
+          
           {/* Dashboard Route (Protected) */}
           <Route 
             path="/dashboard" 
             element={
               isAuthenticated ? (
-                <Dashboard userPhone={userPhone} onLogout={handleLogout} />
+                <Dashboard user={user} onUserChange={setUser} onLogout={handleLogout} />
               ) : (
                 <Navigate to="/" replace />
               )
@@ -0,0 +1,59 @@
+// =====================================================
+// API Client
+// Shared axios instance for talking to the backend
+// =====================================================
+
+import axios from 'axios';
+
+// API Base URL
+export const API_URL = 'http://localhost:5000/api';
+
+// withCredentials so the browser sends/stores the httpOnly session cookies
+const api = axios.create({
+  baseURL: API_URL,
+  withCredentials: true,
+});
+
+// Single in-flight refresh, shared by every request that hits a 401.
+// Other tabs refresh on their own - the server hands a token rotated
+// moments ago the same successor, so that race doesn't log anyone out.
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api.post('/auth/refresh').finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Access token expired? Refresh silently and retry the request once
+api.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+
+    if (
+      error.response?.status !== 401 ||
+      !original ||
+      original._retried ||
+      original.url === '/auth/refresh'
+    ) {
+      return Promise.reject(error);
+    }
+
+    original._retried = true;
+
+    try {
+      await refreshSession();
+    } catch {
+      // Refresh failed - surface the original 401
+      return Promise.reject(error);
+    }
+
+    return api(original);
+  }
+);
+
+export default api;
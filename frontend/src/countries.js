@@ -0,0 +1,54 @@
+// =====================================================
+// Supported Countries
+// Country dropdown options, served from the backend's
+// routing table (GET /api/otp/countries)
+// =====================================================
+
+import { useEffect, useState } from 'react';
+import api from './api';
+
+// Fetched once and shared by every login page
+let countriesPromise = null;
+
+const fetchCountries = () => {
+  if (!countriesPromise) {
+    countriesPromise = api
+      .get('/otp/countries')
+      .then((response) => response.data.countries)
+      .catch((error) => {
+        // Let the next page load try again
+        countriesPromise = null;
+        throw error;
+      });
+  }
+  return countriesPromise;
+};
+
+// Countries we can send OTPs to, optionally only those a channel serves
+export function useCountries(channel) {
+  const [countries, setCountries] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let active = true;
+
+    fetchCountries()
+      .then((list) => {
+        if (active) setCountries(list);
+      })
+      .catch(() => {
+        if (active) setError('Could not load supported countries. Please refresh the page.');
+      });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return {
+    countries: channel
+      ? countries.filter((country) => country.channels.includes(channel))
+      : countries,
+    error,
+  };
+}
@@ -4,36 +4,525 @@
 // =====================================================
 
 import { useNavigate } from 'react-router-dom';
-import { useEffect } from 'react';  
+import { useState, useEffect, useCallback } from 'react';
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import { browserSupportsWebAuthn, startRegistration } from '@simplewebauthn/browser';
+import api from '../api';
 import './Dashboard.css';
 
-function Dashboard({ userPhone, onLogout }) {
+// Display names for the channel a session was verified with
+const channelLabels = {
+  'sms': 'SMS OTP',
+  'whatsapp': 'WhatsApp OTP',
+  'whatsapp-meta': 'WhatsApp (Meta) OTP',
+  'voice': 'Voice Call OTP',
+  'email': 'Email OTP',
+  'recovery': 'Recovery code',
+  'passkey': 'Passkey',
+};
+
+// Suggestions for the profile language / region field
+const localeOptions = ['en-IN', 'en-US', 'en-GB', 'hi-IN', 'ar-AE', 'fr-FR', 'de-DE', 'es-ES'];
+
+function Dashboard({ user, onUserChange, onLogout }) {
   const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [sessionsError, setSessionsError] = useState('');
+  const [revokingId, setRevokingId] = useState(null);
+  // Authenticator app enrollment in progress: { secret, otpauthUri, qrCode }
+  const [totpSetup, setTotpSetup] = useState(null);
+  const [totpCode, setTotpCode] = useState('');
+  const [totpError, setTotpError] = useState('');
+  const [totpMessage, setTotpMessage] = useState('');
+  const [totpBusy, setTotpBusy] = useState(false);
+  // Recovery codes: { remaining, createdAt }, plus a freshly generated set (shown once)
+  const [recoveryStatus, setRecoveryStatus] = useState(null);
+  const [newRecoveryCodes, setNewRecoveryCodes] = useState(null);
+  const [recoveryError, setRecoveryError] = useState('');
+  const [passkeys, setPasskeys] = useState([]);
+  const [passkeyError, setPasskeyError] = useState('');
+  const [passkeyBusy, setPasskeyBusy] = useState(false);
+  // Profile being edited: { displayName, email, avatarUrl, locale }, or null when not editing
+  const [profileForm, setProfileForm] = useState(null);
+  const [profileError, setProfileError] = useState('');
+  const [profileMessage, setProfileMessage] = useState('');
+  const [profileBusy, setProfileBusy] = useState(false);
+  // Phone number change: the step in progress ('current' | 'new' | 'new-otp' | 'cancel'),
+  // the channel the last code went out on, and a change waiting out its grace period
+  const [phoneStep, setPhoneStep] = useState(null);
+  const [phoneChannel, setPhoneChannel] = useState('sms');
+  const [phoneOtp, setPhoneOtp] = useState('');
+  const [newCountryCode, setNewCountryCode] = useState('');
+  const [newPhoneNumber, setNewPhoneNumber] = useState('');
+  const [pendingPhoneChange, setPendingPhoneChange] = useState(null);
+  const [phoneError, setPhoneError] = useState('');
+  const [phoneMessage, setPhoneMessage] = useState('');
+  const [phoneBusy, setPhoneBusy] = useState(false);
+  // Data export / account deletion
+  const [deleteChannel, setDeleteChannel] = useState(null);
+  const [deleteOtp, setDeleteOtp] = useState('');
+  const [dataError, setDataError] = useState('');
+  const [dataMessage, setDataMessage] = useState('');
+  const [dataBusy, setDataBusy] = useState(false);
+
+  // The session making this request
+  const currentSession = sessions.find((session) => session.current);
 
-  const handleLogout = () => {
-    onLogout();
+  // Logout this device, or every device when `everywhere` is true
+  const handleLogout = async (everywhere = false) => {
+    await onLogout(everywhere);
     navigate('/');
   };
 
   // Format phone number for display
   const formatPhone = (phone) => {
-    if (phone.length === 10) {
-      return `+91 ${phone.slice(0, 5)} ${phone.slice(5)}`;
-    }
-    return phone;
+    return parsePhoneNumberFromString(phone)?.formatInternational() || phone;
   };
 
-  // Get greeting based on time
+  // Phone number or email, whichever the user logged in with
+  const userIdentifier = user.phone ? formatPhone(user.phone) : user.email;
+  const identifierLabel = user.phone ? 'Phone' : 'Email';
+
+  // Name shown in the header - falls back to the phone number / email
+  const displayName = user.displayName || userIdentifier;
+  // Dates follow the user's chosen language / region
+  const locale = user.locale || 'en-US';
+  // An email the user signs in with can't be edited from the profile
+  const emailLocked = user.verifiedChannels?.includes('email');
+
+  // Get greeting based on time (with the user's first name, once they've set one)
   const getGreeting = () => {
     const hour = new Date().getHours();
-    if (hour < 12) return 'Good morning';
-    if (hour < 17) return 'Good afternoon';
-    return 'Good evening';
+    const name = user.displayName ? `, ${user.displayName.split(' ')[0]}` : '';
+    if (hour < 12) return `Good morning${name}`;
+    if (hour < 17) return `Good afternoon${name}`;
+    return `Good evening${name}`;
+  };
+
+  // Format an ISO timestamp for the session list
+  const formatDateTime = (iso) => {
+    return new Date(iso).toLocaleString(locale, {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true
+    });
+  };
+
+  // Turn a user agent string into "Browser on OS"
+  const describeDevice = (userAgent = '') => {
+    let browser = 'Unknown browser';
+    if (/Edg\//.test(userAgent)) browser = 'Edge';
+    else if (/OPR\//.test(userAgent)) browser = 'Opera';
+    else if (/Chrome\//.test(userAgent)) browser = 'Chrome';
+    else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+    else if (/Safari\//.test(userAgent)) browser = 'Safari';
+
+    let os = 'unknown device';
+    if (/Android/.test(userAgent)) os = 'Android';
+    else if (/iPhone|iPad/.test(userAgent)) os = 'iOS';
+    else if (/Windows/.test(userAgent)) os = 'Windows';
+    else if (/Mac OS X/.test(userAgent)) os = 'macOS';
+    else if (/Linux/.test(userAgent)) os = 'Linux';
+
+    return `${browser} on ${os}`;
+  };
+
+  // Load active sessions from the server
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.sessions);
+      setSessionsError('');
+    } catch (err) {
+      console.error('Load Sessions Error:', err);
+      setSessionsError(err.response?.data?.message || 'Unable to load sessions');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  // Sign out a single device
+  const handleRevokeSession = async (session) => {
+    if (session.current) {
+      handleLogout();
+      return;
+    }
+
+    setRevokingId(session.id);
+    try {
+      await api.delete(`/auth/sessions/${session.id}`);
+      await loadSessions();
+    } catch (err) {
+      console.error('Revoke Session Error:', err);
+      setSessionsError(err.response?.data?.message || 'Unable to sign out device');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  // Load how many recovery codes are left
+  const loadRecoveryStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/recovery-codes');
+      setRecoveryStatus(response.data);
+    } catch (err) {
+      console.error('Load Recovery Codes Error:', err);
+      setRecoveryError(err.response?.data?.message || 'Unable to load recovery codes');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRecoveryStatus();
+  }, [loadRecoveryStatus]);
+
+  // Generate a new set of recovery codes (the old set stops working)
+  const handleGenerateRecoveryCodes = async () => {
+    if (recoveryStatus?.remaining > 0 &&
+      !window.confirm('Generating new recovery codes will invalidate your old ones. Continue?')) {
+      return;
+    }
+
+    setRecoveryError('');
+    try {
+      const response = await api.post('/auth/recovery-codes');
+      setNewRecoveryCodes(response.data.codes);
+      setRecoveryStatus({ remaining: response.data.remaining, createdAt: response.data.createdAt });
+    } catch (err) {
+      console.error('Generate Recovery Codes Error:', err);
+      setRecoveryError(err.response?.data?.message || 'Unable to generate recovery codes');
+    }
+  };
+
+  // Recovery codes as a plain text file
+  const recoveryCodesText = () => [
+    'SecureAuth recovery codes',
+    `Generated ${new Date().toLocaleString()}`,
+    'Each code can be used once to sign in without an OTP.',
+    '',
+    ...newRecoveryCodes
+  ].join('\n');
+
+  // Save the new codes as a .txt file
+  const handleDownloadRecoveryCodes = () => {
+    const url = URL.createObjectURL(new Blob([recoveryCodesText()], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'secureauth-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Print the new codes on their own page
+  const handlePrintRecoveryCodes = () => {
+    const printWindow = window.open('', '_blank', 'width=480,height=640');
+    if (!printWindow) return;
+
+    const pre = printWindow.document.createElement('pre');
+    pre.textContent = recoveryCodesText();
+    pre.style.font = '16px monospace';
+    printWindow.document.body.appendChild(pre);
+    printWindow.print();
+    printWindow.close();
+  };
+
+  // Load registered passkeys
+  const loadPasskeys = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/passkeys');
+      setPasskeys(response.data.passkeys);
+    } catch (err) {
+      console.error('Load Passkeys Error:', err);
+      setPasskeyError(err.response?.data?.message || 'Unable to load passkeys');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPasskeys();
+  }, [loadPasskeys]);
+
+  // Register a passkey on this device
+  const handleAddPasskey = async () => {
+    setPasskeyBusy(true);
+    setPasskeyError('');
+    try {
+      const { data } = await api.post('/auth/passkeys/register/options');
+      const registration = await startRegistration({ optionsJSON: data.options });
+      await api.post('/auth/passkeys/register/verify', {
+        response: registration,
+        name: describeDevice(navigator.userAgent)
+      });
+      await loadPasskeys();
+    } catch (err) {
+      console.error('Add Passkey Error:', err);
+      // The user closed the browser prompt - nothing to report
+      if (err.name !== 'NotAllowedError') {
+        setPasskeyError(err.response?.data?.message || 'Unable to add passkey');
+      }
+    } finally {
+      setPasskeyBusy(false);
+    }
+  };
+
+  // Remove a passkey
+  const handleRemovePasskey = async (passkey) => {
+    setPasskeyBusy(true);
+    try {
+      await api.delete(`/auth/passkeys/${encodeURIComponent(passkey.id)}`);
+      await loadPasskeys();
+    } catch (err) {
+      console.error('Remove Passkey Error:', err);
+      setPasskeyError(err.response?.data?.message || 'Unable to remove passkey');
+    } finally {
+      setPasskeyBusy(false);
+    }
+  };
+
+  // Open the profile editor with the current values
+  const handleEditProfile = () => {
+    setProfileForm({
+      displayName: user.displayName || '',
+      email: user.email || '',
+      avatarUrl: user.avatarUrl || '',
+      locale: user.locale || ''
+    });
+    setProfileError('');
+    setProfileMessage('');
+  };
+
+  // Update one field of the profile form
+  const handleProfileChange = (e) => {
+    setProfileForm({ ...profileForm, [e.target.name]: e.target.value });
+    setProfileError('');
+  };
+
+  // Save the profile
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    setProfileBusy(true);
+    try {
+      const { email, ...changes } = profileForm;
+      const response = await api.patch('/users/me', emailLocked ? changes : { ...changes, email });
+      setProfileForm(null);
+      setProfileMessage(response.data.message);
+      onUserChange(response.data.user);
+    } catch (err) {
+      console.error('Update Profile Error:', err);
+      setProfileError(err.response?.data?.message || 'Unable to update profile');
+    } finally {
+      setProfileBusy(false);
+    }
+  };
+
+  // Load a phone number change waiting out its grace period
+  const loadPhoneChange = useCallback(async () => {
+    try {
+      const response = await api.get('/phone-change');
+      setPendingPhoneChange(response.data.pendingChange);
+    } catch (err) {
+      console.error('Load Phone Change Error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user.phone) {
+      loadPhoneChange();
+    }
+  }, [user.phone, loadPhoneChange]);
+
+  // Run one step of the phone change, moving to `nextStep` when it succeeds
+  const runPhoneStep = async (request, nextStep) => {
+    setPhoneBusy(true);
+    setPhoneError('');
+    setPhoneMessage('');
+    try {
+      const response = await request();
+      if (response.data.channel) {
+        setPhoneChannel(response.data.channel);
+      }
+      setPhoneOtp('');
+      setPhoneStep(nextStep);
+      setPhoneMessage(response.data.message);
+      return response.data;
+    } catch (err) {
+      console.error('Phone Change Error:', err);
+      setPhoneError(err.response?.data?.message || 'Something went wrong. Please try again.');
+      return null;
+    } finally {
+      setPhoneBusy(false);
+    }
+  };
+
+  // Step 1: code to the current number
+  const handleStartPhoneChange = () => {
+    setNewCountryCode(`+${parsePhoneNumberFromString(user.phone)?.countryCallingCode || ''}`);
+    setNewPhoneNumber('');
+    runPhoneStep(() => api.post('/phone-change/current/send'), 'current');
+  };
+
+  // Step 1: confirm the current number
+  const handleVerifyCurrentPhone = (e) => {
+    e.preventDefault();
+    runPhoneStep(() => api.post('/phone-change/current/verify', { channel: phoneChannel, otp: phoneOtp }), 'new');
+  };
+
+  // Step 2: code to the new number
+  const handleSendNewPhone = (e) => {
+    e.preventDefault();
+    runPhoneStep(() => api.post('/phone-change/new/send', {
+      countryCode: newCountryCode,
+      phoneNumber: newPhoneNumber
+    }), 'new-otp');
+  };
+
+  // Step 2: confirm the new number - the change is scheduled
+  const handleVerifyNewPhone = async (e) => {
+    e.preventDefault();
+    const data = await runPhoneStep(() => api.post('/phone-change/new/verify', { channel: phoneChannel, otp: phoneOtp }), null);
+    if (data) {
+      setPendingPhoneChange(data.pendingChange);
+    }
+  };
+
+  // Cancelling a pending change takes a code on the current (old) number
+  const handleStartCancelPhoneChange = () => {
+    runPhoneStep(() => api.post('/phone-change/cancel/send', { phoneNumber: user.phone }), 'cancel');
+  };
+
+  const handleConfirmCancelPhoneChange = async (e) => {
+    e.preventDefault();
+    const data = await runPhoneStep(() => api.post('/phone-change/cancel/verify', {
+      phoneNumber: user.phone,
+      channel: phoneChannel,
+      otp: phoneOtp
+    }), null);
+    if (data) {
+      setPendingPhoneChange(null);
+    }
+  };
+
+  // Save everything the server holds about the account as a .json file
+  const handleExportData = async () => {
+    setDataBusy(true);
+    setDataError('');
+    setDataMessage('');
+    try {
+      const response = await api.get('/users/me/export');
+      const url = URL.createObjectURL(new Blob([JSON.stringify(response.data, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'secureauth-export.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Export Error:', err);
+      setDataError(err.response?.data?.message || 'Unable to export your data');
+    } finally {
+      setDataBusy(false);
+    }
+  };
+
+  // Deleting the account takes a code on the phone / email it signs in with
+  const handleStartDeleteAccount = async () => {
+    setDataBusy(true);
+    setDataError('');
+    setDataMessage('');
+    try {
+      const response = await api.post('/users/me/delete/send');
+      setDeleteChannel(response.data.channel);
+      setDeleteOtp('');
+      setDataMessage(response.data.message);
+    } catch (err) {
+      console.error('Delete Send Error:', err);
+      setDataError(err.response?.data?.message || 'Unable to send a code');
+    } finally {
+      setDataBusy(false);
+    }
+  };
+
+  const handleConfirmDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('This permanently deletes your account and signs you out everywhere. Continue?')) {
+      return;
+    }
+
+    setDataBusy(true);
+    setDataError('');
+    try {
+      await api.delete('/users/me', { data: { channel: deleteChannel, otp: deleteOtp } });
+      // The sessions are already gone server-side - this just resets the app
+      await handleLogout();
+    } catch (err) {
+      console.error('Delete Account Error:', err);
+      setDataError(err.response?.data?.message || 'Invalid code');
+      setDataBusy(false);
+    }
+  };
+
+  // Handle authenticator code input (digits only)
+  const handleTotpCodeChange = (e) => {
+    setTotpCode(e.target.value.replace(/\D/g, '').slice(0, 6));
+    setTotpError('');
+  };
+
+  // Get a new secret + QR code to scan
+  const handleStartTotp = async () => {
+    setTotpBusy(true);
+    setTotpError('');
+    setTotpMessage('');
+    try {
+      const response = await api.post('/auth/totp/enroll');
+      setTotpSetup(response.data);
+      setTotpCode('');
+    } catch (err) {
+      console.error('TOTP Enroll Error:', err);
+      setTotpError(err.response?.data?.message || 'Unable to start setup');
+    } finally {
+      setTotpBusy(false);
+    }
+  };
+
+  // Confirm the app is set up with its first code
+  const handleConfirmTotp = async (e) => {
+    e.preventDefault();
+    setTotpBusy(true);
+    try {
+      const response = await api.post('/auth/totp/enroll/confirm', { code: totpCode });
+      setTotpSetup(null);
+      setTotpCode('');
+      setTotpMessage(response.data.message);
+      onUserChange(response.data.user);
+    } catch (err) {
+      console.error('TOTP Confirm Error:', err);
+      setTotpError(err.response?.data?.message || 'Invalid code');
+    } finally {
+      setTotpBusy(false);
+    }
+  };
+
+  // Remove the authenticator app (needs a current code)
+  const handleDisableTotp = async (e) => {
+    e.preventDefault();
+    setTotpBusy(true);
+    try {
+      const response = await api.delete('/auth/totp', { data: { code: totpCode } });
+      setTotpCode('');
+      setTotpMessage(response.data.message);
+      onUserChange(response.data.user);
+    } catch (err) {
+      console.error('TOTP Disable Error:', err);
+      setTotpError(err.response?.data?.message || 'Invalid code');
+    } finally {
+      setTotpBusy(false);
+    }
   };
 
   // Get current date
   const getCurrentDate = () => {
-    return new Date().toLocaleDateString('en-US', {
+    return new Date().toLocaleDateString(locale, {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -92,15 +581,19 @@ useEffect(() => {
           <div className="nav-actions">
             <div className="user-info">
               <div className="user-avatar">
-                <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M20 21V19C20 17.9391 19.5786 16.9217 18.8284 16.1716C18.0783 15.4214 17.0609 15 16 15H8C6.93913 15 5.92172 15.4214 5.17157 16.1716C4.42143 16.9217 4 17.9391 4 19V21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                  <circle cx="12" cy="7" r="4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-                </svg>
+                {user.avatarUrl ? (
+                  <img src={user.avatarUrl} alt="" referrerPolicy="no-referrer" />
+                ) : (
+                  <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M20 21V19C20 17.9391 19.5786 16.9217 18.8284 16.1716C18.0783 15.4214 17.0609 15 16 15H8C6.93913 15 5.92172 15.4214 5.17157 16.1716C4.42143 16.9217 4 17.9391 4 19V21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                    <circle cx="12" cy="7" r="4" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                )}
               </div>
-              <span className="user-phone">{formatPhone(userPhone)}</span>
+              <span className={user.displayName ? 'user-name' : 'user-phone'}>{displayName}</span>
             </div>
             
-            <button className="logout-btn" onClick={handleLogout}>
+            <button className="logout-btn" onClick={() => handleLogout()}>
               <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                 <path d="M9 21H5C4.46957 21 3.96086 20.7893 3.58579 20.4142C3.21071 20.0391 3 19.5304 3 19V5C3 4.46957 3.21071 3.96086 3.58579 3.58579C3.96086 3.21071 4.46957 3 5 3H9" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
                 <polyline points="16,17 21,12 16,7" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -167,8 +660,8 @@ useEffect(() => {
                 </svg>
               </div>
               <div className="stat-content">
-                <span className="stat-label">Phone</span>
-                <span className="stat-value">{formatPhone(userPhone)}</span>
+                <span className="stat-label">{identifierLabel}</span>
+                <span className="stat-value">{userIdentifier}</span>
               </div>
             </div>
           </section>
@@ -193,6 +686,218 @@ useEffect(() => {
             </div>
           </section>
 
+          {/* Profile */}
+          <section className="session-section">
+            <div className="session-card">
+              <div className="session-header">
+                <h3>Profile</h3>
+              </div>
+              <div className="session-details">
+                {profileError && <div className="session-error">{profileError}</div>}
+                {profileMessage && <div className="totp-message">{profileMessage}</div>}
+
+                {profileForm ? (
+                  <form id="profile-form" className="profile-form" onSubmit={handleSaveProfile}>
+                    <label className="profile-field">
+                      <span className="session-label">Name</span>
+                      <input
+                        type="text"
+                        name="displayName"
+                        className="profile-input"
+                        placeholder="Your name"
+                        maxLength={64}
+                        value={profileForm.displayName}
+                        onChange={handleProfileChange}
+                        disabled={profileBusy}
+                        autoComplete="name"
+                      />
+                    </label>
+                    <label className="profile-field">
+                      <span className="session-label">Email</span>
+                      <input
+                        type="email"
+                        name="email"
+                        className="profile-input"
+                        placeholder="you@example.com"
+                        value={profileForm.email}
+                        onChange={handleProfileChange}
+                        disabled={profileBusy || emailLocked}
+                        autoComplete="email"
+                      />
+                      {emailLocked && (
+                        <span className="profile-hint">You sign in with this email, so it can't be changed here.</span>
+                      )}
+                    </label>
+                    <label className="profile-field">
+                      <span className="session-label">Avatar URL</span>
+                      <input
+                        type="url"
+                        name="avatarUrl"
+                        className="profile-input"
+                        placeholder="https://example.com/me.png"
+                        value={profileForm.avatarUrl}
+                        onChange={handleProfileChange}
+                        disabled={profileBusy}
+                      />
+                    </label>
+                    <label className="profile-field">
+                      <span className="session-label">Language / Region</span>
+                      <input
+                        type="text"
+                        name="locale"
+                        className="profile-input"
+                        placeholder="en-IN"
+                        list="profile-locales"
+                        value={profileForm.locale}
+                        onChange={handleProfileChange}
+                        disabled={profileBusy}
+                      />
+                      <datalist id="profile-locales">
+                        {localeOptions.map((option) => (
+                          <option key={option} value={option} />
+                        ))}
+                      </datalist>
+                    </label>
+                  </form>
+                ) : (
+                  <>
+                    <div className="session-item">
+                      <span className="session-label">Name</span>
+                      <span className="session-value">{user.displayName || '—'}</span>
+                    </div>
+                    <div className="session-item">
+                      <span className="session-label">Email</span>
+                      <span className="session-value">{user.email || '—'}</span>
+                    </div>
+                    <div className="session-item">
+                      <span className="session-label">Language / Region</span>
+                      <span className="session-value">{user.locale || '—'}</span>
+                    </div>
+                  </>
+                )}
+              </div>
+              <div className="session-footer">
+                {profileForm ? (
+                  <div className="totp-actions">
+                    <button className="device-revoke-btn" type="button" onClick={() => setProfileForm(null)} disabled={profileBusy}>
+                      Cancel
+                    </button>
+                    <button className="totp-btn" type="submit" form="profile-form" disabled={profileBusy}>
+                      {profileBusy ? 'Saving...' : 'Save profile'}
+                    </button>
+                  </div>
+                ) : (
+                  <button className="totp-btn" onClick={handleEditProfile}>
+                    Edit profile
+                  </button>
+                )}
+              </div>
+            </div>
+          </section>
+
+          {/* Phone Number */}
+          {user.phone && (
+            <section className="session-section">
+              <div className="session-card">
+                <div className="session-header">
+                  <h3>Phone Number</h3>
+                  {pendingPhoneChange && <span className="session-count">Change pending</span>}
+                </div>
+                <div className="session-details">
+                  {phoneError && <div className="session-error">{phoneError}</div>}
+                  {phoneMessage && <div className="totp-message">{phoneMessage}</div>}
+
+                  {!phoneStep && (
+                    <div className="totp-form">
+                      <p className="totp-text">
+                        {pendingPhoneChange
+                          ? `Your number will change to ${pendingPhoneChange.displayNumber} on ${formatDateTime(pendingPhoneChange.effectiveAt)}. Until then ${formatPhone(user.phone)} keeps working and can cancel the change.`
+                          : `You sign in with ${formatPhone(user.phone)}. Changing it needs a code on this number and on the new one.`}
+                      </p>
+                      <div className="totp-actions">
+                        {pendingPhoneChange ? (
+                          <button className="device-revoke-btn" onClick={handleStartCancelPhoneChange} disabled={phoneBusy}>
+                            {phoneBusy ? 'Sending code...' : 'Cancel change'}
+                          </button>
+                        ) : (
+                          <button className="totp-btn" onClick={handleStartPhoneChange} disabled={phoneBusy}>
+                            {phoneBusy ? 'Sending code...' : 'Change phone number'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {phoneStep === 'new' && (
+                    <form className="totp-form" onSubmit={handleSendNewPhone}>
+                      <p className="totp-text">Enter your new number. We'll send it a code.</p>
+                      <div className="totp-actions">
+                        <input
+                          type="tel"
+                          className="profile-input phone-code-input"
+                          value={newCountryCode}
+                          onChange={(e) => setNewCountryCode(e.target.value)}
+                          disabled={phoneBusy}
+                          aria-label="Country code"
+                        />
+                        <input
+                          type="tel"
+                          className="profile-input"
+                          placeholder="New phone number"
+                          value={newPhoneNumber}
+                          onChange={(e) => setNewPhoneNumber(e.target.value.replace(/[^\d\s]/g, ''))}
+                          disabled={phoneBusy}
+                          autoComplete="tel-national"
+                        />
+                        <button className="totp-btn" type="submit" disabled={phoneBusy || !newPhoneNumber.trim()}>
+                          {phoneBusy ? 'Sending...' : 'Send code'}
+                        </button>
+                        <button className="device-revoke-btn" type="button" onClick={() => setPhoneStep(null)} disabled={phoneBusy}>
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+
+                  {['current', 'new-otp', 'cancel'].includes(phoneStep) && (
+                    <form
+                      className="totp-form"
+                      onSubmit={{
+                        'current': handleVerifyCurrentPhone,
+                        'new-otp': handleVerifyNewPhone,
+                        'cancel': handleConfirmCancelPhoneChange
+                      }[phoneStep]}
+                    >
+                      <p className="totp-text">
+                        {phoneStep === 'new-otp'
+                          ? 'Enter the code we sent to your new number.'
+                          : `Enter the code we sent to ${formatPhone(user.phone)}.`}
+                      </p>
+                      <div className="totp-actions">
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          className="totp-code-input"
+                          placeholder="123456"
+                          value={phoneOtp}
+                          onChange={(e) => setPhoneOtp(e.target.value.replace(/\s/g, '').slice(0, 10))}
+                          disabled={phoneBusy}
+                          autoComplete="one-time-code"
+                        />
+                        <button className="totp-btn" type="submit" disabled={phoneBusy || !phoneOtp}>
+                          {phoneBusy ? 'Checking...' : 'Confirm'}
+                        </button>
+                        <button className="device-revoke-btn" type="button" onClick={() => setPhoneStep(null)} disabled={phoneBusy}>
+                          {phoneStep === 'cancel' ? 'Keep the change' : 'Cancel'}
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+              </div>
+            </section>
+          )}
+
           {/* Session Info */}
           <section className="session-section">
             <div className="session-card">
@@ -202,23 +907,306 @@ useEffect(() => {
               </div>
               <div className="session-details">
                 <div className="session-item">
-                  <span className="session-label">Phone Number</span>
-                  <span className="session-value">{formatPhone(userPhone)}</span>
+                  <span className="session-label">{user.phone ? 'Phone Number' : 'Email'}</span>
+                  <span className="session-value">{userIdentifier}</span>
                 </div>
                 <div className="session-item">
                   <span className="session-label">Login Time</span>
                   <span className="session-value">
-                    {new Date().toLocaleTimeString('en-US', { 
-                      hour: '2-digit', 
-                      minute: '2-digit',
-                      hour12: true 
-                    })}
+                    {currentSession ? formatDateTime(currentSession.createdAt) : '—'}
                   </span>
                 </div>
                 <div className="session-item">
                   <span className="session-label">Auth Method</span>
-                  <span className="session-value">SMS OTP</span>
+                  <span className="session-value">
+                    {currentSession ? channelLabels[currentSession.channel] || currentSession.channel : '—'}
+                  </span>
+                </div>
+              </div>
+            </div>
+          </section>
+
+          {/* Passkeys */}
+          <section className="session-section">
+            <div className="session-card">
+              <div className="session-header">
+                <h3>Passkeys</h3>
+                <span className="session-count">{passkeys.length}</span>
+              </div>
+              <div className="session-details">
+                {passkeyError && <div className="session-error">{passkeyError}</div>}
+                {passkeys.length === 0 && (
+                  <p className="totp-text">
+                    Sign in with your fingerprint, face or screen lock instead of waiting for an OTP.
+                    You can always fall back to an OTP.
+                  </p>
+                )}
+                {passkeys.map((passkey) => (
+                  <div className="device-item" key={passkey.id}>
+                    <div className="device-info">
+                      <span className="device-name">{passkey.name}</span>
+                      <span className="device-meta">
+                        Added {formatDateTime(passkey.createdAt)} · {passkey.lastUsedAt ? `Last used ${formatDateTime(passkey.lastUsedAt)}` : 'Never used'}
+                      </span>
+                    </div>
+                    <button
+                      className="device-revoke-btn"
+                      onClick={() => handleRemovePasskey(passkey)}
+                      disabled={passkeyBusy}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+              {browserSupportsWebAuthn() && (
+                <div className="session-footer">
+                  <button className="totp-btn" onClick={handleAddPasskey} disabled={passkeyBusy}>
+                    {passkeyBusy ? 'Waiting for your device...' : 'Add a passkey'}
+                  </button>
                 </div>
+              )}
+            </div>
+          </section>
+
+          {/* Two-Factor Authentication */}
+          <section className="session-section">
+            <div className="session-card">
+              <div className="session-header">
+                <h3>Two-Factor Authentication</h3>
+                {user.totpEnabled ? (
+                  <span className="session-active">On</span>
+                ) : (
+                  <span className="session-count">Off</span>
+                )}
+              </div>
+              <div className="session-details">
+                {totpError && <div className="session-error">{totpError}</div>}
+                {totpMessage && <div className="totp-message">{totpMessage}</div>}
+
+                {user.totpEnabled && (
+                  <form className="totp-form" onSubmit={handleDisableTotp}>
+                    <p className="totp-text">
+                      Every login asks for a code from your authenticator app after the OTP.
+                      Enter a current code to remove it.
+                    </p>
+                    <div className="totp-actions">
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        className="totp-code-input"
+                        placeholder="123456"
+                        value={totpCode}
+                        onChange={handleTotpCodeChange}
+                        disabled={totpBusy}
+                        autoComplete="one-time-code"
+                      />
+                      <button className="device-revoke-btn" type="submit" disabled={totpBusy || totpCode.length !== 6}>
+                        Remove authenticator app
+                      </button>
+                    </div>
+                  </form>
+                )}
+
+                {!user.totpEnabled && !totpSetup && (
+                  <div className="totp-form">
+                    <p className="totp-text">
+                      Add an authenticator app (Google Authenticator, 1Password, Authy...) so a
+                      stolen OTP alone isn't enough to sign in.
+                    </p>
+                    <div className="totp-actions">
+                      <button className="totp-btn" onClick={handleStartTotp} disabled={totpBusy}>
+                        {totpBusy ? 'Preparing...' : 'Set up authenticator app'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {!user.totpEnabled && totpSetup && (
+                  <form className="totp-form" onSubmit={handleConfirmTotp}>
+                    <p className="totp-text">
+                      Scan this QR code with your authenticator app, then enter the code it shows.
+                    </p>
+                    <img className="totp-qr" src={totpSetup.qrCode} alt="Authenticator app QR code" />
+                    <p className="totp-text">
+                      Can't scan it? Enter this key instead:
+                    </p>
+                    <code className="totp-secret">{totpSetup.secret}</code>
+                    <a className="totp-uri" href={totpSetup.otpauthUri}>
+                      {totpSetup.otpauthUri}
+                    </a>
+                    <div className="totp-actions">
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        className="totp-code-input"
+                        placeholder="123456"
+                        value={totpCode}
+                        onChange={handleTotpCodeChange}
+                        disabled={totpBusy}
+                        autoComplete="one-time-code"
+                      />
+                      <button className="totp-btn" type="submit" disabled={totpBusy || totpCode.length !== 6}>
+                        {totpBusy ? 'Checking...' : 'Confirm'}
+                      </button>
+                      <button className="device-revoke-btn" type="button" onClick={() => setTotpSetup(null)} disabled={totpBusy}>
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            </div>
+          </section>
+
+          {/* Recovery Codes */}
+          <section className="session-section">
+            <div className="session-card">
+              <div className="session-header">
+                <h3>Recovery Codes</h3>
+                <span className="session-count">
+                  {recoveryStatus ? `${recoveryStatus.remaining} left` : '—'}
+                </span>
+              </div>
+              <div className="session-details">
+                {recoveryError && <div className="session-error">{recoveryError}</div>}
+
+                {newRecoveryCodes ? (
+                  <div className="totp-form">
+                    <p className="totp-text">
+                      Save these codes somewhere safe. Each one lets you sign in once without an OTP
+                      if you lose your phone. They won't be shown again.
+                    </p>
+                    <div className="recovery-codes">
+                      {newRecoveryCodes.map((code) => (
+                        <code key={code} className="recovery-code">{code}</code>
+                      ))}
+                    </div>
+                    <div className="totp-actions">
+                      <button className="totp-btn" onClick={handleDownloadRecoveryCodes}>
+                        Download
+                      </button>
+                      <button className="device-revoke-btn" onClick={handlePrintRecoveryCodes}>
+                        Print
+                      </button>
+                      <button className="device-revoke-btn" onClick={() => setNewRecoveryCodes(null)}>
+                        I've saved them
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="totp-form">
+                    <p className="totp-text">
+                      {recoveryStatus?.remaining
+                        ? `You have ${recoveryStatus.remaining} unused codes, generated ${formatDateTime(recoveryStatus.createdAt)}.`
+                        : 'Recovery codes let you sign in if you lose access to your phone.'}
+                    </p>
+                    <div className="totp-actions">
+                      <button className="totp-btn" onClick={handleGenerateRecoveryCodes}>
+                        {recoveryStatus?.createdAt ? 'Generate new codes' : 'Generate recovery codes'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          </section>
+
+          {/* Active Sessions */}
+          <section className="session-section">
+            <div className="session-card">
+              <div className="session-header">
+                <h3>Active Sessions</h3>
+                <span className="session-count">{sessions.length}</span>
+              </div>
+              <div className="session-details">
+                {sessionsError && (
+                  <div className="session-error">{sessionsError}</div>
+                )}
+                {sessions.map((session) => (
+                  <div className="device-item" key={session.id}>
+                    <div className="device-info">
+                      <span className="device-name">
+                        {describeDevice(session.userAgent)}
+                        {session.current && <span className="device-current">This device</span>}
+                      </span>
+                      <span className="device-meta">
+                        {channelLabels[session.channel] || session.channel} · {session.ip} · Signed in {formatDateTime(session.createdAt)} · Last seen {formatDateTime(session.lastSeenAt)}
+                      </span>
+                    </div>
+                    <button
+                      className="device-revoke-btn"
+                      onClick={() => handleRevokeSession(session)}
+                      disabled={revokingId === session.id}
+                    >
+                      {revokingId === session.id ? 'Signing out...' : 'Sign out this device'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="session-footer">
+                <button className="logout-all-btn" onClick={() => handleLogout(true)}>
+                  Sign out of all devices
+                </button>
+              </div>
+            </div>
+          </section>
+
+          {/* Your Data */}
+          <section className="session-section">
+            <div className="session-card">
+              <div className="session-header">
+                <h3>Your Data</h3>
+              </div>
+              <div className="session-details">
+                {dataError && <div className="session-error">{dataError}</div>}
+                {dataMessage && <div className="totp-message">{dataMessage}</div>}
+
+                {deleteChannel ? (
+                  <form className="totp-form" onSubmit={handleConfirmDeleteAccount}>
+                    <p className="totp-text">
+                      Enter the code we sent to {userIdentifier} to delete your account.
+                    </p>
+                    <div className="totp-actions">
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        className="totp-code-input"
+                        placeholder="123456"
+                        value={deleteOtp}
+                        onChange={(e) => setDeleteOtp(e.target.value.replace(/\s/g, '').slice(0, 10))}
+                        disabled={dataBusy}
+                        autoComplete="one-time-code"
+                      />
+                      <button className="logout-all-btn" type="submit" disabled={dataBusy || !deleteOtp}>
+                        {dataBusy ? 'Deleting...' : 'Delete my account'}
+                      </button>
+                      <button
+                        className="device-revoke-btn"
+                        type="button"
+                        onClick={() => { setDeleteChannel(null); setDataMessage(''); }}
+                        disabled={dataBusy}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <div className="totp-form">
+                    <p className="totp-text">
+                      Download a copy of your profile, sessions and sign-in history, or delete your account
+                      and everything stored with it.
+                    </p>
+                    <div className="totp-actions">
+                      <button className="totp-btn" onClick={handleExportData} disabled={dataBusy}>
+                        Download my data
+                      </button>
+                      <button className="logout-all-btn" onClick={handleStartDeleteAccount} disabled={dataBusy}>
+                        {dataBusy ? 'Sending code...' : 'Delete account'}
+                      </button>
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           </section>
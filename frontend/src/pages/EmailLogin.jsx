@@ -0,0 +1,445 @@
+// =====================================================
+// Email Login Page Component
+// OTP by email - same flow as the WhatsApp page
+// =====================================================
+
+import { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../api';
+import './ChannelLogin.css';
+import './EmailLogin.css';
+
+// API path for email OTPs (relative to the shared API client)
+const API_PATH = '/otp/email';
+
+// Quick client-side check - the server does the real validation
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function EmailLogin({ onLoginSuccess }) {
+  const navigate = useNavigate();
+  
+  // States
+  const [step, setStep] = useState('email'); // 'email' | 'otp'
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState(''); // as normalised by the server
+  const [otpLength, setOtpLength] = useState(6);
+  const [otpFormat, setOtpFormat] = useState('numeric'); // 'numeric' | 'alphanumeric'
+  const [otp, setOtp] = useState(Array(6).fill(''));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [resendTimer, setResendTimer] = useState(0);
+  
+  // Refs
+  const otpRefs = useRef([]);
+  const emailInputRef = useRef(null);
+
+  // Auto-focus email input on mount
+  useEffect(() => {
+    if (emailInputRef.current && step === 'email') {
+      emailInputRef.current.focus();
+    }
+  }, [step]);
+
+  // Focus first OTP input when step changes to OTP
+  useEffect(() => {
+    if (step === 'otp' && otpRefs.current[0]) {
+      otpRefs.current[0].focus();
+    }
+  }, [step]);
+
+  // Resend timer countdown
+  useEffect(() => {
+    if (resendTimer > 0) {
+      const timer = setTimeout(() => setResendTimer(resendTimer - 1), 1000);
+      return () => clearTimeout(timer);
+    }
+  }, [resendTimer]);
+
+  // Characters allowed in the OTP boxes
+  const otpCharPattern = otpFormat === 'numeric' ? /^\d$/ : /^[A-Za-z0-9]$/;
+  const otpStripPattern = otpFormat === 'numeric' ? /\D/g : /[^A-Za-z0-9]/g;
+  const otpLabel = otpFormat === 'numeric' ? 'digit' : 'character';
+
+  // Empty OTP boxes
+  const emptyOtp = (length = otpLength) => Array(length).fill('');
+
+  // Size the OTP boxes from the server's send response
+  const applyOtpFormat = (data) => {
+    const length = data.otpLength || otpLength;
+    setOtpLength(length);
+    setOtpFormat(data.otpFormat || 'numeric');
+    setOtp(emptyOtp(length));
+  };
+
+  // Handle email input
+  const handleEmailChange = (e) => {
+    setEmail(e.target.value.slice(0, 254));
+    setError('');
+  };
+
+  // Handle OTP input
+  const handleOtpChange = (index, value) => {
+    // Only allow characters valid for this OTP format
+    if (value && !otpCharPattern.test(value)) return;
+
+    const newOtp = [...otp];
+    newOtp[index] = value.toUpperCase();
+    setOtp(newOtp);
+    setError('');
+
+    // Auto-focus next input
+    if (value && index < otpLength - 1) {
+      otpRefs.current[index + 1]?.focus();
+    }
+  };
+
+  // Handle OTP paste
+  const handleOtpPaste = (e) => {
+    e.preventDefault();
+    const pastedData = e.clipboardData.getData('text').replace(otpStripPattern, '').toUpperCase().slice(0, otpLength);
+    
+    if (pastedData.length > 0) {
+      const newOtp = [...otp];
+      for (let i = 0; i < pastedData.length && i < otpLength; i++) {
+        newOtp[i] = pastedData[i];
+      }
+      setOtp(newOtp);
+      
+      // Focus the next empty input or the last one
+      const nextIndex = Math.min(pastedData.length, otpLength - 1);
+      otpRefs.current[nextIndex]?.focus();
+    }
+  };
+
+  // Handle OTP backspace
+  const handleOtpKeyDown = (index, e) => {
+    if (e.key === 'Backspace' && !otp[index] && index > 0) {
+      otpRefs.current[index - 1]?.focus();
+    }
+  };
+
+  // Send OTP by email
+  const handleSendOtp = async (e) => {
+    e.preventDefault();
+
+    // Validate email address
+    if (!EMAIL_PATTERN.test(email.trim())) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await api.post(`${API_PATH}/send`, {
+        email: email
+      });
+
+      if (response.data.success) {
+        setSuccess('OTP sent to your inbox!');
+        applyOtpFormat(response.data);
+        setSentTo(response.data.email);
+        setStep('otp');
+        setResendTimer(response.data.resendAvailableIn);
+        setTimeout(() => setSuccess(''), 3000);
+      }
+    } catch (err) {
+      console.error('Send OTP Error:', err);
+      setError(err.response?.data?.message || 'Failed to send OTP. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Verify OTP
+  const handleVerifyOtp = async (e) => {
+    e.preventDefault();
+    
+    const otpValue = otp.join('');
+    
+    if (otpValue.length !== otpLength) {
+      setError(`Please enter the complete ${otpLength}-${otpLabel} OTP`);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await api.post(`${API_PATH}/verify`, {
+        email: email,
+        otp: otpValue
+      });
+
+      if (response.data.success && response.data.verified) {
+        // Authenticator app enrolled - finish on the second-factor page
+        if (response.data.mfaRequired) {
+          navigate('/login/2fa', { state: { mfaToken: response.data.mfaToken } });
+          return;
+        }
+
+        setSuccess('Login successful! Redirecting...');
+
+        // Call parent success handler
+        setTimeout(() => {
+          onLoginSuccess(response.data.user);
+          navigate('/dashboard');
+        }, 1000);
+      }
+    } catch (err) {
+      console.error('Verify OTP Error:', err);
+      setError(err.response?.data?.message || 'Invalid OTP. Please try again.');
+      // Clear OTP on error
+      setOtp(emptyOtp());
+      otpRefs.current[0]?.focus();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Resend OTP
+  const handleResendOtp = async () => {
+    if (resendTimer > 0) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await api.post(`${API_PATH}/resend`, {
+        email: email
+      });
+
+      if (response.data.success) {
+        setSuccess('New OTP sent to your email!');
+        applyOtpFormat(response.data);
+        setResendTimer(response.data.resendAvailableIn);
+        otpRefs.current[0]?.focus();
+        setTimeout(() => setSuccess(''), 3000);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to resend OTP');
+      // Rate limited - count down the time the server told us to wait
+      if (err.response?.status === 429) {
+        setResendTimer(err.response.data.retryAfter);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Go back to email step
+  const handleBack = () => {
+    setStep('email');
+    setOtp(emptyOtp());
+    setError('');
+    setSuccess('');
+  };
+
+  // Go back to SMS login
+  const handleBackToSMS = () => {
+    navigate('/');
+  };
+
+  return (
+    <div className="channel-login-page email-login page-enter">
+      <div className="channel-login-container">
+        {/* Logo & Header */}
+        <div className="channel-login-header">
+          <div className="channel-logo">
+            <div className="channel-logo-icon">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <rect x="2" y="4" width="20" height="16" rx="2"/>
+                <path d="M22 7l-10 6L2 7"/>
+              </svg>
+            </div>
+            <span className="channel-logo-text">Email Login</span>
+          </div>
+          
+          <h1 className="channel-login-title">
+            {step === 'email' ? 'Login with Email' : 'Enter verification code'}
+          </h1>
+          <p className="channel-login-subtitle">
+            {step === 'email' 
+              ? 'We\'ll email you a verification code' 
+              : `Check your inbox for the OTP sent to ${sentTo}`
+            }
+          </p>
+        </div>
+
+        {/* Form Card */}
+        <div className="channel-login-card">
+          {/* Messages */}
+          {error && (
+            <div className="cl-message cl-message-error">
+              <svg viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd"/>
+              </svg>
+              <span>{error}</span>
+            </div>
+          )}
+          
+          {success && (
+            <div className="cl-message cl-message-success">
+              <svg viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd"/>
+              </svg>
+              <span>{success}</span>
+            </div>
+          )}
+
+          {/* Email Step */}
+          {step === 'email' && (
+            <form onSubmit={handleSendOtp} className="channel-login-form">
+              <div className="cl-form-group">
+                <label className="cl-form-label">Email Address</label>
+                <input
+                  ref={emailInputRef}
+                  type="email"
+                  className="cl-email-input"
+                  placeholder="you@example.com"
+                  value={email}
+                  onChange={handleEmailChange}
+                  disabled={loading}
+                  autoComplete="email"
+                />
+                <span className="cl-form-hint">
+                  <svg viewBox="0 0 20 20" fill="currentColor" width="14" height="14">
+                    <path d="M2.003 5.884L10 9.882l7.997-3.998A2 2 0 0016 4H4a2 2 0 00-1.997 1.884z"/>
+                    <path d="M18 8.118l-8 4-8-4V14a2 2 0 002 2h12a2 2 0 002-2V8.118z"/>
+                  </svg>
+                  OTP will be sent to this email address
+                </span>
+              </div>
+
+              <button
+                type="submit"
+                className="cl-btn cl-btn-primary"
+                disabled={loading || !email}
+              >
+                {loading ? (
+                  <>
+                    <span className="cl-btn-spinner"></span>
+                    Sending OTP...
+                  </>
+                ) : (
+                  <>
+                    Send OTP
+                    <svg viewBox="0 0 20 20" fill="currentColor">
+                      <path fillRule="evenodd" d="M10.293 3.293a1 1 0 011.414 0l6 6a1 1 0 010 1.414l-6 6a1 1 0 01-1.414-1.414L14.586 11H3a1 1 0 110-2h11.586l-4.293-4.293a1 1 0 010-1.414z" clipRule="evenodd"/>
+                    </svg>
+                  </>
+                )}
+              </button>
+            </form>
+          )}
+
+          {/* OTP Verification Step */}
+          {step === 'otp' && (
+            <form onSubmit={handleVerifyOtp} className="channel-login-form">
+              <div className="cl-form-group">
+                <label className="cl-form-label">Verification Code</label>
+                <div className="cl-otp-input-wrapper">
+                  {otp.map((digit, index) => (
+                    <input
+                      key={index}
+                      ref={(el) => (otpRefs.current[index] = el)}
+                      type="text"
+                      inputMode={otpFormat === 'numeric' ? 'numeric' : 'text'}
+                      maxLength={1}
+                      className={`cl-otp-input ${digit ? 'filled' : ''}`}
+                      value={digit}
+                      onChange={(e) => handleOtpChange(index, e.target.value)}
+                      onKeyDown={(e) => handleOtpKeyDown(index, e)}
+                      onPaste={index === 0 ? handleOtpPaste : undefined}
+                      disabled={loading}
+                      autoComplete="one-time-code"
+                    />
+                  ))}
+                </div>
+                
+                {/* Resend OTP */}
+                <div className="cl-resend-wrapper">
+                  {resendTimer > 0 ? (
+                    <span className="cl-resend-timer">
+                      Resend code in <strong>{resendTimer}s</strong>
+                    </span>
+                  ) : (
+                    <button
+                      type="button"
+                      className="cl-resend-button"
+                      onClick={handleResendOtp}
+                      disabled={loading}
+                    >
+                      Didn't receive code? <strong>Resend</strong>
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="cl-form-actions">
+                <button
+                  type="button"
+                  className="cl-btn cl-btn-secondary"
+                  onClick={handleBack}
+                  disabled={loading}
+                >
+                  <svg viewBox="0 0 20 20" fill="currentColor">
+                    <path fillRule="evenodd" d="M9.707 16.707a1 1 0 01-1.414 0l-6-6a1 1 0 010-1.414l6-6a1 1 0 011.414 1.414L5.414 9H17a1 1 0 110 2H5.414l4.293 4.293a1 1 0 010 1.414z" clipRule="evenodd"/>
+                  </svg>
+                  Back
+                </button>
+                
+                <button
+                  type="submit"
+                  className="cl-btn cl-btn-primary"
+                  disabled={loading || otp.join('').length !== otpLength}
+                >
+                  {loading ? (
+                    <>
+                      <span className="cl-btn-spinner"></span>
+                      Verifying...
+                    </>
+                  ) : (
+                    <>
+                      Verify & Login
+                      <svg viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd"/>
+                      </svg>
+                    </>
+                  )}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+
+        {/* Back to SMS Login */}
+        <div className="cl-alt-login">
+          <button 
+            type="button" 
+            className="cl-back-to-sms"
+            onClick={handleBackToSMS}
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M21 15C21 15.5304 20.7893 16.0391 20.4142 16.4142C20.0391 16.7893 19.5304 17 19 17H7L3 21V5C3 4.46957 3.21071 3.96086 3.58579 3.58579C3.96086 3.21071 4.46957 3 5 3H19C19.5304 3 20.0391 3.21071 20.4142 3.58579C20.7893 3.96086 21 4.46957 21 5V15Z"/>
+            </svg>
+            Login with SMS instead
+          </button>
+        </div>
+
+        {/* Footer */}
+        <div className="channel-login-footer">
+          <p>By continuing, you agree to our <a href="#">Terms of Service</a> and <a href="#">Privacy Policy</a></p>
+        </div>
+      </div>
+
+      {/* Decorative Elements */}
+      <div className="cl-decorative-orb cl-orb-1"></div>
+      <div className="cl-decorative-orb cl-orb-2"></div>
+    </div>
+  );
+}
+
+export default EmailLogin;
\ No newline at end of file
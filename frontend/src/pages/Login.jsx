@@ -5,21 +5,22 @@
 
 import { useState, useRef, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
-import axios from "axios";
+import { isValidPhoneNumber } from "libphonenumber-js";
+import {
+  browserSupportsWebAuthn,
+  startAuthentication,
+} from "@simplewebauthn/browser";
+import api from "../api";
+import { useCountries } from "../countries";
 import "./Login.css";
 
-// Country codes data
-const countryCodes = [
-  { code: "+91", country: "IN", flag: "🇮🇳", name: "India" },
-  { code: "+1", country: "US", flag: "🇺🇸", name: "United States" },
-  { code: "+44", country: "GB", flag: "🇬🇧", name: "United Kingdom" },
-  { code: "+971", country: "AE", flag: "🇦🇪", name: "UAE" },
-  { code: "+65", country: "SG", flag: "🇸🇬", name: "Singapore" },
-  { code: "+61", country: "AU", flag: "🇦🇺", name: "Australia" },
-];
-
-// API Base URL
-const API_URL = "http://localhost:5000/api";
+// Where the code ended up when SMS delivery fell back to another channel
+const channelNames = {
+  sms: "SMS",
+  whatsapp: "WhatsApp",
+  "whatsapp-meta": "WhatsApp",
+  voice: "a voice call",
+};
 
 function Login({ onLoginSuccess }) {
   const navigate = useNavigate();
@@ -27,13 +28,25 @@ function Login({ onLoginSuccess }) {
   // States
   const [step, setStep] = useState("phone"); // 'phone' | 'otp'
   const [phoneNumber, setPhoneNumber] = useState("");
-  const [selectedCountry, setSelectedCountry] = useState(countryCodes[0]);
+  // Only countries whose routing allows SMS (the server rejects the others)
+  const { countries, error: countriesError } = useCountries("sms");
+  const [chosenCountry, setChosenCountry] = useState(null);
+  // First country from the server until the user picks one
+  const selectedCountry = chosenCountry || countries[0] || null;
+  const [displayNumber, setDisplayNumber] = useState(""); // as formatted by the server
   const [showCountryDropdown, setShowCountryDropdown] = useState(false);
-  const [otp, setOtp] = useState(["", "", "", "", "", ""]);
+  const [otpLength, setOtpLength] = useState(6);
+  const [otpFormat, setOtpFormat] = useState("numeric"); // 'numeric' | 'alphanumeric'
+  const [otp, setOtp] = useState(Array(6).fill(""));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");
   const [resendTimer, setResendTimer] = useState(0);
+  const [deliveryChannel, setDeliveryChannel] = useState("sms");
+  const [otpChannel, setOtpChannel] = useState("sms"); // 'sms' | 'voice' - what the user asked for
+  // Lost phone - sign in with a recovery code instead of an OTP
+  const [recoveryMode, setRecoveryMode] = useState(false);
+  const [recoveryCode, setRecoveryCode] = useState("");
 
   // Refs
   const otpRefs = useRef([]);
@@ -73,32 +86,48 @@ function Login({ onLoginSuccess }) {
     return () => document.removeEventListener("mousedown", handleClickOutside);
   }, []);
 
+  // Characters allowed in the OTP boxes
+  const otpCharPattern = otpFormat === "numeric" ? /^\d$/ : /^[A-Za-z0-9]$/;
+  const otpStripPattern = otpFormat === "numeric" ? /\D/g : /[^A-Za-z0-9]/g;
+  const otpLabel = otpFormat === "numeric" ? "digit" : "character";
+
+  // Empty OTP boxes
+  const emptyOtp = (length = otpLength) => Array(length).fill("");
+
+  // Size the OTP boxes from the server's send response
+  const applyOtpFormat = (data) => {
+    const length = data.otpLength || otpLength;
+    setOtpLength(length);
+    setOtpFormat(data.otpFormat || "numeric");
+    setOtp(emptyOtp(length));
+  };
+
   // Handle phone number input
   const handlePhoneChange = (e) => {
-    const value = e.target.value.replace(/\D/g, "").slice(0, 10);
+    const value = e.target.value.replace(/\D/g, "").slice(0, 15);
     setPhoneNumber(value);
     setError("");
   };
 
   // Handle country selection
   const handleCountrySelect = (country) => {
-    setSelectedCountry(country);
+    setChosenCountry(country);
     setShowCountryDropdown(false);
     phoneInputRef.current?.focus();
   };
 
   // Handle OTP input
   const handleOtpChange = (index, value) => {
-    // Only allow digits
-    if (value && !/^\d$/.test(value)) return;
+    // Only allow characters valid for this OTP format
+    if (value && !otpCharPattern.test(value)) return;
 
     const newOtp = [...otp];
-    newOtp[index] = value;
+    newOtp[index] = value.toUpperCase();
     setOtp(newOtp);
     setError("");
 
     // Auto-focus next input
-    if (value && index < 5) {
+    if (value && index < otpLength - 1) {
       otpRefs.current[index + 1]?.focus();
     }
   };
@@ -108,18 +137,19 @@ function Login({ onLoginSuccess }) {
     e.preventDefault();
     const pastedData = e.clipboardData
       .getData("text")
-      .replace(/\D/g, "")
-      .slice(0, 6);
+      .replace(otpStripPattern, "")
+      .toUpperCase()
+      .slice(0, otpLength);
 
     if (pastedData.length > 0) {
       const newOtp = [...otp];
-      for (let i = 0; i < pastedData.length && i < 6; i++) {
+      for (let i = 0; i < pastedData.length && i < otpLength; i++) {
         newOtp[i] = pastedData[i];
       }
       setOtp(newOtp);
 
       // Focus the next empty input or the last one
-      const nextIndex = Math.min(pastedData.length, 5);
+      const nextIndex = Math.min(pastedData.length, otpLength - 1);
       otpRefs.current[nextIndex]?.focus();
     }
   };
@@ -135,15 +165,12 @@ function Login({ onLoginSuccess }) {
   const handleSendOtp = async (e) => {
     e.preventDefault();
 
-    // Validate phone number
-    if (phoneNumber.length !== 10) {
-      setError("Please enter a valid 10-digit phone number");
-      return;
-    }
+    // Countries haven't loaded yet
+    if (!selectedCountry) return;
 
-    // Only India supported for now
-    if (selectedCountry.code !== "+91") {
-      setError("Currently only Indian phone numbers (+91) are supported");
+    // Validate phone number for the selected country
+    if (!isValidPhoneNumber(phoneNumber, selectedCountry.country)) {
+      setError(`Please enter a valid ${selectedCountry.name} phone number`);
       return;
     }
 
@@ -151,14 +178,22 @@ function Login({ onLoginSuccess }) {
     setError("");
 
     try {
-      const response = await axios.post(`${API_URL}/send-otp`, {
+      const response = await api.post("/otp/sms/send", {
+        countryCode: selectedCountry.code,
         phoneNumber: phoneNumber,
       });
 
       if (response.data.success) {
-        setSuccess("OTP sent successfully!");
+        setSuccess(
+          response.data.fallback
+            ? `We sent your code on ${channelNames[response.data.channel]} instead of SMS.`
+            : "OTP sent successfully!",
+        );
+        applyOtpFormat(response.data);
+        setDeliveryChannel(response.data.channel);
+        setDisplayNumber(response.data.displayNumber);
         setStep("otp");
-        setResendTimer(30);
+        setResendTimer(response.data.resendAvailableIn);
         setTimeout(() => setSuccess(""), 3000);
       }
     } catch (err) {
@@ -171,14 +206,97 @@ function Login({ onLoginSuccess }) {
     }
   };
 
+  // Sign in with a recovery code in place of the OTP
+  const handleRecoveryLogin = async (e) => {
+    e.preventDefault();
+
+    // Countries haven't loaded yet
+    if (!selectedCountry) return;
+
+    if (!isValidPhoneNumber(phoneNumber, selectedCountry.country)) {
+      setError(`Please enter a valid ${selectedCountry.name} phone number`);
+      return;
+    }
+
+    setLoading(true);
+    setError("");
+
+    try {
+      const response = await api.post("/auth/recovery-codes/verify", {
+        countryCode: selectedCountry.code,
+        phoneNumber: phoneNumber,
+        code: recoveryCode,
+      });
+
+      if (response.data.success && response.data.verified) {
+        setSuccess(
+          `Recovery code accepted - ${response.data.remaining} left. Redirecting...`,
+        );
+
+        setTimeout(() => {
+          onLoginSuccess(response.data.user);
+          navigate("/dashboard");
+        }, 1500);
+      }
+    } catch (err) {
+      console.error("Recovery Login Error:", err);
+      setError(
+        err.response?.data?.message ||
+          "Invalid recovery code. Please try again.",
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Sign in with a passkey registered from the Dashboard (no OTP needed)
+  const handlePasskeyLogin = async () => {
+    setLoading(true);
+    setError("");
+
+    try {
+      const { data } = await api.post("/auth/passkeys/login/options");
+      const assertion = await startAuthentication({ optionsJSON: data.options });
+      const response = await api.post("/auth/passkeys/login/verify", {
+        response: assertion,
+      });
+
+      if (response.data.success && response.data.verified) {
+        setSuccess("Login successful! Redirecting...");
+
+        setTimeout(() => {
+          onLoginSuccess(response.data.user);
+          navigate("/dashboard");
+        }, 1000);
+      }
+    } catch (err) {
+      console.error("Passkey Login Error:", err);
+      // The user closed the browser prompt - nothing to report
+      if (err.name === "NotAllowedError") return;
+      setError(
+        err.response?.data?.message ||
+          "Passkey sign-in failed. Please use an OTP instead.",
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Switch between the OTP and recovery code paths
+  const toggleRecoveryMode = () => {
+    setRecoveryMode(!recoveryMode);
+    setRecoveryCode("");
+    setError("");
+  };
+
   // Verify OTP
   const handleVerifyOtp = async (e) => {
     e.preventDefault();
 
     const otpValue = otp.join("");
 
-    if (otpValue.length !== 6) {
-      setError("Please enter the complete 6-digit OTP");
+    if (otpValue.length !== otpLength) {
+      setError(`Please enter the complete ${otpLength}-${otpLabel} OTP`);
       return;
     }
 
@@ -186,17 +304,24 @@ function Login({ onLoginSuccess }) {
     setError("");
 
     try {
-      const response = await axios.post(`${API_URL}/verify-otp`, {
+      const response = await api.post(`/otp/${deliveryChannel}/verify`, {
+        countryCode: selectedCountry.code,
         phoneNumber: phoneNumber,
         otp: otpValue,
       });
 
       if (response.data.success && response.data.verified) {
+        // Authenticator app enrolled - finish on the second-factor page
+        if (response.data.mfaRequired) {
+          navigate("/login/2fa", { state: { mfaToken: response.data.mfaToken } });
+          return;
+        }
+
         setSuccess("Login successful! Redirecting...");
 
         // Call parent success handler
         setTimeout(() => {
-          onLoginSuccess(phoneNumber);
+          onLoginSuccess(response.data.user);
           navigate("/dashboard");
         }, 1000);
       }
@@ -204,7 +329,7 @@ function Login({ onLoginSuccess }) {
       console.error("Verify OTP Error:", err);
       setError(err.response?.data?.message || "Invalid OTP. Please try again.");
       // Clear OTP on error
-      setOtp(["", "", "", "", "", ""]);
+      setOtp(emptyOtp());
       otpRefs.current[0]?.focus();
     } finally {
       setLoading(false);
@@ -219,19 +344,59 @@ function Login({ onLoginSuccess }) {
     setError("");
 
     try {
-      const response = await axios.post(`${API_URL}/resend-otp`, {
+      const response = await api.post(`/otp/${otpChannel}/resend`, {
+        countryCode: selectedCountry.code,
         phoneNumber: phoneNumber,
       });
 
       if (response.data.success) {
-        setSuccess("New OTP sent!");
-        setOtp(["", "", "", "", "", ""]);
-        setResendTimer(30);
+        setSuccess(
+          response.data.fallback
+            ? `New code sent on ${channelNames[response.data.channel]} instead of SMS.`
+            : "New OTP sent!",
+        );
+        applyOtpFormat(response.data);
+        setDeliveryChannel(response.data.channel);
+        setResendTimer(response.data.resendAvailableIn);
         otpRefs.current[0]?.focus();
         setTimeout(() => setSuccess(""), 3000);
       }
     } catch (err) {
       setError(err.response?.data?.message || "Failed to resend OTP");
+      // Rate limited - count down the time the server told us to wait
+      if (err.response?.status === 429) {
+        setResendTimer(err.response.data.retryAfter);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Call me instead - read the OTP out over a voice call
+  const handleCallMe = async () => {
+    setLoading(true);
+    setError("");
+
+    try {
+      const response = await api.post("/otp/voice/send", {
+        countryCode: selectedCountry.code,
+        phoneNumber: phoneNumber,
+      });
+
+      if (response.data.success) {
+        setSuccess(response.data.message);
+        applyOtpFormat(response.data);
+        setOtpChannel("voice");
+        setDeliveryChannel(response.data.channel);
+        setResendTimer(response.data.resendAvailableIn);
+        otpRefs.current[0]?.focus();
+        setTimeout(() => setSuccess(""), 3000);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to call you. Please try again.");
+      if (err.response?.status === 429) {
+        setResendTimer(err.response.data.retryAfter);
+      }
     } finally {
       setLoading(false);
     }
@@ -240,7 +405,8 @@ function Login({ onLoginSuccess }) {
   // Go back to phone step
   const handleBack = () => {
     setStep("phone");
-    setOtp(["", "", "", "", "", ""]);
+    setOtpChannel("sms");
+    setOtp(emptyOtp());
     setError("");
     setSuccess("");
   };
@@ -288,15 +454,19 @@ function Login({ onLoginSuccess }) {
           </h1>
           <p className="login-subtitle">
             {step === "phone"
-              ? "Enter your phone number to continue"
-              : `We've sent a code to ${selectedCountry.code} ${phoneNumber.replace(/(\d{5})(\d{5})/, "$1 $2")}`}
+              ? recoveryMode
+                ? "Enter your phone number and one of your recovery codes"
+                : "Enter your phone number to continue"
+              : deliveryChannel === "voice"
+                ? `We're calling ${displayNumber} to read out your code`
+                : `We've sent a code ${deliveryChannel === "sms" ? "" : `on ${channelNames[deliveryChannel]} `}to ${displayNumber}`}
           </p>
         </div>
 
         {/* Form Card */}
         <div className="login-card">
           {/* Messages */}
-          {error && (
+          {(error || countriesError) && (
             <div className="message message-error">
               <svg viewBox="0 0 20 20" fill="currentColor">
                 <path
@@ -305,7 +475,7 @@ function Login({ onLoginSuccess }) {
                   clipRule="evenodd"
                 />
               </svg>
-              <span>{error}</span>
+              <span>{error || countriesError}</span>
             </div>
           )}
 
@@ -324,7 +494,10 @@ function Login({ onLoginSuccess }) {
 
           {/* Phone Number Step */}
           {step === "phone" && (
-            <form onSubmit={handleSendOtp} className="login-form">
+            <form
+              onSubmit={recoveryMode ? handleRecoveryLogin : handleSendOtp}
+              className="login-form"
+            >
               <div className="form-group">
                 <label className="form-label">Phone Number</label>
                 <div className="phone-input-wrapper">
@@ -338,10 +511,10 @@ function Login({ onLoginSuccess }) {
                       }
                     >
                       <span className="country-flag">
-                        {selectedCountry.flag}
+                        {selectedCountry?.flag}
                       </span>
                       <span className="country-code">
-                        {selectedCountry.code}
+                        {selectedCountry?.code}
                       </span>
                       <svg
                         className="dropdown-arrow"
@@ -358,11 +531,11 @@ function Login({ onLoginSuccess }) {
 
                     {showCountryDropdown && (
                       <div className="country-dropdown">
-                        {countryCodes.map((country) => (
+                        {countries.map((country) => (
                           <button
-                            key={country.code}
+                            key={country.country}
                             type="button"
-                            className={`country-option ${selectedCountry.code === country.code ? "active" : ""}`}
+                            className={`country-option ${selectedCountry.country === country.country ? "active" : ""}`}
                             onClick={() => handleCountrySelect(country)}
                           >
                             <span className="country-flag">{country.flag}</span>
@@ -386,21 +559,53 @@ function Login({ onLoginSuccess }) {
                     autoComplete="tel"
                   />
                 </div>
-                <span className="form-hint">
-                  We'll send you a verification code
-                </span>
+                {!recoveryMode && (
+                  <span className="form-hint">
+                    We'll send you a verification code
+                  </span>
+                )}
               </div>
 
+              {/* Recovery Code Input */}
+              {recoveryMode && (
+                <div className="form-group">
+                  <label className="form-label">Recovery Code</label>
+                  <input
+                    type="text"
+                    className="phone-input recovery-code-input"
+                    placeholder="xxxxx-xxxxx"
+                    value={recoveryCode}
+                    onChange={(e) => {
+                      setRecoveryCode(e.target.value.slice(0, 20));
+                      setError("");
+                    }}
+                    disabled={loading}
+                    autoComplete="off"
+                    spellCheck={false}
+                  />
+                  <span className="form-hint">
+                    Each recovery code can only be used once
+                  </span>
+                </div>
+              )}
+
               <button
                 type="submit"
                 className="btn btn-primary"
-                disabled={loading || phoneNumber.length !== 10}
+                disabled={
+                  loading ||
+                  !phoneNumber ||
+                  !selectedCountry ||
+                  (recoveryMode && !recoveryCode)
+                }
               >
                 {loading ? (
                   <>
                     <span className="btn-spinner"></span>
-                    Sending OTP...
+                    {recoveryMode ? "Signing in..." : "Sending OTP..."}
                   </>
+                ) : recoveryMode ? (
+                  "Sign in with recovery code"
                 ) : (
                   <>
                     Continue
@@ -414,6 +619,24 @@ function Login({ onLoginSuccess }) {
                   </>
                 )}
               </button>
+
+              {/* Lost phone - recovery code path */}
+              <button
+                type="button"
+                className="resend-button recovery-toggle"
+                onClick={toggleRecoveryMode}
+                disabled={loading}
+              >
+                {recoveryMode ? (
+                  <>
+                    Have your phone? <strong>Get a code by SMS</strong>
+                  </>
+                ) : (
+                  <>
+                    Lost your phone? <strong>Use a recovery code</strong>
+                  </>
+                )}
+              </button>
             </form>
           )}
 
@@ -428,7 +651,7 @@ function Login({ onLoginSuccess }) {
                       key={index}
                       ref={(el) => (otpRefs.current[index] = el)}
                       type="text"
-                      inputMode="numeric"
+                      inputMode={otpFormat === "numeric" ? "numeric" : "text"}
                       maxLength={1}
                       className={`otp-input ${digit ? "filled" : ""}`}
                       value={digit}
@@ -457,6 +680,20 @@ function Login({ onLoginSuccess }) {
                       Didn't receive code? <strong>Resend</strong>
                     </button>
                   )}
+
+                  {/* Offered once the first SMS has had time to arrive */}
+                  {resendTimer === 0 &&
+                    otpChannel === "sms" &&
+                    selectedCountry?.channels.includes("voice") && (
+                      <button
+                        type="button"
+                        className="resend-button call-me-button"
+                        onClick={handleCallMe}
+                        disabled={loading}
+                      >
+                        Or <strong>call me instead</strong>
+                      </button>
+                    )}
                 </div>
               </div>
 
@@ -480,7 +717,7 @@ function Login({ onLoginSuccess }) {
                 <button
                   type="submit"
                   className="btn btn-primary"
-                  disabled={loading || otp.join("").length !== 6}
+                  disabled={loading || otp.join("").length !== otpLength}
                 >
                   {loading ? (
                     <>
@@ -506,11 +743,34 @@ function Login({ onLoginSuccess }) {
         </div>
         {/* Add this AFTER the login-card closing div but BEFORE login-footer */}
 
-        {/* WhatsApp Login Option */}
+        {/* Passkey / WhatsApp / Email Login Options */}
         <div className="alt-login-section">
           <div className="alt-login-divider">
             <span>or</span>
           </div>
+          {browserSupportsWebAuthn() && (
+            <button
+              type="button"
+              className="btn-passkey"
+              onClick={handlePasskeyLogin}
+              disabled={loading}
+            >
+              <svg
+                viewBox="0 0 24 24"
+                fill="none"
+                stroke="currentColor"
+                strokeWidth="2"
+                strokeLinecap="round"
+                strokeLinejoin="round"
+              >
+                <circle cx="8" cy="15" r="4" />
+                <path d="M10.85 12.15L19 4" />
+                <path d="M18 5l2 2" />
+                <path d="M15 8l2 2" />
+              </svg>
+              Sign in with passkey
+            </button>
+          )}
           <button
             type="button"
             className="btn-whatsapp"
@@ -535,6 +795,24 @@ function Login({ onLoginSuccess }) {
             </svg>
             Continue with WhatsApp (Meta)
           </button>
+          <button
+            type="button"
+            className="btn-email"
+            onClick={() => navigate("/login/email")}
+          >
+            <svg
+              viewBox="0 0 24 24"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="2"
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            >
+              <rect x="2" y="4" width="20" height="16" rx="2" />
+              <path d="M22 7l-10 6L2 7" />
+            </svg>
+            Continue with Email
+          </button>
         </div>
 
         {/* Footer */}
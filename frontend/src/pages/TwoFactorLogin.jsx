@@ -0,0 +1,224 @@
+// =====================================================
+// Two-Factor Login Page Component
+// Authenticator-app code after the phone / email OTP
+// =====================================================
+
+import { useState, useRef, useEffect } from 'react';
+import { useNavigate, useLocation, Navigate } from 'react-router-dom';
+import api from '../api';
+import './Login.css';
+
+// Authenticator apps show 6-digit codes
+const TOTP_LENGTH = 6;
+
+function TwoFactorLogin({ onLoginSuccess }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Challenge token from the OTP verify response
+  const mfaToken = location.state?.mfaToken;
+
+  // States
+  const [code, setCode] = useState(Array(TOTP_LENGTH).fill(''));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Refs
+  const codeRefs = useRef([]);
+
+  // Focus first input on mount
+  useEffect(() => {
+    codeRefs.current[0]?.focus();
+  }, []);
+
+  // Handle code input
+  const handleCodeChange = (index, value) => {
+    // Only allow digits
+    if (value && !/^\d$/.test(value)) return;
+
+    const newCode = [...code];
+    newCode[index] = value;
+    setCode(newCode);
+    setError('');
+
+    // Auto-focus next input
+    if (value && index < TOTP_LENGTH - 1) {
+      codeRefs.current[index + 1]?.focus();
+    }
+  };
+
+  // Handle code paste
+  const handleCodePaste = (e) => {
+    e.preventDefault();
+    const pastedData = e.clipboardData.getData('text').replace(/\D/g, '').slice(0, TOTP_LENGTH);
+
+    if (pastedData.length > 0) {
+      const newCode = [...code];
+      for (let i = 0; i < pastedData.length; i++) {
+        newCode[i] = pastedData[i];
+      }
+      setCode(newCode);
+      codeRefs.current[Math.min(pastedData.length, TOTP_LENGTH - 1)]?.focus();
+    }
+  };
+
+  // Handle code backspace
+  const handleCodeKeyDown = (index, e) => {
+    if (e.key === 'Backspace' && !code[index] && index > 0) {
+      codeRefs.current[index - 1]?.focus();
+    }
+  };
+
+  // Verify the authenticator code and start the session
+  const handleVerify = async (e) => {
+    e.preventDefault();
+
+    const codeValue = code.join('');
+
+    if (codeValue.length !== TOTP_LENGTH) {
+      setError(`Please enter the complete ${TOTP_LENGTH}-digit code`);
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await api.post('/auth/totp/verify', {
+        mfaToken: mfaToken,
+        code: codeValue
+      });
+
+      if (response.data.success && response.data.verified) {
+        setSuccess('Login successful! Redirecting...');
+
+        setTimeout(() => {
+          onLoginSuccess(response.data.user);
+          navigate('/dashboard');
+        }, 1000);
+      }
+    } catch (err) {
+      console.error('Verify TOTP Error:', err);
+      setError(err.response?.data?.message || 'Invalid code. Please try again.');
+
+      // Challenge expired or out of attempts - back to the start
+      if (err.response?.status === 401) {
+        setTimeout(() => navigate('/', { replace: true }), 2000);
+        return;
+      }
+
+      setCode(Array(TOTP_LENGTH).fill(''));
+      codeRefs.current[0]?.focus();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only reachable straight after an OTP login
+  if (!mfaToken) {
+    return <Navigate to="/" replace />;
+  }
+
+  return (
+    <div className="login-page page-enter">
+      <div className="login-container">
+        {/* Logo & Header */}
+        <div className="login-header">
+          <div className="logo">
+            <div className="logo-icon">
+              <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <rect x="5" y="11" width="14" height="10" rx="2" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M8 11V7C8 5.93913 8.42143 4.92172 9.17157 4.17157C9.92172 3.42143 10.9391 3 12 3C13.0609 3 14.0783 3.42143 14.8284 4.17157C15.5786 4.92172 16 5.93913 16 7V11" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </div>
+            <span className="logo-text">SecureAuth</span>
+          </div>
+
+          <h1 className="login-title">Two-factor authentication</h1>
+          <p className="login-subtitle">
+            Enter the {TOTP_LENGTH}-digit code from your authenticator app
+          </p>
+        </div>
+
+        {/* Form Card */}
+        <div className="login-card">
+          {/* Messages */}
+          {error && (
+            <div className="message message-error">
+              <svg viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd"/>
+              </svg>
+              <span>{error}</span>
+            </div>
+          )}
+
+          {success && (
+            <div className="message message-success">
+              <svg viewBox="0 0 20 20" fill="currentColor">
+                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd"/>
+              </svg>
+              <span>{success}</span>
+            </div>
+          )}
+
+          <form onSubmit={handleVerify} className="login-form">
+            <div className="form-group">
+              <label className="form-label">Authenticator Code</label>
+              <div className="otp-input-wrapper">
+                {code.map((digit, index) => (
+                  <input
+                    key={index}
+                    ref={(el) => (codeRefs.current[index] = el)}
+                    type="text"
+                    inputMode="numeric"
+                    maxLength={1}
+                    className={`otp-input ${digit ? 'filled' : ''}`}
+                    value={digit}
+                    onChange={(e) => handleCodeChange(index, e.target.value)}
+                    onKeyDown={(e) => handleCodeKeyDown(index, e)}
+                    onPaste={index === 0 ? handleCodePaste : undefined}
+                    disabled={loading}
+                    autoComplete="one-time-code"
+                  />
+                ))}
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => navigate('/', { replace: true })}
+                disabled={loading}
+              >
+                Cancel
+              </button>
+
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={loading || code.join('').length !== TOTP_LENGTH}
+              >
+                {loading ? (
+                  <>
+                    <span className="btn-spinner"></span>
+                    Verifying...
+                  </>
+                ) : (
+                  'Verify & Login'
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+
+      {/* Decorative Elements */}
+      <div className="decorative-orb orb-1"></div>
+      <div className="decorative-orb orb-2"></div>
+    </div>
+  );
+}
+
+export default TwoFactorLogin;
@@ -5,39 +5,48 @@
 
 import { useState, useRef, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
+import { isValidPhoneNumber } from 'libphonenumber-js';
+import api from '../api';
+import { useCountries } from '../countries';
+import './ChannelLogin.css';
 import './WhatsAppLogin.css';
 
-// Country codes data
-const countryCodes = [
-  { code: '+91', country: 'IN', flag: '🇮🇳', name: 'India' },
-  { code: '+1', country: 'US', flag: '🇺🇸', name: 'United States' },
-  { code: '+44', country: 'GB', flag: '🇬🇧', name: 'United Kingdom' },
-  { code: '+971', country: 'AE', flag: '🇦🇪', name: 'UAE' },
-  { code: '+65', country: 'SG', flag: '🇸🇬', name: 'Singapore' },
-  { code: '+61', country: 'AU', flag: '🇦🇺', name: 'Australia' },
-];
-
-// API Base URL for WhatsApp
-const API_URLS = {
-  'whatsapp': 'http://localhost:5000/api/whatsapp',
-  'whatsapp-meta': 'http://localhost:5000/api/whatsapp-meta'
+// API paths for WhatsApp (relative to the shared API client)
+const API_PATHS = {
+  'whatsapp': '/otp/whatsapp',
+  'whatsapp-meta': '/otp/whatsapp-meta'
+};
+
+// Where the code ended up when WhatsApp delivery fell back to another channel
+const channelNames = {
+  'sms': 'SMS',
+  'whatsapp': 'WhatsApp',
+  'whatsapp-meta': 'WhatsApp (Meta)',
+  'voice': 'a voice call'
 };
 function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
-  const API_URL = API_URLS[apiType] || API_URLS['whatsapp'];
+  const API_PATH = API_PATHS[apiType] || API_PATHS['whatsapp'];
 
   const navigate = useNavigate();
   
   // States
   const [step, setStep] = useState('phone'); // 'phone' | 'otp'
   const [phoneNumber, setPhoneNumber] = useState('');
-  const [selectedCountry, setSelectedCountry] = useState(countryCodes[0]);
+  const { countries, error: countriesError } = useCountries(apiType);
+  const [chosenCountry, setChosenCountry] = useState(null);
+  // First country from the server until the user picks one
+  const selectedCountry = chosenCountry || countries[0] || null;
+  const [displayNumber, setDisplayNumber] = useState(''); // as formatted by the server
   const [showCountryDropdown, setShowCountryDropdown] = useState(false);
-  const [otp, setOtp] = useState(['', '', '', '']);
+  const [otpLength, setOtpLength] = useState(4);
+  const [otpFormat, setOtpFormat] = useState('numeric'); // 'numeric' | 'alphanumeric'
+  const [otp, setOtp] = useState(Array(4).fill(''));
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [resendTimer, setResendTimer] = useState(0);
+  // Channel that delivered the code (differs from apiType after a fallback)
+  const [deliveryChannel, setDeliveryChannel] = useState(apiType);
   
   // Refs
   const otpRefs = useRef([]);
@@ -77,32 +86,48 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
+  // Characters allowed in the OTP boxes
+  const otpCharPattern = otpFormat === 'numeric' ? /^\d$/ : /^[A-Za-z0-9]$/;
+  const otpStripPattern = otpFormat === 'numeric' ? /\D/g : /[^A-Za-z0-9]/g;
+  const otpLabel = otpFormat === 'numeric' ? 'digit' : 'character';
+
+  // Empty OTP boxes
+  const emptyOtp = (length = otpLength) => Array(length).fill('');
+
+  // Size the OTP boxes from the server's send response
+  const applyOtpFormat = (data) => {
+    const length = data.otpLength || otpLength;
+    setOtpLength(length);
+    setOtpFormat(data.otpFormat || 'numeric');
+    setOtp(emptyOtp(length));
+  };
+
   // Handle phone number input
   const handlePhoneChange = (e) => {
-    const value = e.target.value.replace(/\D/g, '').slice(0, 10);
+    const value = e.target.value.replace(/\D/g, '').slice(0, 15);
     setPhoneNumber(value);
     setError('');
   };
 
   // Handle country selection
   const handleCountrySelect = (country) => {
-    setSelectedCountry(country);
+    setChosenCountry(country);
     setShowCountryDropdown(false);
     phoneInputRef.current?.focus();
   };
 
   // Handle OTP input
   const handleOtpChange = (index, value) => {
-    // Only allow digits
-    if (value && !/^\d$/.test(value)) return;
+    // Only allow characters valid for this OTP format
+    if (value && !otpCharPattern.test(value)) return;
 
     const newOtp = [...otp];
-    newOtp[index] = value;
+    newOtp[index] = value.toUpperCase();
     setOtp(newOtp);
     setError('');
 
     // Auto-focus next input
-    if (value && index < 3) {
+    if (value && index < otpLength - 1) {
       otpRefs.current[index + 1]?.focus();
     }
   };
@@ -110,17 +135,17 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
   // Handle OTP paste
   const handleOtpPaste = (e) => {
     e.preventDefault();
-    const pastedData = e.clipboardData.getData('text').replace(/\D/g, '').slice(0, 4);
+    const pastedData = e.clipboardData.getData('text').replace(otpStripPattern, '').toUpperCase().slice(0, otpLength);
     
     if (pastedData.length > 0) {
       const newOtp = [...otp];
-      for (let i = 0; i < pastedData.length && i < 4; i++) {
+      for (let i = 0; i < pastedData.length && i < otpLength; i++) {
         newOtp[i] = pastedData[i];
       }
       setOtp(newOtp);
       
       // Focus the next empty input or the last one
-      const nextIndex = Math.min(pastedData.length, 3);
+      const nextIndex = Math.min(pastedData.length, otpLength - 1);
       otpRefs.current[nextIndex]?.focus();
     }
   };
@@ -136,15 +161,12 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
   const handleSendOtp = async (e) => {
     e.preventDefault();
     
-    // Validate phone number
-    if (phoneNumber.length !== 10) {
-      setError('Please enter a valid 10-digit phone number');
-      return;
-    }
+    // Countries haven't loaded yet
+    if (!selectedCountry) return;
 
-    // Only India supported for now
-    if (selectedCountry.code !== '+91') {
-      setError('Currently only Indian phone numbers (+91) are supported');
+    // Validate phone number for the selected country
+    if (!isValidPhoneNumber(phoneNumber, selectedCountry.country)) {
+      setError(`Please enter a valid ${selectedCountry.name} phone number`);
       return;
     }
 
@@ -152,14 +174,22 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
     setError('');
 
     try {
-      const response = await axios.post(`${API_URL}/send-otp`, {
+      const response = await api.post(`${API_PATH}/send`, {
+        countryCode: selectedCountry.code,
         phoneNumber: phoneNumber
       });
 
       if (response.data.success) {
-        setSuccess('OTP sent to your WhatsApp!');
+        setSuccess(
+          response.data.fallback
+            ? `We sent your code on ${channelNames[response.data.channel]} instead of ${channelNames[apiType]}.`
+            : 'OTP sent to your WhatsApp!'
+        );
+        applyOtpFormat(response.data);
+        setDeliveryChannel(response.data.channel);
+        setDisplayNumber(response.data.displayNumber);
         setStep('otp');
-        setResendTimer(30);
+        setResendTimer(response.data.resendAvailableIn);
         setTimeout(() => setSuccess(''), 3000);
       }
     } catch (err) {
@@ -176,8 +206,8 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
     
     const otpValue = otp.join('');
     
-    if (otpValue.length !== 4) {
-      setError('Please enter the complete 4-digit OTP');
+    if (otpValue.length !== otpLength) {
+      setError(`Please enter the complete ${otpLength}-${otpLabel} OTP`);
       return;
     }
 
@@ -185,19 +215,24 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
     setError('');
 
     try {
-      const response = await axios.post(`${API_URL}/verify-otp`, {
+      const response = await api.post(`/otp/${deliveryChannel}/verify`, {
+        countryCode: selectedCountry.code,
         phoneNumber: phoneNumber,
         otp: otpValue
       });
 
       if (response.data.success && response.data.verified) {
+        // Authenticator app enrolled - finish on the second-factor page
+        if (response.data.mfaRequired) {
+          navigate('/login/2fa', { state: { mfaToken: response.data.mfaToken } });
+          return;
+        }
+
         setSuccess('Login successful! Redirecting...');
-        
-        // Store auth method
-          localStorage.setItem('authMethod', apiType);        
+
         // Call parent success handler
         setTimeout(() => {
-          onLoginSuccess(phoneNumber);
+          onLoginSuccess(response.data.user);
           navigate('/dashboard');
         }, 1000);
       }
@@ -205,7 +240,7 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
       console.error('Verify OTP Error:', err);
       setError(err.response?.data?.message || 'Invalid OTP. Please try again.');
       // Clear OTP on error
-      setOtp(['', '', '', '']);
+      setOtp(emptyOtp());
       otpRefs.current[0]?.focus();
     } finally {
       setLoading(false);
@@ -220,19 +255,29 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
     setError('');
 
     try {
-      const response = await axios.post(`${API_URL}/resend-otp`, {
+      const response = await api.post(`${API_PATH}/resend`, {
+        countryCode: selectedCountry.code,
         phoneNumber: phoneNumber
       });
 
       if (response.data.success) {
-        setSuccess('New OTP sent to WhatsApp!');
-        setOtp(['', '', '', '']);
-        setResendTimer(30);
+        setSuccess(
+          response.data.fallback
+            ? `New code sent on ${channelNames[response.data.channel]} instead of ${channelNames[apiType]}.`
+            : 'New OTP sent to WhatsApp!'
+        );
+        applyOtpFormat(response.data);
+        setDeliveryChannel(response.data.channel);
+        setResendTimer(response.data.resendAvailableIn);
         otpRefs.current[0]?.focus();
         setTimeout(() => setSuccess(''), 3000);
       }
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to resend OTP');
+      // Rate limited - count down the time the server told us to wait
+      if (err.response?.status === 429) {
+        setResendTimer(err.response.data.retryAfter);
+      }
     } finally {
       setLoading(false);
     }
@@ -241,7 +286,7 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
   // Go back to phone step
   const handleBack = () => {
     setStep('phone');
-    setOtp(['', '', '', '']);
+    setOtp(emptyOtp());
     setError('');
     setSuccess('');
   };
@@ -252,46 +297,48 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
   };
 
   return (
-    <div className="whatsapp-login-page page-enter">
-      <div className="whatsapp-login-container">
+    <div className="channel-login-page whatsapp-login page-enter">
+      <div className="channel-login-container">
         {/* Logo & Header */}
-        <div className="whatsapp-login-header">
-          <div className="whatsapp-logo">
-            <div className="whatsapp-logo-icon">
+        <div className="channel-login-header">
+          <div className="channel-logo">
+            <div className="channel-logo-icon">
               <svg viewBox="0 0 24 24" fill="currentColor" xmlns="http://www.w3.org/2000/svg">
                 <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/>
               </svg>
             </div>
-            <span className="whatsapp-logo-text">WhatsApp Login</span>
+            <span className="channel-logo-text">WhatsApp Login</span>
           </div>
           
-        <h1 className="whatsapp-login-title">
+        <h1 className="channel-login-title">
           {step === 'phone' 
             ? `Login with ${apiType === 'whatsapp-meta' ? 'WhatsApp (Meta)' : 'WhatsApp'}` 
             : 'Enter verification code'}
         </h1>
-          <p className="whatsapp-login-subtitle">
+          <p className="channel-login-subtitle">
             {step === 'phone' 
               ? 'We\'ll send you a verification code on WhatsApp' 
-              : `Check your WhatsApp for OTP sent to ${selectedCountry.code} ${phoneNumber.replace(/(\d{5})(\d{5})/, '$1 $2')}`
+              : deliveryChannel.startsWith('whatsapp')
+                ? `Check your WhatsApp for OTP sent to ${displayNumber}`
+                : `We've sent a code on ${channelNames[deliveryChannel]} to ${displayNumber}`
             }
           </p>
         </div>
 
         {/* Form Card */}
-        <div className="whatsapp-login-card">
+        <div className="channel-login-card">
           {/* Messages */}
-          {error && (
-            <div className="wa-message wa-message-error">
+          {(error || countriesError) && (
+            <div className="cl-message cl-message-error">
               <svg viewBox="0 0 20 20" fill="currentColor">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd"/>
               </svg>
-              <span>{error}</span>
+              <span>{error || countriesError}</span>
             </div>
           )}
           
           {success && (
-            <div className="wa-message wa-message-success">
+            <div className="cl-message cl-message-success">
               <svg viewBox="0 0 20 20" fill="currentColor">
                 <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd"/>
               </svg>
@@ -301,36 +348,36 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
 
           {/* Phone Number Step */}
           {step === 'phone' && (
-            <form onSubmit={handleSendOtp} className="whatsapp-login-form">
-              <div className="wa-form-group">
-                <label className="wa-form-label">WhatsApp Number</label>
-                <div className="wa-phone-input-wrapper">
+            <form onSubmit={handleSendOtp} className="channel-login-form">
+              <div className="cl-form-group">
+                <label className="cl-form-label">WhatsApp Number</label>
+                <div className="cl-phone-input-wrapper">
                   {/* Country Code Dropdown */}
-                  <div className="wa-country-selector" ref={dropdownRef}>
+                  <div className="cl-country-selector" ref={dropdownRef}>
                     <button
                       type="button"
-                      className="wa-country-button"
+                      className="cl-country-button"
                       onClick={() => setShowCountryDropdown(!showCountryDropdown)}
                     >
-                      <span className="wa-country-flag">{selectedCountry.flag}</span>
-                      <span className="wa-country-code">{selectedCountry.code}</span>
-                      <svg className="wa-dropdown-arrow" viewBox="0 0 20 20" fill="currentColor">
+                      <span className="cl-country-flag">{selectedCountry?.flag}</span>
+                      <span className="cl-country-code">{selectedCountry?.code}</span>
+                      <svg className="cl-dropdown-arrow" viewBox="0 0 20 20" fill="currentColor">
                         <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd"/>
                       </svg>
                     </button>
                     
                     {showCountryDropdown && (
-                      <div className="wa-country-dropdown">
-                        {countryCodes.map((country) => (
+                      <div className="cl-country-dropdown">
+                        {countries.map((country) => (
                           <button
-                            key={country.code}
+                            key={country.country}
                             type="button"
-                            className={`wa-country-option ${selectedCountry.code === country.code ? 'active' : ''}`}
+                            className={`cl-country-option ${selectedCountry.country === country.country ? 'active' : ''}`}
                             onClick={() => handleCountrySelect(country)}
                           >
-                            <span className="wa-country-flag">{country.flag}</span>
-                            <span className="wa-country-name">{country.name}</span>
-                            <span className="wa-country-code">{country.code}</span>
+                            <span className="cl-country-flag">{country.flag}</span>
+                            <span className="cl-country-name">{country.name}</span>
+                            <span className="cl-country-code">{country.code}</span>
                           </button>
                         ))}
                       </div>
@@ -341,7 +388,7 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
                   <input
                     ref={phoneInputRef}
                     type="tel"
-                    className="wa-phone-input"
+                    className="cl-phone-input"
                     placeholder="Enter WhatsApp number"
                     value={phoneNumber}
                     onChange={handlePhoneChange}
@@ -349,7 +396,7 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
                     autoComplete="tel"
                   />
                 </div>
-                <span className="wa-form-hint">
+                <span className="cl-form-hint">
                   <svg viewBox="0 0 24 24" fill="currentColor" width="14" height="14">
                     <path d="M17.472 14.382c-.297-.149-1.758-.867-2.03-.967-.273-.099-.471-.148-.67.15-.197.297-.767.966-.94 1.164-.173.199-.347.223-.644.075-.297-.15-1.255-.463-2.39-1.475-.883-.788-1.48-1.761-1.653-2.059-.173-.297-.018-.458.13-.606.134-.133.298-.347.446-.52.149-.174.198-.298.298-.497.099-.198.05-.371-.025-.52-.075-.149-.669-1.612-.916-2.207-.242-.579-.487-.5-.669-.51-.173-.008-.371-.01-.57-.01-.198 0-.52.074-.792.372-.272.297-1.04 1.016-1.04 2.479 0 1.462 1.065 2.875 1.213 3.074.149.198 2.096 3.2 5.077 4.487.709.306 1.262.489 1.694.625.712.227 1.36.195 1.871.118.571-.085 1.758-.719 2.006-1.413.248-.694.248-1.289.173-1.413-.074-.124-.272-.198-.57-.347m-5.421 7.403h-.004a9.87 9.87 0 01-5.031-1.378l-.361-.214-3.741.982.998-3.648-.235-.374a9.86 9.86 0 01-1.51-5.26c.001-5.45 4.436-9.884 9.888-9.884 2.64 0 5.122 1.03 6.988 2.898a9.825 9.825 0 012.893 6.994c-.003 5.45-4.437 9.884-9.885 9.884m8.413-18.297A11.815 11.815 0 0012.05 0C5.495 0 .16 5.335.157 11.892c0 2.096.547 4.142 1.588 5.945L.057 24l6.305-1.654a11.882 11.882 0 005.683 1.448h.005c6.554 0 11.89-5.335 11.893-11.893a11.821 11.821 0 00-3.48-8.413z"/>
                   </svg>
@@ -359,12 +406,12 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
 
               <button
                 type="submit"
-                className="wa-btn wa-btn-primary"
-                disabled={loading || phoneNumber.length !== 10}
+                className="cl-btn cl-btn-primary"
+                disabled={loading || !phoneNumber || !selectedCountry}
               >
                 {loading ? (
                   <>
-                    <span className="wa-btn-spinner"></span>
+                    <span className="cl-btn-spinner"></span>
                     Sending OTP...
                   </>
                 ) : (
@@ -381,18 +428,18 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
 
           {/* OTP Verification Step */}
           {step === 'otp' && (
-            <form onSubmit={handleVerifyOtp} className="whatsapp-login-form">
-              <div className="wa-form-group">
-                <label className="wa-form-label">Verification Code</label>
-                <div className="wa-otp-input-wrapper">
+            <form onSubmit={handleVerifyOtp} className="channel-login-form">
+              <div className="cl-form-group">
+                <label className="cl-form-label">Verification Code</label>
+                <div className="cl-otp-input-wrapper">
                   {otp.map((digit, index) => (
                     <input
                       key={index}
                       ref={(el) => (otpRefs.current[index] = el)}
                       type="text"
-                      inputMode="numeric"
+                      inputMode={otpFormat === 'numeric' ? 'numeric' : 'text'}
                       maxLength={1}
-                      className={`wa-otp-input ${digit ? 'filled' : ''}`}
+                      className={`cl-otp-input ${digit ? 'filled' : ''}`}
                       value={digit}
                       onChange={(e) => handleOtpChange(index, e.target.value)}
                       onKeyDown={(e) => handleOtpKeyDown(index, e)}
@@ -404,15 +451,15 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
                 </div>
                 
                 {/* Resend OTP */}
-                <div className="wa-resend-wrapper">
+                <div className="cl-resend-wrapper">
                   {resendTimer > 0 ? (
-                    <span className="wa-resend-timer">
+                    <span className="cl-resend-timer">
                       Resend code in <strong>{resendTimer}s</strong>
                     </span>
                   ) : (
                     <button
                       type="button"
-                      className="wa-resend-button"
+                      className="cl-resend-button"
                       onClick={handleResendOtp}
                       disabled={loading}
                     >
@@ -422,10 +469,10 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
                 </div>
               </div>
 
-              <div className="wa-form-actions">
+              <div className="cl-form-actions">
                 <button
                   type="button"
-                  className="wa-btn wa-btn-secondary"
+                  className="cl-btn cl-btn-secondary"
                   onClick={handleBack}
                   disabled={loading}
                 >
@@ -437,12 +484,12 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
                 
                 <button
                   type="submit"
-                  className="wa-btn wa-btn-primary"
-                  disabled={loading || otp.join('').length !== 4}
+                  className="cl-btn cl-btn-primary"
+                  disabled={loading || otp.join('').length !== otpLength}
                 >
                   {loading ? (
                     <>
-                      <span className="wa-btn-spinner"></span>
+                      <span className="cl-btn-spinner"></span>
                       Verifying...
                     </>
                   ) : (
@@ -460,10 +507,10 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
         </div>
 
         {/* Back to SMS Login */}
-        <div className="wa-alt-login">
+        <div className="cl-alt-login">
           <button 
             type="button" 
-            className="wa-back-to-sms"
+            className="cl-back-to-sms"
             onClick={handleBackToSMS}
           >
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -474,14 +521,14 @@ function WhatsAppLogin({ onLoginSuccess, apiType = 'whatsapp' }) {
         </div>
 
         {/* Footer */}
-        <div className="whatsapp-login-footer">
+        <div className="channel-login-footer">
           <p>By continuing, you agree to our <a href="#">Terms of Service</a> and <a href="#">Privacy Policy</a></p>
         </div>
       </div>
 
       {/* Decorative Elements */}
-      <div className="wa-decorative-orb wa-orb-1"></div>
-      <div className="wa-decorative-orb wa-orb-2"></div>
+      <div className="cl-decorative-orb cl-orb-1"></div>
+      <div className="cl-decorative-orb cl-orb-2"></div>
     </div>
   );
 }